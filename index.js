@@ -56,45 +56,448 @@ const E = new BigNumber( "2.7182818284590452353602874713526624977572470936999595
 // Export the constant E so it can be used in other modules.
 module.exports.E = E;
 
+/**
+ * Normalizes the optional second argument accepted by the point detectors.
+ *
+ * The detectors have always accepted a bare number (the multiplier or threshold) as their
+ * second argument. They now also accept an options object, so both forms are folded into
+ * a single object here.
+ *
+ * @param {number|string|Object} [options] - A bare number or an options object.
+ * @param {string} key - The property name a bare number should be stored under.
+ * @returns {Object} A shallow copy of the options object.
+ */
+function detectorOptions( options, key ) {
+    // Copy option objects so that defaults can be filled in without touching the caller's object
+    if ( options !== null && typeof options === "object" ) {
+        return { ...options };
+    }
+    const out = {};
+    if ( options !== undefined ) {
+        out[ key ] = options; // A bare number is shorthand for the detector's main parameter
+    }
+    return out;
+}
+
+/**
+ * Parses the threshold passed to a detector, falling back to the detector's default.
+ *
+ * @param {number|string} [threshold] - The threshold that was passed, if any.
+ * @param {number} fallback - The detector's default threshold.
+ * @returns {number} The parsed threshold.
+ * @throws {Error} Throws an error if the threshold is not a finite number.
+ */
+function parseThreshold( threshold, fallback ) {
+    if ( threshold === undefined ) {
+        return fallback;
+    }
+    if ( threshold ) {
+        threshold = parseFloat( threshold ); // Convert the threshold to a floating-point number
+        if ( !Number.isFinite( threshold ) ) {
+            // Throw an error if the threshold is not a finite number
+            throw new Error( "A threshold factor was passed, but it was not a number." );
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Checks the `tail` option accepted by the point detectors.
+ *
+ * @param {string} [tail="both"] - "both", "upper" or "lower".
+ * @returns {string} The tail.
+ * @throws {Error} If the tail is not recognized.
+ */
+function parseTail( tail = "both" ) {
+    if ( tail !== "both" && tail !== "upper" && tail !== "lower" ) {
+        throw new Error( `Unknown tail "${tail}". Please use "both", "upper" or "lower".` );
+    }
+    return tail;
+}
+
+/**
+ * Determines whether a value lies beyond the bounds on the tested side(s).
+ *
+ * @param {number} value - The value (or score) to test.
+ * @param {number} lower - The lower bound.
+ * @param {number} upper - The upper bound.
+ * @param {string} tail - "both", "upper" or "lower".
+ * @returns {string|null} "upper" or "lower" for a flagged value, otherwise null.
+ */
+function direction( value, lower, upper, tail ) {
+    if ( tail !== "lower" && value > upper ) {
+        return "upper";
+    }
+    if ( tail !== "upper" && value < lower ) {
+        return "lower";
+    }
+    return null;
+}
+
+/**
+ * Formats per-point detector records according to the requested output mode.
+ *
+ * - "values": the flagged values only (the historical behavior), or `{ t, v }` points for timestamped input
+ * - "mask": an array of true/false values aligned with the input
+ * - "detailed": one record per input point
+ *
+ * When the data was prepared with `prepare()`, record indices are mapped back to the caller's
+ * original indices, and points dropped as missing are reported as `false` in the mask. Records
+ * of timestamped input also carry the point's timestamp, `t`.
+ *
+ * @param {Object[]} records - One record per point, each with `index`, `value` and `outlier` properties.
+ * @param {string} [output="values"] - The output mode.
+ * @param {Object} [prepared] - The object returned by `prepare()` for the data the records describe.
+ * @returns {Array} The formatted result.
+ * @throws {Error} If the output mode is not recognized.
+ */
+function formatOutput( records, output = "values", prepared ) {
+    // Report records against the caller's original indices, and timestamps for timestamped input
+    if ( prepared ) {
+        records = records.map( r => {
+            const record = { ...r, "index": prepared.index[ r.index ] };
+            if ( prepared.timestamps ) {
+                record.t = prepared.timestamps[ record.index ];
+            }
+            return record;
+        } );
+    }
+    switch ( output ) {
+        case "values":
+            // Timestamped input gets its flagged points back as `{ t, v }` points
+            return records.filter( r => r.outlier ).map( r => ( r.t === undefined ? r.value : { "t": r.t, "v": r.value } ) );
+        case "mask": {
+            const mask = new Array( prepared ? prepared.length : records.length ).fill( false );
+            records.forEach( r => {
+                mask[ r.index ] = r.outlier;
+            } );
+            return mask;
+        }
+        case "detailed":
+            return records;
+        default:
+            throw new Error( `Unknown output mode "${output}". Please use "values", "mask" or "detailed".` );
+    }
+}
+
+/**
+ * Calculates a sample quantile using one of the nine definitions described by Hyndman and Fan (1996).
+ *
+ * These are the definitions offered by most statistics packages, e.g. type 7 is the default in R
+ * and numpy and matches Excel's PERCENTILE.INC, and type 6 matches Excel's PERCENTILE.EXC and Minitab.
+ *
+ * @param {number[]} data - The dataset, in any order. It is not modified.
+ * @param {number} p - The probability, between 0 and 1.
+ * @param {number} [type=7] - The quantile definition, from 1 to 9.
+ * @returns {number} The quantile.
+ * @throws {Error} If the data is not an array of numbers, or the probability or the type is out of range.
+ *
+ * @example
+ * quantile( [ 5, 1, 3 ], 0.5 ); // 3
+ */
+function quantile( data, p, type = 7 ) {
+    const validatedData = validate( data );
+    return sortedQuantile( validatedData.slice().sort( ( a, b ) => a - b ), p, type );
+}
+module.exports.quantile = quantile;
+
+/**
+ * Calculates a Hyndman-Fan sample quantile of data that is already sorted. See `quantile()`.
+ *
+ * @param {number[]} sortedData - The dataset, sorted in ascending order.
+ * @param {number} p - The probability, between 0 and 1.
+ * @param {number} [type=7] - The quantile definition, from 1 to 9.
+ * @returns {number} The quantile.
+ * @throws {Error} If the probability or the type is out of range.
+ */
+function sortedQuantile( sortedData, p, type = 7 ) {
+    p = typeof p === "string" ? parseFloat( p ) : p;
+    if ( typeof p !== "number" || !( p >= 0 && p <= 1 ) ) {
+        throw new Error( "The probability must be between 0 and 1." );
+    }
+    type = Number( type );
+    if ( !( Number.isInteger( type ) && type >= 1 && type <= 9 ) ) {
+        throw new Error( "The quantile type must be a whole number from 1 to 9." );
+    }
+
+    const n = sortedData.length;
+    const fuzz = 4 * Number.EPSILON; // Guards against floating-point noise when n * p is a whole number
+
+    // Offset m for each definition; the quantile sits between order statistics j and j + 1
+    const m = [ 0, 0, -0.5, 0, 0.5, p, 1 - p, ( p + 1 ) / 3, p / 4 + 3 / 8 ][ type - 1 ];
+    const position = n * p + m;
+    let j = Math.floor( position + fuzz );
+    let g = position - j;
+    if ( Math.abs( g ) < fuzz ) {
+        g = 0;
+    }
+
+    // Weight given to order statistic j + 1
+    let gamma;
+    if ( type === 1 ) {
+        gamma = g > 0 ? 1 : 0; // Inverse of the empirical distribution function
+    }
+    else if ( type === 2 ) {
+        gamma = g > 0 ? 1 : 0.5; // Same, averaging at discontinuities
+    }
+    else if ( type === 3 ) {
+        gamma = g === 0 && j % 2 === 0 ? 0 : 1; // Nearest even order statistic
+    }
+    else {
+        gamma = g; // Types 4 to 9 interpolate linearly
+    }
+
+    // Order statistics are 1-based; clamp to the sample at both ends
+    const at = k => sortedData[ Math.min( Math.max( k, 1 ), n ) - 1 ];
+    return ( 1 - gamma ) * at( j ) + gamma * at( j + 1 );
+}
+
+/**
+ * Calculates the medcouple, a robust measure of skewness between -1 and 1 (Brys, Hubert and Struyf, 2004).
+ *
+ * The medcouple is the median of a kernel over every pair of a value above the median and a value below
+ * it. Rather than forming all of those pairs, which needs memory quadratic in the size of the data, this
+ * uses the O(n log n) selection algorithm of Johnson and Mizera (1978) that Brys et al. describe: the
+ * kernel is sorted along the rows and columns of the pair matrix, so each row can be cut in two around a
+ * trial value, and the candidates narrowed until few enough are left to sort.
+ *
+ * @param {number[]} data - The dataset.
+ * @returns {number} The medcouple; positive for right-skewed data, negative for left-skewed data.
+ */
+function medcouple( data ) {
+    const sortedData = data.slice().sort( ( a, b ) => b - a ); // Descending order
+    const median = ss.median( sortedData );
+
+    // Values above and below the median, centered on it (both in descending order)
+    const upper = sortedData.filter( x => x >= median ).map( x => x - median );
+    const lower = sortedData.filter( x => x <= median ).map( x => x - median );
+    const rows = upper.length;
+    const columns = lower.length;
+
+    // The kernel does not increase along a row or down a column of the pair matrix
+    const kernel = ( i, j ) => {
+        if ( upper[ i ] === 0 && lower[ j ] === 0 ) {
+            // Pairs of values tied with the median (at the end of `upper` and the start of `lower`)
+            // are split evenly between -1, 0 and +1
+            return Math.sign( rows - 1 - i - j );
+        }
+        return ( upper[ i ] + lower[ j ] ) / ( upper[ i ] - lower[ j ] );
+    };
+
+    // The k-th largest kernel value (counting from 0). Each row keeps a band of candidate columns,
+    // from left[ i ] to right[ i ]; the kernel values before the band are larger, and those after it smaller.
+    const largest = k => {
+        let left = new Array( rows ).fill( 0 );
+        let right = new Array( rows ).fill( columns - 1 );
+        let leftTotal = 0; // The number of values before the bands
+        let rightTotal = rows * columns; // The number of values before the ends of the bands
+        while ( rightTotal - leftTotal > rows ) {
+            // The trial value is the median of the middle candidates of the rows, weighted by the size of their bands
+            const middles = [];
+            let weight = 0;
+            for ( let i = 0; i < rows; i++ ) {
+                if ( left[ i ] <= right[ i ] ) {
+                    middles.push( [ kernel( i, ( left[ i ] + right[ i ] ) >> 1 ), right[ i ] - left[ i ] + 1 ] );
+                    weight += right[ i ] - left[ i ] + 1;
+                }
+            }
+            middles.sort( ( a, b ) => a[ 0 ] - b[ 0 ] );
+            let trial = middles[ 0 ][ 0 ];
+            for ( let m = 0, sum = 0; m < middles.length; m++ ) {
+                sum += middles[ m ][ 1 ];
+                if ( 2 * sum >= weight ) {
+                    trial = middles[ m ][ 0 ];
+                    break;
+                }
+            }
+            const tolerance = Number.EPSILON * ( Number.EPSILON + Math.abs( trial ) );
+
+            // In each row, the last column above the trial value, and the first column below it
+            const above = new Array( rows );
+            for ( let i = rows - 1, j = 0; i >= 0; i-- ) {
+                while ( j < columns && kernel( i, j ) - trial > tolerance ) {
+                    j++;
+                }
+                above[ i ] = j - 1;
+            }
+            const below = new Array( rows );
+            for ( let i = 0, j = columns - 1; i < rows; i++ ) {
+                while ( j >= 0 && kernel( i, j ) - trial < -tolerance ) {
+                    j--;
+                }
+                below[ i ] = j + 1;
+            }
+            const aboveTotal = above.reduce( ( sum, j ) => sum + j + 1, 0 );
+            const belowTotal = below.reduce( ( sum, j ) => sum + j, 0 );
+
+            if ( k < aboveTotal ) {
+                right = above;
+                rightTotal = aboveTotal;
+            }
+            else if ( k >= belowTotal ) {
+                left = below;
+                leftTotal = belowTotal;
+            }
+            else {
+                return trial; // The k-th largest value ties with the trial value
+            }
+        }
+
+        // Few enough candidates are left to sort
+        const candidates = [];
+        for ( let i = 0; i < rows; i++ ) {
+            for ( let j = left[ i ]; j <= right[ i ]; j++ ) {
+                candidates.push( kernel( i, j ) );
+            }
+        }
+        candidates.sort( ( a, b ) => b - a );
+        return candidates[ k - leftTotal ];
+    };
+
+    // The median of the kernel: its middle value, or the mean of the two middle values
+    const pairs = rows * columns;
+    return pairs % 2 ? largest( ( pairs - 1 ) / 2 ) : ( largest( pairs / 2 - 1 ) + largest( pairs / 2 ) ) / 2;
+}
+module.exports.medcouple = medcouple;
+
+/**
+ * Calculates the quartiles and outlier fences used by `iqr()`.
+ *
+ * The "adjusted" method is the skew-adjusted boxplot of Hubert and Vandervieren (2008), which
+ * moves the fences according to the medcouple (MC) so that skewed data is not flagged as often:
+ * for MC >= 0 the fences are Q1 - k * e^(-4 MC) * IQR and Q3 + k * e^(3 MC) * IQR, and the
+ * exponents are swapped for MC < 0.
+ *
+ * @param {number[]} sortedData - The dataset, sorted in ascending order.
+ * @param {number} multiplier - The multiplier for the IQR.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {number} [options.quantileType] - The Hyndman-Fan quantile definition (1 to 9). By default,
+ *                                          Q1 and Q3 are the order statistics at n/4 and 3n/4.
+ * @param {string} [options.method="standard"] - "standard" or "adjusted".
+ * @returns {Object} An object with `q1`, `q3`, `iqr`, `lower` and `upper` properties, plus `medcouple` for the "adjusted" method.
+ * @throws {Error} If the method is not recognized.
+ */
+function iqrFences( sortedData, multiplier, options = {} ) {
+    const {
+        quantileType,
+        method = "standard"
+    } = options;
+
+    let q1, q3;
+    if ( quantileType === undefined ) {
+        // Calculate the first quartile (Q1), which is the median of the lower half of the data
+        q1 = sortedData[ Math.floor( sortedData.length / 4 ) ];
+
+        // Calculate the third quartile (Q3), which is the median of the upper half of the data
+        q3 = sortedData[ Math.floor( sortedData.length * ( 3 / 4 ) ) ];
+    }
+    else {
+        q1 = sortedQuantile( sortedData, 0.25, quantileType );
+        q3 = sortedQuantile( sortedData, 0.75, quantileType );
+    }
+
+    // Calculate the interquartile range (IQR) as the difference between Q3 and Q1
+    const range = q3 - q1;
+
+    const fences = {
+        "q1": q1,
+        "q3": q3,
+        "iqr": range,
+        "lower": q1 - multiplier * range, // Lower bound is Q1 minus the IQR multiplier
+        "upper": q3 + multiplier * range // Upper bound is Q3 plus the IQR multiplier
+    };
+
+    if ( method === "adjusted" ) {
+        // Stretch the fence on the long tail and pull in the fence on the short tail
+        const mc = medcouple( sortedData );
+        fences.medcouple = mc;
+        fences.lower = q1 - multiplier * Math.exp( ( mc >= 0 ? -4 : -3 ) * mc ) * range;
+        fences.upper = q3 + multiplier * Math.exp( ( mc >= 0 ? 3 : 4 ) * mc ) * range;
+    }
+    else if ( method !== "standard" ) {
+        throw new Error( `Unknown IQR method "${method}". Please use "standard" or "adjusted".` );
+    }
+
+    return fences;
+}
+
+/**
+ * Scores a value against IQR fences as the signed number of IQRs it lies outside the box.
+ *
+ * @param {number} value - The value to score.
+ * @param {Object} fences - The quartiles, as returned by `iqrFences()`.
+ * @returns {number} The score; 0 for values between Q1 and Q3.
+ */
+function iqrScore( value, fences ) {
+    if ( value < fences.q1 ) {
+        return ( value - fences.q1 ) / fences.iqr;
+    }
+    if ( value > fences.q3 ) {
+        return ( value - fences.q3 ) / fences.iqr;
+    }
+    return 0;
+}
+
 /**
  * Calculates the outliers in a dataset using the Interquartile Range (IQR) method.
  *
  * The IQR method identifies outliers as data points that fall below the lower bound
  * or above the upper bound, which are calculated using the first and third quartiles.
  *
+ * In "detailed" mode each record carries a `score`, which is the signed number of IQRs
+ * the value lies outside the box (0 for values between Q1 and Q3).
+ *
  * @param {number[]} data - The dataset to analyze.
- * @param {number} [val=1.5] - The multiplier for the IQR to define the bounds for outliers.
- *                             The default value of 1.5 is commonly used.
- * @returns {number[]} An array of outliers.
+ * @param {number|Object} [options=1.5] - The multiplier for the IQR, or an options object.
+ *                                        The default multiplier of 1.5 is commonly used.
+ * @param {number} [options.multiplier=1.5] - The multiplier for the IQR to define the bounds for outliers.
+ * @param {number} [options.quantileType] - The Hyndman-Fan quantile definition (1 to 9) used for Q1 and Q3,
+ *                                          e.g. 7 to match R, numpy and Excel's QUARTILE.INC.
+ * @param {string} [options.method="standard"] - "standard", or "adjusted" for the medcouple-adjusted boxplot.
+ * @param {string} [options.output="values"] - "values" (sorted outliers), "mask" or "detailed".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, or one record per point, depending on `output`.
  */
-function iqr( data, val = 1.5 ) {
+function iqr( data, options ) {
+    const opts = detectorOptions( options, "multiplier" );
+
     // Validate the input data to ensure it is an array of numbers
-    const validatedData = validate( data );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
 
     // Ensure the multiplier `val` is a finite number; default to 1.5 if invalid
-    val = +val;
+    let val = opts.multiplier === undefined ? 1.5 : +opts.multiplier;
     if ( !Number.isFinite( val ) ) {
         val = 1.5;
     }
 
-    // Sort the data in ascending order to calculate quartiles
-    const sortedData = validatedData.slice().sort( ( a, b ) => a - b );
-
-    // Calculate the first quartile (Q1), which is the median of the lower half of the data
-    const q1 = sortedData[ Math.floor( sortedData.length / 4 ) ];
+    // Calculate the quartiles and the fences from the sorted data
+    const fences = iqrFences( validatedData.slice().sort( ( a, b ) => a - b ), val, opts );
 
-    // Calculate the third quartile (Q3), which is the median of the upper half of the data
-    const q3 = sortedData[ Math.floor( sortedData.length * ( 3 / 4 ) ) ];
-
-    // Calculate the interquartile range (IQR) as the difference between Q3 and Q1
-    const iqr = q3 - q1;
+    // Only the fence(s) on the tested side(s) count
+    const tail = parseTail( opts.tail );
 
-    // Define the lower and upper bounds for outliers
-    const lowerBound = q1 - val * iqr; // Lower bound is Q1 minus the IQR multiplier
-    const upperBound = q3 + val * iqr; // Upper bound is Q3 plus the IQR multiplier
+    // Build one record per point, in input order
+    const records = validatedData.map( ( value, index ) => {
+        const side = direction( value, fences.lower, fences.upper, tail );
+        return {
+            "index": index,
+            "value": value,
+            "score": iqrScore( value, fences ),
+            "threshold": val,
+            "lower": fences.lower,
+            "upper": fences.upper,
+            "outlier": side !== null,
+            "direction": side // "upper", "lower", or null when the point is not flagged
+        };
+    } );
 
-    // Filter the data to find values that are below the lower bound or above the upper bound
-    return sortedData.filter( value => value < lowerBound || value > upperBound );
+    // The historical output lists the outliers in ascending order
+    if ( ( opts.output || "values" ) === "values" ) {
+        return formatOutput( records.slice().sort( ( a, b ) => a.value - b.value ), "values", prepared );
+    }
+    return formatOutput( records, opts.output, prepared );
 }
 
 // Export the `iqr` function for use in other modules
@@ -106,24 +509,25 @@ module.exports.iqr = iqr;
  * This method is more robust to outliers compared to the standard Z-score.
  *
  * @param {number[]} data - The input dataset to be analyzed.
- * @param {number} [threshold=3.5] - The threshold value for identifying outliers.
- *                                   Data points with a modified Z-score greater than this value
- *                                   are considered outliers. The default value of 3.5 is commonly used.
- * @returns {number[]} - An array of data points that are considered outliers based on the modified Z-score.
+ * @param {number|Object} [options=3.5] - The threshold value for identifying outliers, or an options object.
+ *                                        Data points with a modified Z-score greater than this value
+ *                                        are considered outliers. The default value of 3.5 is commonly used.
+ * @param {number} [options.threshold=3.5] - The threshold value for identifying outliers.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, or one record per point, depending on `output`.
  * @throws {Error} - Throws an error if the threshold is not a finite number.
  */
-function modifiedZscore( data, threshold = 3.5 ) {
+function modifiedZscore( data, options ) {
+    const opts = detectorOptions( options, "threshold" );
+
     // Validate the input data to ensure it is an array of numbers
-    const validatedData = validate( data );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
 
     // Parse and validate the threshold value
-    if ( threshold ) {
-        threshold = parseFloat( threshold ); // Convert the threshold to a floating-point number
-        if ( !Number.isFinite( threshold ) ) {
-            // Throw an error if the threshold is not a finite number
-            throw new Error( `A threshold factor was passed, but it was not a number.` );
-        }
-    }
+    const threshold = parseThreshold( opts.threshold, 3.5 );
 
     // Calculate the Median Absolute Deviation (MAD) of the dataset
     // MAD is the median of the absolute deviations from the dataset's median
@@ -132,10 +536,27 @@ function modifiedZscore( data, threshold = 3.5 ) {
     // Calculate the median of the dataset
     let median = ss.median( validatedData );
 
-    // Filter the dataset to find outliers
+    // Only scores on the tested side(s) count
+    const tail = parseTail( opts.tail );
+
     // The modified Z-score formula is: 0.6745 * (x - median) / MAD
-    // Data points with a modified Z-score greater than the threshold are considered outliers
-    return validatedData.filter( x => Math.abs( 0.6745 * ( x - median ) / mad ) > threshold );
+    // Data points with a modified Z-score beyond the threshold are considered outliers
+    const records = validatedData.map( ( value, index ) => {
+        const score = 0.6745 * ( value - median ) / mad;
+        const side = direction( score, -threshold, threshold, tail );
+        return {
+            "index": index,
+            "value": value,
+            "score": score,
+            "threshold": threshold,
+            "lower": median - threshold * mad / 0.6745, // Value at which the score reaches -threshold
+            "upper": median + threshold * mad / 0.6745, // Value at which the score reaches +threshold
+            "outlier": side !== null,
+            "direction": side
+        };
+    } );
+
+    return formatOutput( records, opts.output, prepared );
 }
 
 // Export the `modifiedZscore` function for use in other modules
@@ -148,22 +569,23 @@ module.exports.modifiedZscore = modifiedZscore;
  * Data points with z-scores greater than the specified threshold are considered outliers.
  *
  * @param {number[]} data - The dataset to analyze.
- * @param {number} [threshold=3] - The z-score threshold to determine outliers. Default is 3.
- * @returns {number[]} An array of outliers that exceed the specified z-score threshold.
+ * @param {number|Object} [options=3] - The z-score threshold to determine outliers, or an options object. Default is 3.
+ * @param {number} [options.threshold=3] - The z-score threshold to determine outliers.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, or one record per point, depending on `output`.
  * @throws {Error} Throws an error if the threshold is not a finite number.
  */
-function zscore( data, threshold = 3 ) {
+function zscore( data, options ) {
+    const opts = detectorOptions( options, "threshold" );
+
     // Validate the input data to ensure it is an array of numbers
-    const validatedData = validate( data );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
 
     // Parse and validate the threshold value
-    if ( threshold ) {
-        threshold = parseFloat( threshold ); // Convert the threshold to a floating-point number
-        if ( !Number.isFinite( threshold ) ) {
-            // Throw an error if the threshold is not a finite number
-            throw new Error( 'A threshold factor was passed, but it was not a number.' );
-        }
-    }
+    const threshold = parseThreshold( opts.threshold, 3 );
 
     // Calculate the mean of the dataset
     const mean = ss.mean( validatedData );
@@ -171,15 +593,217 @@ function zscore( data, threshold = 3 ) {
     // Calculate the standard deviation of the dataset
     const std = ss.standardDeviation( validatedData );
 
-    // Calculate the z-score for each data point and filter outliers
+    // Only scores on the tested side(s) count
+    const tail = parseTail( opts.tail );
+
+    // Calculate the z-score for each data point
     // The z-score formula is: (x - mean) / std
-    // Data points with absolute z-scores greater than the threshold are considered outliers
-    return validatedData.filter( x => Math.abs( ( x - mean ) / std ) > threshold );
+    // Data points with z-scores beyond the threshold are considered outliers
+    const records = validatedData.map( ( value, index ) => {
+        const score = ( value - mean ) / std;
+        const side = direction( score, -threshold, threshold, tail );
+        return {
+            "index": index,
+            "value": value,
+            "score": score,
+            "threshold": threshold,
+            "lower": mean - threshold * std,
+            "upper": mean + threshold * std,
+            "outlier": side !== null,
+            "direction": side
+        };
+    } );
+
+    return formatOutput( records, opts.output, prepared );
 }
 
 // Export the `zscore` function for use in other modules
 module.exports.zscore = zscore;
 
+/**
+ * Returns the reference window for a point of a series, leaving out the point itself.
+ *
+ * A "trailing" window holds the `size` points before the point. A "centered" window holds
+ * floor(size / 2) points before it and the rest after it. Windows are cut short at the ends of the series.
+ *
+ * @param {number[]} data - The series.
+ * @param {number} i - The index of the point.
+ * @param {number} size - The number of points in the window.
+ * @param {string} align - "trailing" or "centered".
+ * @returns {number[]} The values in the window.
+ */
+function referenceWindow( data, i, size, align ) {
+    if ( align === "trailing" ) {
+        return data.slice( Math.max( 0, i - size ), i );
+    }
+    const before = Math.floor( size / 2 );
+    return data.slice( Math.max( 0, i - before ), i ).concat( data.slice( i + 1, i + 1 + size - before ) );
+}
+
+/**
+ * Parses the window options shared by the rolling detectors.
+ *
+ * @param {Object} opts - The detector's options.
+ * @returns {Object} `{ window, align, minPoints }`.
+ * @throws {Error} If an option is out of range or not recognized.
+ */
+function windowOptions( opts ) {
+    const window = opts.window === undefined ? 10 : parseInt( opts.window, 10 );
+    const align = opts.align || "trailing";
+    const minPoints = opts.minPoints === undefined ? Math.min( 3, window ) : parseInt( opts.minPoints, 10 );
+    if ( !( window >= 2 ) ) {
+        throw new Error( "The window must hold at least 2 points." );
+    }
+    if ( align !== "trailing" && align !== "centered" ) {
+        throw new Error( `Unknown window alignment "${align}". Please use "trailing" or "centered".` );
+    }
+    if ( !( minPoints >= 2 && minPoints <= window ) ) {
+        throw new Error( "minPoints must be at least 2, and no larger than the window." );
+    }
+    return { window, align, minPoints };
+}
+
+/**
+ * Scores a value as a signed number of scale units from a center. A value equal to the center of a
+ * window with no spread scores 0, and any other value is infinitely far away.
+ *
+ * @param {number} value - The value.
+ * @param {number} center - The center.
+ * @param {number} scale - The scale.
+ * @returns {number} The score.
+ */
+function scaledScore( value, center, scale ) {
+    if ( scale > 0 ) {
+        return ( value - center ) / scale;
+    }
+    return value === center ? 0 : Math.sign( value - center ) * Infinity;
+}
+
+/**
+ * Calculates rolling z-scores: each point is scored against the mean and standard deviation of a
+ * window of neighboring points, rather than of the whole series, so slow drift is not mistaken for outliers.
+ *
+ * The point itself is not part of its window. Points whose window holds fewer than `minPoints`
+ * values (at the start of a trailing window) are not scored.
+ *
+ * @param {number[]} data - The series to analyze, in time order.
+ * @param {number|Object} [options=3] - The z-score threshold, or an options object.
+ * @param {number} [options.threshold=3] - The z-score threshold.
+ * @param {number} [options.window=10] - The number of points in each window.
+ * @param {string} [options.align="trailing"] - "trailing" (the points before) or "centered" (the points around).
+ * @param {number} [options.minPoints=3] - The fewest points a window may hold for the point to be scored.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, or one record per point, depending on `output`.
+ *                  Detailed records carry the window's `mean` and `std`.
+ */
+function movingZscore( data, options ) {
+    const opts = detectorOptions( options, "threshold" );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
+    const threshold = parseThreshold( opts.threshold, 3 );
+    const tail = parseTail( opts.tail );
+    const { window, align, minPoints } = windowOptions( opts );
+
+    const records = validatedData.map( ( value, index ) => {
+        const ref = referenceWindow( validatedData, index, window, align );
+        const record = {
+            "index": index,
+            "value": value,
+            "score": null,
+            "threshold": threshold,
+            "lower": null,
+            "upper": null,
+            "outlier": false,
+            "direction": null,
+            "mean": null,
+            "std": null
+        };
+        if ( ref.length >= minPoints ) {
+            record.mean = ss.mean( ref );
+            record.std = ss.sampleStandardDeviation( ref );
+            record.score = scaledScore( value, record.mean, record.std );
+            record.lower = record.mean - threshold * record.std;
+            record.upper = record.mean + threshold * record.std;
+            record.direction = direction( record.score, -threshold, threshold, tail );
+            record.outlier = record.direction !== null;
+        }
+        return record;
+    } );
+
+    return formatOutput( records, opts.output, prepared );
+}
+module.exports.movingZscore = movingZscore;
+
+/**
+ * Applies the Hampel filter: each point is compared with the median of a window of neighboring
+ * points, and flagged when it lies more than `threshold` scaled MADs (MAD / 0.6745) from it.
+ *
+ * The point itself is not part of its window. Points whose window holds fewer than `minPoints`
+ * values are not scored.
+ *
+ * With `"output": "cleaned"`, the series is returned with every flagged point replaced by its window's
+ * median. The cleaned series is aligned with the input; points dropped as missing are `null`.
+ *
+ * @param {number[]} data - The series to analyze, in time order.
+ * @param {number|Object} [options=3] - The threshold, or an options object.
+ * @param {number} [options.threshold=3] - The number of scaled MADs beyond which a point is flagged.
+ * @param {number} [options.window=10] - The number of points in each window.
+ * @param {string} [options.align="trailing"] - "trailing" (the points before) or "centered" (the points around).
+ * @param {number} [options.minPoints=3] - The fewest points a window may hold for the point to be scored.
+ * @param {string} [options.output="values"] - "values", "mask", "detailed" or "cleaned".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, one record per point, or the cleaned series, depending on `output`.
+ *                  Detailed records carry the window's `median` and `mad`.
+ */
+function hampel( data, options ) {
+    const opts = detectorOptions( options, "threshold" );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
+    const threshold = parseThreshold( opts.threshold, 3 );
+    const tail = parseTail( opts.tail );
+    const { window, align, minPoints } = windowOptions( opts );
+
+    const records = validatedData.map( ( value, index ) => {
+        const ref = referenceWindow( validatedData, index, window, align );
+        const record = {
+            "index": index,
+            "value": value,
+            "score": null,
+            "threshold": threshold,
+            "lower": null,
+            "upper": null,
+            "outlier": false,
+            "direction": null,
+            "median": null,
+            "mad": null
+        };
+        if ( ref.length >= minPoints ) {
+            record.median = ss.median( ref );
+            record.mad = ss.medianAbsoluteDeviation( ref );
+            const scale = record.mad / 0.6745; // The MAD scaled to estimate the standard deviation
+            record.score = scaledScore( value, record.median, scale );
+            record.lower = record.median - threshold * scale;
+            record.upper = record.median + threshold * scale;
+            record.direction = direction( record.score, -threshold, threshold, tail );
+            record.outlier = record.direction !== null;
+        }
+        return record;
+    } );
+
+    if ( opts.output === "cleaned" ) {
+        const cleaned = new Array( prepared.length ).fill( null );
+        records.forEach( r => {
+            cleaned[ prepared.index[ r.index ] ] = r.outlier ? r.median : r.value;
+        } );
+        return cleaned;
+    }
+    return formatOutput( records, opts.output, prepared );
+}
+module.exports.hampel = hampel;
+
 /*
     NOTES:
         Zone X:
@@ -196,33 +820,178 @@ module.exports.zscore = zscore;
             appear in standard control chart documentation.
 */
 
+/**
+ * Calculates the Qn scale estimator of Rousseeuw and Croux (1993): the first quartile of the distances
+ * between all pairs of points, scaled to estimate the standard deviation of normal data. Like the MAD,
+ * it resists outliers (up to half the data), but it does not assume a symmetric distribution and is
+ * nearly as efficient as the standard deviation.
+ *
+ * The kth smallest distance is found by bisection on its value, so memory stays linear in the data.
+ *
+ * @param {number[]} data - The data.
+ * @returns {number} The Qn estimate of the standard deviation.
+ * @throws {Error} If there are fewer than 2 points.
+ */
+function qn( data ) {
+    const sorted = validate( data ).slice().sort( ( a, b ) => a - b );
+    const n = sorted.length;
+    if ( n < 2 ) {
+        throw new Error( "Qn needs at least 2 points." );
+    }
+    const h = Math.floor( n / 2 ) + 1;
+    const k = h * ( h - 1 ) / 2;
+
+    // The number of pairs no further apart than t
+    const pairsWithin = t => {
+        let count = 0;
+        let j = 0;
+        for ( let i = 0; i < n; i++ ) {
+            j = Math.max( j, i );
+            while ( j + 1 < n && sorted[ j + 1 ] - sorted[ i ] <= t ) {
+                j++;
+            }
+            count += j - i;
+        }
+        return count;
+    };
+
+    // Narrow the kth smallest distance down to ( lo, hi ], then check the few distinct distances left there
+    let lo = -1;
+    let hi = sorted[ n - 1 ] - sorted[ 0 ];
+    for ( let iteration = 0; iteration < 200; iteration++ ) {
+        const mid = ( lo + hi ) / 2;
+        if ( mid <= lo || mid >= hi ) {
+            break;
+        }
+        if ( pairsWithin( mid ) >= k ) {
+            hi = mid;
+        }
+        else {
+            lo = mid;
+        }
+    }
+    const candidates = new Set();
+    let first = 1;
+    for ( let i = 0; i < n - 1; i++ ) {
+        // The first point further than lo from point i only moves right as i does
+        first = Math.max( first, i + 1 );
+        while ( first < n && sorted[ first ] - sorted[ i ] <= lo ) {
+            first++;
+        }
+        for ( let j = first; j < n && sorted[ j ] - sorted[ i ] <= hi; j++ ) {
+            candidates.add( sorted[ j ] - sorted[ i ] );
+        }
+    }
+    const distance = [ ...candidates ].sort( ( a, b ) => a - b ).find( d => pairsWithin( d ) >= k );
+
+    // Consistency with the normal standard deviation, 1 / ( √2 Φ⁻¹( 5 / 8 ) ), and the small-sample correction
+    const smallSample = [ 0.399, 0.994, 0.512, 0.844, 0.611, 0.857, 0.669, 0.872 ];
+    let correction;
+    if ( n <= 9 ) {
+        correction = smallSample[ n - 2 ];
+    }
+    else {
+        correction = n % 2 ? n / ( n + 1.4 ) : n / ( n + 3.8 );
+    }
+    return correction * distance / ( Math.SQRT2 * jstat.normal.inv( 0.625, 0, 1 ) );
+}
+module.exports.qn = qn;
+
+// The center and scale estimators that Zone can be built with
+const zoneCenters = [ "mean", "median" ];
+const zoneScales = [ "std", "mad", "qn", "movingRange" ];
+
+/**
+ * Estimates the scale of the data for a Zone, on one or both sides of the center line.
+ *
+ * @param {number[]} data - The data.
+ * @param {number} center - The center line.
+ * @param {string} scale - "std", "mad", "qn" or "movingRange".
+ * @param {string} [side="both"] - "both", or "upper" or "lower" to use only the points on that side of the center
+ *                                 (for "std" and "mad" only).
+ * @returns {number} The scale, as an estimate of the standard deviation.
+ */
+function zoneScale( data, center, scale, side = "both" ) {
+    const points = side === "both" ? data : data.filter( val => ( side === "upper" ? val >= center : val <= center ) );
+    switch ( scale ) {
+        case "mad":
+            // The median absolute deviation around the center line, scaled to the normal standard deviation
+            return 1.4826 * ss.median( points.map( val => Math.abs( val - center ) ) );
+        case "qn":
+            return qn( data );
+        case "movingRange":
+            // The average moving range over d2 for n = 2, as in imr()
+            return ss.mean( data.slice( 1 ).map( ( val, i ) => Math.abs( val - data[ i ] ) ) ) / rangeConstants.d2[ 0 ];
+        default:
+            // The root mean square deviation from the center line; the standard deviation for a mean center
+            return Math.sqrt( ss.mean( points.map( val => ( val - center ) ** 2 ) ) );
+    }
+}
+
 /**
  * Class representing a Zone.
  * A Zone is used to categorize data points into statistical ranges (zones) based on their
  * distance from the mean in terms of standard deviations.
+ *
+ * The outliers being hunted for inflate the mean and standard deviation, so the center line may
+ * instead be the median, and the scale a robust estimate of the standard deviation. For skewed data,
+ * the scale may be estimated separately above and below the center line (e.g. the double MAD), which
+ * gives zones of different widths on either side.
  */
 class Zone {
     /**
      * Constructs a Zone instance.
      * @param {number[]} data - An array of numerical data points.
+     * @param {Object} [options={}] - Optional configuration object.
+     * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+     * @param {Object} [options.limits] - Frozen limits from `fitLimits()`. The zones are then built around the
+     *                                    baseline's center and sigma, which are stored as `mean` and `std`.
+     * @param {string} [options.center="mean"] - The center line: "mean" or "median".
+     * @param {string} [options.scale="std"] - The scale: "std" (the standard deviation), "mad" (the median absolute
+     *                                         deviation), "qn" (see `qn()`) or "movingRange" (MR̄ / d2, as in `imr()`).
+     * @param {boolean} [options.asymmetric=false] - Estimate the "std" or "mad" scale separately from the points above
+     *                                               and below the center line.
+     * @throws {Error} If the center or scale is not recognized, or an asymmetric scale is not "std" or "mad".
      */
-    constructor( data ) {
-        // Validate the input data and store it
-        const _data = validate( data );
+    constructor( data, options = {} ) {
+        // Validate the input data and store it, along with the caller's original index for each point
+        const prepared = prepare( data, options.missing );
+        const _data = prepared.data;
         this.data = _data;
-
-        // Calculate statistical measures for the data
-        this.mean = ss.mean( _data ); // Mean of the data
-        this.std = ss.standardDeviation( _data ); // Standard deviation of the data
+        this.index = prepared.index;
+
+        // Calculate statistical measures for the data, or take them from the baseline
+        if ( options.limits ) {
+            const limits = parseLimits( options.limits );
+            this.mean = limits.center; // Center line of the baseline
+            this.std = limits.sigma; // Sigma of the baseline
+            this.upper = this.std;
+            this.lower = this.std;
+        }
+        else {
+            const center = options.center || "mean";
+            const scale = options.scale || "std";
+            if ( !zoneCenters.includes( center ) || !zoneScales.includes( scale ) ) {
+                throw new Error( `Zones are centered on the ${zoneCenters.join( " or " )}, with a scale of ${zoneScales.join( ", " )}.` );
+            }
+            if ( options.asymmetric && scale !== "std" && scale !== "mad" ) {
+                throw new Error( "Only the std and mad scales can be asymmetric." );
+            }
+            // With the defaults, these are the mean and standard deviation of the data
+            this.mean = center === "median" ? ss.median( _data ) : ss.mean( _data ); // Center line
+            this.std = zoneScale( _data, this.mean, scale ); // Scale, on both sides
+            this.upper = options.asymmetric ? zoneScale( _data, this.mean, scale, "upper" ) : this.std; // Scale above the center line
+            this.lower = options.asymmetric ? zoneScale( _data, this.mean, scale, "lower" ) : this.std; // Scale below the center line
+        }
         this.median = ss.median( _data ); // Median of the data
 
-        // Define zones A, B, and C based on standard deviations from the mean
+        // Define zones A, B, and C based on standard deviations from the center line
         this.zones = [ "C", "B", "A" ].map( ( zone, index ) => {
             const factor = index + 1; // Factor increases with each zone
             return {
                 name: zone, // Zone name
-                max: this.mean + ( this.std * factor ), // Upper bound of the zone
-                min: this.mean - ( this.std * factor ) // Lower bound of the zone
+                max: this.mean + ( this.upper * factor ), // Upper bound of the zone
+                min: this.mean - ( this.lower * factor ) // Lower bound of the zone
             };
         } );
 
@@ -286,22 +1055,747 @@ const rules = {
     // Rule Golf: 15 or more consecutive points in Zone C (1 sigma)
     "golf": "15+ consecutive points in Zone C (Prob. < 0.00326)", // Indicates very low variability
     // Rule Hotel: 14 or more consecutive points alternating up and down
-    "hotel": "14+ consecutive points alternating up and down" // Indicates a systematic oscillation
+    "hotel": "14+ consecutive points alternating up and down", // Indicates a systematic oscillation
+    // Rule India: 2 consecutive points beyond Zone B (2 sigma), on opposite sides (Westgard R-4s); not in the default set
+    "india": "2 consecutive points in Zone A or beyond, on opposite sides of the average" // Indicates random error
 };
 module.exports.rules = rules;
 
 /**
- * Analyzes statistical patterns in a dataset and detects various control chart patterns.
+ * Finds every window of `size` consecutive points that passes a test.
  *
- * @param {Object|Array} data - The input data, either as an object with a `data` property or as an array.
- * @param {boolean} _collapse - A flag indicating whether to collapse the result.
- * @returns {Object} The result object containing statistical measures, outliers, and detected patterns.
+ * @param {number} n - The number of points.
+ * @param {number} size - The number of points in each window.
+ * @param {Function} test - Called with the indices of a window; returns true if the window violates the rule.
+ * @returns {number[][]} The indices of each violating window, in order of their first point.
+ */
+function violatingWindows( n, size, test ) {
+    const out = [];
+    for ( let i = 0; i + size <= n; i++ ) {
+        const pts = [];
+        for ( let j = i; j < i + size; j++ ) {
+            pts.push( j );
+        }
+        if ( test( pts ) ) {
+            out.push( pts );
+        }
+    }
+    return out;
+}
+
+/**
+ * Tests whether at least `count` points of a window pass a test, optionally all on the same side
+ * of the center line.
  *
- * @property {Array} 1sigma - Range within one standard deviation from the mean.
- * @property {Array} 2sigma - Range within two standard deviations from the mean.
+ * @param {Object} ctx - The chart: `{ data, zones, center, sigma }`.
+ * @param {number[]} pts - The indices of the window.
+ * @param {Function} hit - Called with the index of a point; returns true if the point counts.
+ * @param {number} count - The number of points required.
+ * @param {boolean} sameSide - Whether the counted points must lie on the same side of the center line.
+ * @returns {boolean} True if the window has enough points that pass.
+ */
+function enoughHits( ctx, pts, hit, count, sameSide ) {
+    const hits = pts.filter( hit );
+    if ( !sameSide ) {
+        return hits.length >= count;
+    }
+    const above = hits.filter( j => ctx.data[ j ] > ctx.center ).length;
+    return above >= count || hits.length - above >= count;
+}
+
+/**
+ * Tests whether at least `count` points of a window lie in a set of zones, optionally all on the
+ * same side of the center line.
+ *
+ * @param {Object} ctx - The chart: `{ data, zones, center, sigma }`.
+ * @param {number[]} pts - The indices of the window.
+ * @param {string[]} zoneSet - The zones that count.
+ * @param {number} count - The number of points required.
+ * @param {boolean} sameSide - Whether the counted points must lie on the same side of the center line.
+ * @returns {boolean} True if the window has enough points in the zones.
+ */
+function inZones( ctx, pts, zoneSet, count, sameSide ) {
+    return enoughHits( ctx, pts, j => zoneSet.includes( ctx.zones[ j ] ), count, sameSide );
+}
+
+/**
+ * Tests whether every point of a window lies strictly on the same side of the center line.
+ *
+ * @param {Object} ctx - The chart: `{ data, zones, center, sigma }`.
+ * @param {number[]} pts - The indices of the window.
+ * @param {string} [side="either"] - "either", "upper" or "lower": the side(s) that count.
+ * @returns {boolean} True if the points are all above or all below the center line.
+ */
+function oneSide( ctx, pts, side = "either" ) {
+    return ( side !== "lower" && pts.every( j => ctx.data[ j ] > ctx.center ) ) ||
+        ( side !== "upper" && pts.every( j => ctx.data[ j ] < ctx.center ) );
+}
+
+/**
+ * Tests whether the points of a window are strictly increasing or strictly decreasing.
+ *
+ * @param {Object} ctx - The chart: `{ data, zones, center, sigma }`.
+ * @param {number[]} pts - The indices of the window.
+ * @param {string} [trend="either"] - "either", "up" or "down": the direction(s) that count.
+ * @returns {boolean} True if the points trend up or down.
+ */
+function monotonic( ctx, pts, trend = "either" ) {
+    const steps = pts.slice( 1 ).map( ( j, k ) => ctx.data[ j ] - ctx.data[ pts[ k ] ] );
+    return ( trend !== "down" && steps.every( d => d > 0 ) ) || ( trend !== "up" && steps.every( d => d < 0 ) );
+}
+
+/**
+ * Tests whether the points of a window alternate up and down.
+ *
+ * @param {Object} ctx - The chart: `{ data, zones, center, sigma }`.
+ * @param {number[]} pts - The indices of the window.
+ * @returns {boolean} True if every step changes direction, with no two equal neighbors.
+ */
+function alternating( ctx, pts ) {
+    const steps = pts.slice( 1 ).map( ( j, k ) => ctx.data[ j ] - ctx.data[ pts[ k ] ] );
+    return steps.every( ( d, k ) => d !== 0 && ( k === 0 || Math.sign( d ) !== Math.sign( steps[ k - 1 ] ) ) );
+}
+
+// The zones at or beyond each zone, used by the rules below
+const zonesBeyondA = [ "A", "X" ];
+const zonesBeyondB = [ "B", "A", "X" ];
+
+/*
+    The built-in control chart rules.
+
+    Each rule has default parameters, a description built from its parameters, and a `detect`
+    function that returns the indices of the violating windows for a chart `{ data, zones, center, sigma }`.
+    Rule sets (below) choose which rules apply and may override their parameters. Custom rules are
+    added with `registerRule()`.
+*/
+const ruleDefinitions = {
+    "alpha": {
+        "params": {},
+        "describe": () => "1+ points beyond Zone A",
+        // Single points are reported as bare indices
+        "detect": ctx => ctx.zones.reduce( ( out, zone, i ) => ( zone === "X" ? out.concat( [ i ] ) : out ), [] )
+    },
+    "bravo": {
+        "params": {
+            "count": 2,
+            "window": 3,
+            "sameSide": false
+        },
+        "describe": p => `${p.count} out of ${p.window} consecutive points in Zone A or beyond${p.sameSide ? ", on the same side" : ""}`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.window, pts => inZones( ctx, pts, zonesBeyondA, p.count, p.sameSide ) )
+    },
+    "charlie": {
+        "params": {
+            "count": 4,
+            "window": 5,
+            "sameSide": false
+        },
+        "describe": p => `${p.count} out of ${p.window} consecutive points in Zone B or beyond${p.sameSide ? ", on the same side" : ""}`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.window, pts => inZones( ctx, pts, zonesBeyondB, p.count, p.sameSide ) )
+    },
+    "delta": {
+        "params": {
+            "length": 7
+        },
+        "describe": p => `${p.length}+ consecutive points on one side of the average`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.length, pts => oneSide( ctx, pts ) )
+    },
+    "echo": {
+        "params": {
+            "length": 7
+        },
+        "describe": p => `${p.length}+ consecutive points trending up or down`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.length, pts => monotonic( ctx, pts ) )
+    },
+    "foxtrot": {
+        "params": {
+            "length": 8
+        },
+        "describe": p => `${p.length}+ consecutive points with no points in Zone C`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.length, pts => inZones( ctx, pts, zonesBeyondB, p.length, false ) )
+    },
+    "golf": {
+        "params": {
+            "length": 15
+        },
+        "describe": p => `${p.length}+ consecutive points in Zone C`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.length, pts => inZones( ctx, pts, [ "C" ], p.length, false ) )
+    },
+    "hotel": {
+        "params": {
+            "length": 14
+        },
+        "describe": p => `${p.length}+ consecutive points alternating up and down`,
+        "detect": ( ctx, p ) => violatingWindows( ctx.data.length, p.length, pts => alternating( ctx, pts ) )
+    },
+    "india": {
+        "params": {},
+        "describe": () => "2 consecutive points in Zone A or beyond, on opposite sides of the average",
+        "detect": ctx => violatingWindows( ctx.data.length, 2, pts => inZones( ctx, pts, zonesBeyondA, 2, false ) && !oneSide( ctx, pts ) )
+    }
+};
+
+/*
+    Named rule sets. Each maps the rules it applies to the parameters it overrides.
+
+    - divinator: the historical default, all eight of alpha to hotel
+    - westernElectric: the four Western Electric zone rules
+    - nelson: the eight Nelson rules
+    - aiag: the AIAG SPC manual's limit, run and trend rules
+    - westgard: the Westgard multirules 1-3s, 2-2s, R-4s, 4-1s and 10-x
+*/
+const ruleSets = {
+    "divinator": {
+        "alpha": {},
+        "bravo": {},
+        "charlie": {},
+        "delta": {},
+        "echo": {},
+        "foxtrot": {},
+        "golf": {},
+        "hotel": {}
+    },
+    "westernElectric": {
+        "alpha": {},
+        "bravo": { "sameSide": true },
+        "charlie": { "sameSide": true },
+        "delta": { "length": 8 }
+    },
+    "nelson": {
+        "alpha": {},
+        "bravo": { "sameSide": true },
+        "charlie": { "sameSide": true },
+        "delta": { "length": 9 },
+        "echo": { "length": 6 },
+        "foxtrot": { "length": 8 },
+        "golf": { "length": 15 },
+        "hotel": { "length": 14 }
+    },
+    "aiag": {
+        "alpha": {},
+        "delta": { "length": 7 },
+        "echo": { "length": 7 }
+    },
+    "westgard": {
+        "alpha": {},
+        "bravo": { "count": 2, "window": 2, "sameSide": true },
+        "india": {},
+        "charlie": { "count": 4, "window": 4, "sameSide": true },
+        "delta": { "length": 10 }
+    }
+};
+module.exports.ruleSets = ruleSets;
+
+// Parameters accepted by each type of declarative rule, with their defaults
+const ruleTypes = {
+    "kOfN": {
+        "count": undefined,
+        "window": undefined,
+        "zones": undefined,
+        "beyond": undefined,
+        "sameSide": false
+    },
+    "sameSide": {
+        "length": undefined,
+        "side": "either"
+    },
+    "monotonic": {
+        "length": undefined,
+        "trend": "either"
+    },
+    "alternating": {
+        "length": undefined
+    }
+};
+
+// Keys of the `patterns()` result that are not rules, which a rule's violations would overwrite, and the
+// name `runLengths()` gives the rules combined
+const resultKeys = [
+    "1sigma", "2sigma", "3sigma", "4sigma", "5sigma", "center", "scale", "jarqueBera", "kurtosis", "max", "mean",
+    "median", "medianAbsoluteDeviation", "min", "mode", "outliers", "sampleCorrelation", "skewness", "spread",
+    "standardDeviation", "pValue", "zScoreMin", "poisson", "rules", "limits", "timestamps", "combined"
+];
+
+// Event names `patterns()` emits, or that EventEmitter treats specially, which a rule's own event cannot take
+const reservedRuleNames = [ "violation", "end", "error", "newListener", "removeListener" ];
+
+/**
+ * Registers a custom control chart rule, described declaratively, next to the built-in rules.
+ *
+ * Rule types:
+ * - "kOfN": at least `count` of `window` consecutive points lie in a set of `zones` (e.g. `[ "A", "X" ]`)
+ *   or more than `beyond` standard deviations from the average; with `sameSide`, the counted points must
+ *   all lie on the same side of the average
+ * - "sameSide": `length` consecutive points on one `side` of the average ("either", "upper" or "lower")
+ * - "monotonic": `length` consecutive points with a `trend` ("either", "up" or "down")
+ * - "alternating": `length` consecutive points alternating up and down
+ *
+ * Registered rules are not part of any rule set; enable them with the `rules` option of `patterns()`,
+ * which may also override their parameters. They are reported in the same shape as the built-in rules.
+ *
+ * @param {string} name - The rule's name.
+ * @param {Object} spec - The rule: its `type`, the parameters for that type, and an optional `description`.
+ * @param {Object} [options] - The options.
+ * @param {boolean} [options.replace=false] - Replace a custom rule already registered under the name.
+ * @throws {Error} If the name is a key of the `patterns()` result or reserved for an event, is taken by a
+ *                 built-in rule, or by a custom rule without `replace`, or the spec is not valid.
+ *
+ * @example
+ * registerRule( "kilo", { "type": "kOfN", "count": 3, "window": 4, "beyond": 1.5, "sameSide": true } );
+ * patterns( data, { "rules": { "kilo": true } } ).kilo; // [ [ 12, 13, 14, 15 ], ... ]
+ */
+function registerRule( name, spec, options = {} ) {
+    if ( typeof name !== "string" || !name ) {
+        throw new Error( "Please pass a name for the rule." );
+    }
+    if ( resultKeys.includes( name ) ) {
+        throw new Error( `"${name}" is reserved for a key of the patterns() result and cannot name a rule.` );
+    }
+    if ( reservedRuleNames.includes( name ) ) {
+        throw new Error( `"${name}" is reserved for the events of patterns() and cannot name a rule.` );
+    }
+    const exists = Object.prototype.hasOwnProperty.call( ruleDefinitions, name );
+    if ( exists && !ruleDefinitions[ name ].custom ) {
+        throw new Error( `"${name}" is a built-in rule and cannot be replaced.` );
+    }
+    if ( exists && !options.replace ) {
+        throw new Error( `Rule "${name}" is already registered. Pass { "replace": true } to replace it.` );
+    }
+    if ( !spec || !ruleTypes[ spec.type ] ) {
+        throw new Error( `Rule "${name}" needs a type: ${Object.keys( ruleTypes ).join( ", " )}.` );
+    }
+
+    // Keep only the parameters of the rule's type, filling in the defaults
+    const params = {};
+    for ( const key of Object.keys( ruleTypes[ spec.type ] ) ) {
+        const value = spec[ key ] === undefined ? ruleTypes[ spec.type ][ key ] : spec[ key ];
+        if ( value !== undefined ) {
+            params[ key ] = value;
+        }
+    }
+    const required = spec.type === "kOfN" ? [ "count", "window" ] : [ "length" ];
+    for ( const key of required ) {
+        if ( !( Number.isInteger( params[ key ] ) && params[ key ] >= 1 ) ) {
+            throw new Error( `The ${key} of rule "${name}" must be a positive integer.` );
+        }
+    }
+    if ( spec.type === "kOfN" ) {
+        if ( ( params.zones === undefined ) === ( params.beyond === undefined ) ) {
+            throw new Error( `Rule "${name}" needs either zones or a beyond distance, but not both.` );
+        }
+        if ( params.zones !== undefined && !( Array.isArray( params.zones ) && params.zones.length && params.zones.every( zone => [ "A", "B", "C", "X" ].includes( zone ) ) ) ) {
+            throw new Error( `The zones of rule "${name}" must be a list of "A", "B", "C" and "X".` );
+        }
+    }
+    if ( params.side !== undefined && ![ "either", "upper", "lower" ].includes( params.side ) ) {
+        throw new Error( `The side of rule "${name}" must be "either", "upper" or "lower".` );
+    }
+    if ( params.trend !== undefined && ![ "either", "up", "down" ].includes( params.trend ) ) {
+        throw new Error( `The trend of rule "${name}" must be "either", "up" or "down".` );
+    }
+
+    // Describe the rule from its (possibly overridden) parameters, unless a description was passed
+    const describe = p => {
+        if ( spec.description ) {
+            return spec.description;
+        }
+        switch ( spec.type ) {
+            case "kOfN":
+                return `${p.count} out of ${p.window} consecutive points ${p.zones ? `in Zone ${p.zones.join( ", " )}` : `beyond ${p.beyond} sigma`}${p.sameSide ? ", on the same side" : ""}`;
+            case "sameSide":
+                return `${p.length}+ consecutive points ${p.side === "either" ? "on one side of" : ( p.side === "upper" ? "above" : "below" )} the average`;
+            case "monotonic":
+                return `${p.length}+ consecutive points trending ${p.trend === "either" ? "up or down" : p.trend}`;
+            default:
+                return `${p.length}+ consecutive points alternating up and down`;
+        }
+    };
+
+    const detect = ( ctx, p ) => {
+        const n = ctx.data.length;
+        switch ( spec.type ) {
+            case "kOfN": {
+                // Distances beyond the center line are measured in the sigma of their own side
+                const beyond = j => ( ctx.data[ j ] > ctx.center ? ctx.data[ j ] - ctx.center > p.beyond * ( ctx.upper || ctx.sigma ) : ctx.center - ctx.data[ j ] > p.beyond * ( ctx.lower || ctx.sigma ) );
+                const hit = p.zones ? j => p.zones.includes( ctx.zones[ j ] ) : beyond;
+                return violatingWindows( n, p.window, pts => enoughHits( ctx, pts, hit, p.count, p.sameSide ) );
+            }
+            case "sameSide":
+                return violatingWindows( n, p.length, pts => oneSide( ctx, pts, p.side ) );
+            case "monotonic":
+                return violatingWindows( n, p.length, pts => monotonic( ctx, pts, p.trend ) );
+            default:
+                return violatingWindows( n, p.length, pts => alternating( ctx, pts ) );
+        }
+    };
+
+    ruleDefinitions[ name ] = {
+        params,
+        describe,
+        detect,
+        "type": spec.type,
+        "custom": true
+    };
+    rules[ name ] = describe( params ); // List the rule's description next to the built-in ones
+    falseAlarmCache = null;
+}
+module.exports.registerRule = registerRule;
+
+/**
+ * Removes a custom control chart rule added with `registerRule()`, along with its description in `rules`.
+ *
+ * @param {string} name - The rule's name.
+ * @returns {boolean} True if a rule was removed, false if no custom rule was registered under the name.
+ * @throws {Error} If the name is that of a built-in rule.
+ */
+function unregisterRule( name ) {
+    if ( !Object.prototype.hasOwnProperty.call( ruleDefinitions, name ) ) {
+        return false;
+    }
+    if ( !ruleDefinitions[ name ].custom ) {
+        throw new Error( `"${name}" is a built-in rule and cannot be removed.` );
+    }
+    delete ruleDefinitions[ name ];
+    delete rules[ name ];
+    falseAlarmCache = null;
+    return true;
+}
+module.exports.unregisterRule = unregisterRule;
+
+/**
+ * Builds the chart the rules are checked against from a Zone.
+ *
+ * @param {Zone} z - The Zone.
+ * @returns {Object} The chart: `{ data, zones, center, sigma, upper, lower }`, with `upper` and `lower` the
+ *                   sigma above and below the center line.
+ */
+function chartOf( z ) {
+    return {
+        "data": z.data,
+        "zones": z.dataZones,
+        "center": z.mean,
+        "sigma": z.std,
+        "upper": z.upper,
+        "lower": z.lower
+    };
+}
+
+/**
+ * Checks a chart against a set of resolved rules.
+ *
+ * @param {Object} chart - The chart: `{ data, zones, center, sigma }`.
+ * @param {Object} applied - The rules, as returned by `resolveRules()`.
+ * @returns {Object} The violations of each rule, by rule name: bare indices for alpha, windows of indices otherwise.
+ */
+function detectRules( chart, applied ) {
+    const out = {};
+    for ( const rule of Object.keys( applied ) ) {
+        out[ rule ] = ruleDefinitions[ rule ].detect( chart, applied[ rule ] );
+    }
+    return out;
+}
+
+/**
+ * Resolves a rule set and per-rule overrides into the rules that `patterns()` applies.
+ *
+ * @param {string} [ruleSet="divinator"] - The name of a rule set in `ruleSets`.
+ * @param {Object} [overrides={}] - Per-rule settings by rule name: `false` to disable the rule, `true` to
+ *                                  enable it with its default parameters, or an object of parameters to
+ *                                  enable it with, e.g. `{ "delta": { "length": 9 }, "hotel": false }`.
+ * @returns {Object} The applied rules by name, each with its `description` and parameters.
+ * @throws {Error} If the rule set, a rule or one of its parameters is not recognized, or a parameter is out of range.
+ */
+function resolveRules( ruleSet = "divinator", overrides = {} ) {
+    if ( !Object.prototype.hasOwnProperty.call( ruleSets, ruleSet ) ) {
+        throw new Error( `Unknown rule set "${ruleSet}". Please use one of: ${Object.keys( ruleSets ).join( ", " )}.` );
+    }
+    if ( overrides === null || typeof overrides !== "object" || Array.isArray( overrides ) ) {
+        throw new Error( "The rules must be an object of per-rule settings, by rule name." );
+    }
+    const selected = { ...ruleSets[ ruleSet ] };
+    for ( const name of Object.keys( overrides ) ) {
+        if ( !Object.prototype.hasOwnProperty.call( ruleDefinitions, name ) ) {
+            throw new Error( `Unknown rule "${name}". Available rules: ${Object.keys( ruleDefinitions ).join( ", " )}.` );
+        }
+        if ( typeof overrides[ name ] !== "boolean" && !( overrides[ name ] && typeof overrides[ name ] === "object" && !Array.isArray( overrides[ name ] ) ) ) {
+            throw new Error( `The setting of rule "${name}" must be true, false or an object of parameters.` );
+        }
+
+        // A misspelled parameter would otherwise be ignored, leaving the rule at its default
+        const known = Object.keys( ruleDefinitions[ name ].custom ? ruleTypes[ ruleDefinitions[ name ].type ] : ruleDefinitions[ name ].params );
+        for ( const key of typeof overrides[ name ] === "object" ? Object.keys( overrides[ name ] ) : [] ) {
+            if ( !known.includes( key ) ) {
+                throw new Error( `Rule "${name}" has no parameter "${key}". Its parameters: ${known.join( ", " ) || "none"}.` );
+            }
+        }
+        if ( overrides[ name ] === false ) {
+            delete selected[ name ];
+        }
+        else if ( overrides[ name ] === true ) {
+            selected[ name ] = Object.prototype.hasOwnProperty.call( selected, name ) ? selected[ name ] : {};
+        }
+        else {
+            selected[ name ] = { ...selected[ name ], ...overrides[ name ] };
+        }
+    }
+
+    // Fill in the defaults and check the parameters, keeping the rules in their usual order
+    const out = {};
+    for ( const name of Object.keys( ruleDefinitions ).filter( n => Object.prototype.hasOwnProperty.call( selected, n ) ) ) {
+        const params = { ...ruleDefinitions[ name ].params, ...selected[ name ] };
+        for ( const key of [ "count", "window", "length" ] ) {
+            if ( params[ key ] !== undefined && !( Number.isInteger( params[ key ] ) && params[ key ] >= 1 ) ) {
+                throw new Error( `The ${key} of rule "${name}" must be a positive integer.` );
+            }
+        }
+        if ( params.count > params.window ) {
+            throw new Error( `The count of rule "${name}" cannot be larger than its window.` );
+        }
+        if ( params.beyond !== undefined && !( params.beyond >= 0 ) ) {
+            throw new Error( `The beyond distance of rule "${name}" must be a number of standard deviations.` );
+        }
+        out[ name ] = {
+            "description": ruleDefinitions[ name ].describe( params ),
+            ...params
+        };
+    }
+    return out;
+}
+module.exports.resolveRules = resolveRules;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so simulations can be repeated.
+ * Not for cryptographic use; see `getSecureRandomValue()` for that.
+ *
+ * @param {number} seed - The seed, a 32-bit integer.
+ * @returns {Function} A function returning the next value between 0 (inclusive) and 1 (exclusive).
+ */
+function seededRandom( seed ) {
+    let state = seed >>> 0;
+    return () => {
+        state = ( state + 0x6D2B79F5 ) >>> 0;
+        let t = state;
+        t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+        t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+        return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+    };
+}
+
+/**
+ * Measures the run lengths of a set of rules on one simulated series.
+ *
+ * Each run starts after the previous signal, as if the chart were reset, so a violation only ends
+ * a run if all of its points fall within it.
+ *
+ * @param {number[]} values - The simulated series, in sigmas from the center line.
+ * @param {Object} applied - The rules, as returned by `resolveRules()`.
+ * @returns {Object} `{ rules, combined }`: for each rule (by name), and for any rule, the number of
+ *                   points that end a violation, and the number of completed runs and their total length.
+ */
+function simulatedRuns( values, applied ) {
+    const z = new Zone( values, {
+        "limits": {
+            "center": 0,
+            "sigma": 1
+        }
+    } );
+    const violations = detectRules( chartOf( z ), applied );
+
+    // Walk the violations, as [ start, end ], in order of their end, starting a new run after each signal
+    const count = windows => {
+        const ends = new Set( windows.map( w => w[ 1 ] ) );
+        const sorted = windows.slice().sort( ( a, b ) => a[ 1 ] - b[ 1 ] || a[ 0 ] - b[ 0 ] );
+        let restart = 0;
+        let runs = 0;
+        for ( const [ start, end ] of sorted ) {
+            if ( start >= restart ) {
+                runs++;
+                restart = end + 1;
+            }
+        }
+        return {
+            "signals": ends.size,
+            "runs": runs,
+            "length": restart
+        };
+    };
+
+    // Each rule alone, and all of them together, kept apart so that no rule's name can clash with the aggregate
+    const out = {};
+    const all = [];
+    for ( const rule of Object.keys( applied ) ) {
+        const windows = violations[ rule ].map( pts => ( Array.isArray( pts ) ? [ pts[ 0 ], pts[ pts.length - 1 ] ] : [ pts, pts ] ) );
+        out[ rule ] = count( windows );
+        all.push( ...windows );
+    }
+    return {
+        "rules": out,
+        "combined": count( all )
+    };
+}
+
+/**
+ * Computes the false-alarm rate and average run lengths (ARL) of a rule set by seeded simulation.
+ *
+ * A long series of standard normal points is simulated, once in control and once shifted by `shift`
+ * sigmas, and checked against the rules with the center line at 0 and sigma 1. The false-alarm rate
+ * is the share of in-control points that complete a violation. The ARL is the average number of points
+ * from a (re)start of the chart to its first signal: ARL0 in control, where larger is better, and ARL1
+ * after the shift, where smaller is better. Both are given for each rule alone and for the rules combined.
+ *
+ * The same options and seed always give the same numbers. Rules that rarely signal in control (e.g.
+ * foxtrot) complete few runs; increase `length` for a more precise ARL0. A rule that never signals
+ * gets an ARL of Infinity.
+ *
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {string} [options.ruleSet="divinator"] - The rule set. See `patterns()`.
+ * @param {Object} [options.rules] - Per-rule overrides of the rule set. See `resolveRules()`.
+ * @param {number} [options.shift=1] - The shift of the process mean for ARL1, in sigmas.
+ * @param {number} [options.length=100000] - The number of points simulated, for each of ARL0 and ARL1.
+ * @param {number} [options.seed=1] - The seed of the simulation.
+ * @returns {Object} The statistics:
+ *   - {Object} rules: By rule name, the applied rule (its `description` and parameters) with its
+ *     `falseAlarmRate`, `arl0` and `arl1`.
+ *   - {Object} combined: The `falseAlarmRate`, `arl0` and `arl1` of all the rules together.
+ *   - {number} shift, length, seed: The options used.
+ * @throws {Error} If the rule set or rules are not valid, or the length is less than 1000.
+ *
+ * @example
+ * runLengths( { "ruleSet": "westernElectric" } ).combined;
+ * // { "falseAlarmRate": 0.019, "arl0": 90.4, "arl1": 9.2 }
+ */
+function runLengths( options = {} ) {
+    const applied = resolveRules( options.ruleSet, options.rules );
+    const shift = options.shift === undefined ? 1 : parseFloat( options.shift );
+    const length = options.length === undefined ? 100000 : parseInt( options.length, 10 );
+    const seed = options.seed === undefined ? 1 : parseInt( options.seed, 10 );
+    if ( !Number.isFinite( shift ) || !( length >= 1000 ) || !Number.isFinite( seed ) ) {
+        throw new Error( "The shift and seed must be numbers, and the length at least 1000." );
+    }
+
+    // Standard normal points from the seeded generator (Box-Muller)
+    const random = seededRandom( seed );
+    const simulate = offset => {
+        const values = [];
+        for ( let i = 0; i < length; i++ ) {
+            values.push( offset + Math.sqrt( -2 * Math.log( 1 - random() ) ) * Math.cos( 2 * Math.PI * random() ) );
+        }
+        return values;
+    };
+    const inControl = simulatedRuns( simulate( 0 ), applied );
+    const shifted = simulatedRuns( simulate( shift ), applied );
+    const stats = ( control, shift ) => ( {
+        "falseAlarmRate": control.signals / length,
+        "arl0": control.runs ? control.length / control.runs : Infinity,
+        "arl1": shift.runs ? shift.length / shift.runs : Infinity
+    } );
+
+    const out = {};
+    for ( const rule of Object.keys( applied ) ) {
+        out[ rule ] = {
+            ...applied[ rule ],
+            ...stats( inControl.rules[ rule ], shifted.rules[ rule ] )
+        };
+    }
+    return {
+        "rules": out,
+        "combined": stats( inControl.combined, shifted.combined ),
+        "shift": shift,
+        "length": length,
+        "seed": seed
+    };
+}
+module.exports.runLengths = runLengths;
+
+// The false-alarm rates of `falseAlarmRates`, computed on first use and dropped when a rule is (un)registered
+let falseAlarmCache = null;
+
+/**
+ * The in-control false-alarm rate of every rule with its default parameters, by rule name: the numbers
+ * behind the probabilities that `rules` gives in words, from `runLengths()` with its default options.
+ * The rates are computed the first time they are read.
+ *
+ * @name falseAlarmRates
+ * @type {Object}
+ *
+ * @example
+ * divinator.falseAlarmRates.alpha; // 0.00272
+ */
+Object.defineProperty( module.exports, "falseAlarmRates", {
+    "enumerable": true,
+    "get": () => {
+        if ( !falseAlarmCache ) {
+            const every = {};
+            Object.keys( ruleDefinitions ).forEach( name => ( every[ name ] = true ) );
+            const stats = runLengths( { "rules": every } ).rules;
+            falseAlarmCache = {};
+            for ( const name of Object.keys( stats ) ) {
+                falseAlarmCache[ name ] = stats[ name ].falseAlarmRate;
+            }
+        }
+        return { ...falseAlarmCache };
+    }
+} );
+
+/**
+ * Builds the event that `patterns()` emits for a rule violation.
+ *
+ * @param {string} rule - The rule's name.
+ * @param {number[]} pts - The positions of the violating points in the validated data.
+ * @param {Zone} z - The Zone of the validated data.
+ * @param {Object} applied - The rule as applied, as returned by `resolveRules()`.
+ * @param {Object} prepared - The validated data, as returned by `prepare()`.
+ * @returns {Object} The event: `{ rule, start, end, indices, zones, values, description }`, plus `timestamps`
+ *                   for timestamped input.
+ */
+function violationEvent( rule, pts, z, applied, prepared ) {
+    const indices = pts.map( k => prepared.index[ k ] );
+    const event = {
+        "rule": rule,
+        "start": indices[ 0 ],
+        "end": indices[ indices.length - 1 ],
+        "indices": indices,
+        "zones": pts.map( k => z.dataZones[ k ] ),
+        "values": pts.map( k => z.data[ k ] ),
+        "description": applied.description
+    };
+    if ( prepared.timestamps ) {
+        event.timestamps = indices.map( i => prepared.timestamps[ i ] );
+    }
+    return event;
+}
+
+/**
+ * Analyzes statistical patterns in a dataset and detects various control chart patterns.
+ *
+ * @param {Object|Array} data - The input data, either as an object with a `data` property or as an array.
+ *                              Either may hold bare values or timestamped `{ t, v }` points.
+ * @param {boolean|Object} [options] - A flag indicating whether to collapse the result, or an options object.
+ * @param {boolean} [options.collapse=false] - A flag indicating whether to collapse the result.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ *                                               Pattern indices always refer to the caller's original data.
+ * @param {string} [options.ruleSet="divinator"] - The rule set to apply: "divinator", "westernElectric", "nelson", "aiag" or "westgard".
+ * @param {Object} [options.rules] - Per-rule overrides of the rule set. See `resolveRules()`.
+ * @param {Object} [options.limits] - Frozen limits from `fitLimits()` (Phase II). The sigma ranges, zones and rules
+ *                                    then use the baseline's center and sigma instead of this data's.
+ * @param {string} [options.center="mean"] - The center line of the zones: "mean" or "median". See `Zone`.
+ * @param {string} [options.scale="std"] - The sigma of the zones: "std", "mad", "qn" or "movingRange". See `Zone`.
+ * @param {boolean} [options.asymmetric=false] - Estimate sigma separately above and below the center line. See `Zone`.
+ * @param {EventEmitter} [options.emitter] - An emitter to report each violation to, before `patterns()` returns.
+ *                                           Each violation is emitted twice, as an event named after its rule and
+ *                                           as a "violation" event, with `{ rule, start, end, indices, zones, values,
+ *                                           description }` (and `timestamps` for timestamped input). An "end" event
+ *                                           with the result follows the last violation.
+ * @returns {Object} The result object containing statistical measures, outliers, and detected patterns.
+ *                   Only the applied rules have a property; the defaults below are those of the "divinator" set.
+ *
+ * @property {Array} 1sigma - Range within one standard deviation from the center line (the mean, median, or center of frozen limits).
+ * @property {Array} 2sigma - Range within two standard deviations from the mean.
  * @property {Array} 3sigma - Range within three standard deviations from the mean.
  * @property {Array} 4sigma - Range within four standard deviations from the mean.
  * @property {Array} 5sigma - Range within five standard deviations from the mean.
+ * @property {number} center - The center line of the zones.
+ * @property {Object} scale - The sigma of the zones, `upper` above and `lower` below the center line.
  * @property {number} jarqueBera - The Jarque-Bera test statistic.
  * @property {number} kurtosis - The kurtosis of the data.
  * @property {number} max - The maximum value in the data.
@@ -327,8 +1821,18 @@ module.exports.rules = rules;
  * @property {Array} foxtrot - Indices of 8+ consecutive points with no points in Zone C.
  * @property {Array} golf - Indices of 15+ consecutive points in Zone C.
  * @property {Array} hotel - Indices of 14+ consecutive points alternating up and down.
+ * @property {Array} india - Indices of 2 consecutive points in Zone A or beyond, on opposite sides (not in the default set).
+ * @property {Object} rules - The applied rules, each with its description and parameters.
+ * @property {Object} limits - The frozen limits that were passed, if any.
+ * @property {Object} timestamps - For timestamped input, the patterns above with timestamps in place of indices.
  */
-function patterns( data, _collapse ) {
+function patterns( data, options ) {
+    // A bare true/false second parameter is the historical `_collapse` flag
+    const opts = typeof options === "object" && options !== null ? options : {
+        "collapse": options
+    };
+    const _collapse = opts.collapse;
+
     // Initialize data array
     let _data = [];
     if ( data.data ) {
@@ -338,8 +1842,9 @@ function patterns( data, _collapse ) {
         _data = data; // Use the input directly if it's an array
     }
 
-    // Validate the data
-    _data = validate( _data );
+    // Validate the data, keeping the caller's original index for each point
+    const prepared = prepare( _data, opts.missing );
+    _data = prepared.data;
 
     // Calculate statistical measures
     let mean = ss.mean( _data ); // Mean of the data
@@ -357,8 +1862,17 @@ function patterns( data, _collapse ) {
     }
 
     // Initialize Zone and perform the Jarque-Bera test for normality
-    let z = new Zone( _data );
+    // With frozen limits (Phase II), the zones come from the baseline rather than from this data
+    let z = new Zone( _data, {
+        "limits": opts.limits,
+        "center": opts.center,
+        "scale": opts.scale,
+        "asymmetric": opts.asymmetric
+    } );
     let jb = jarqueBera( _data );
+    const center = z.mean;
+    const upper = z.upper; // Sigma above the center line
+    const lower = z.lower; // Sigma below the center line
 
     // Calculate outliers using different methods
     const outliers = {
@@ -369,11 +1883,13 @@ function patterns( data, _collapse ) {
 
     // Initialize the result object with statistical measures and outliers
     let p = {
-        "1sigma": [ mean - std, mean + std ], // Range within one standard deviation
-        "2sigma": [ mean - std * 2, mean + std * 2 ], // Range within two standard deviations
-        "3sigma": [ mean - std * 3, mean + std * 3 ], // Range within three standard deviations
-        "4sigma": [ mean - std * 4, mean + std * 4 ], // Range within four standard deviations
-        "5sigma": [ mean - std * 5, mean + std * 5 ], // Range within five standard deviations
+        "1sigma": [ center - lower, center + upper ], // Range within one standard deviation
+        "2sigma": [ center - lower * 2, center + upper * 2 ], // Range within two standard deviations
+        "3sigma": [ center - lower * 3, center + upper * 3 ], // Range within three standard deviations
+        "4sigma": [ center - lower * 4, center + upper * 4 ], // Range within four standard deviations
+        "5sigma": [ center - lower * 5, center + upper * 5 ], // Range within five standard deviations
+        "center": center, // Center line of the zones
+        "scale": { upper, lower }, // Sigma of the zones, above and below the center line
         "jarqueBera": jb, // Jarque-Bera test statistic
         "kurtosis": kurtosis, // Kurtosis of the data
         "max": max, // Maximum value in the data
@@ -389,236 +1905,177 @@ function patterns( data, _collapse ) {
         "standardDeviation": std, // Standard deviation of the data
         "pValue": ss.zScore( max, mean, std ), // Z-score of the maximum value
         "zScoreMin": ss.zScore( min, mean, std ), // Z-score of the minimum value
-        "poisson": {}, // Placeholder for Poisson distribution
-        "alpha": [], // Points beyond control limits
-        "bravo": [], // 2 out of 3 consecutive points in Zone A or beyond
-        "charlie": [], // 4 out of 5 consecutive points in Zone B or beyond
-        "delta": [], // 7+ consecutive points on one side of the mean
-        "echo": [], // 7+ consecutive points trending up or down
-        "foxtrot": [], // 8+ consecutive points with no points in Zone C
-        "golf": [], // 15+ consecutive points in Zone C
-        "hotel": [] // 14+ consecutive points alternating up and down
+        "poisson": {} // Placeholder for Poisson distribution
     };
 
+    // Work out which rules apply, with which parameters; each gets an array of violations
+    const applied = resolveRules( opts.ruleSet, opts.rules );
+    for ( const rule of Object.keys( applied ) ) {
+        p[ rule ] = [];
+    }
+
     // Initialize an event emitter to handle pattern detection
     let emitter = new ee();
     emitter.on( "points", ( _pts, _me ) => {
         p[ _me ].push( _pts ); // Add detected points to the corresponding pattern
     } );
 
-    // Analyze zones and detect patterns
-    const zoneVals = z[ "zones" ];
-    for ( let i = 0; i < zoneVals.length; i++ ) {
-        // Detect various control chart patterns (e.g., alpha, bravo, charlie, etc.)
-        // Each pattern is analyzed and detected based on specific rules
-        // Detected points are emitted and added to the result object
-        // Alpha: One or more points beyond the control limits (Zone "X")
-        if ( z[ "zones" ][ i ] === "X" ) {
-            // If the current point is in Zone "X" (beyond control limits), add its index to the "alpha" pattern
-            p[ "alpha" ].push( i );
-        }
-
-        // Bravo: 2 out of 3 consecutive points in Zone A or Zone X
-        let me = "bravo"; // Pattern name
-        let pts = []; // Array to store indices of points being analyzed
-        let _bravo = 0; // Counter for points in Zone A or Zone X
-        for ( let j = i; j < i + 3; j++ ) {
-            if ( z[ "zones" ][ j ] !== undefined ) {
-                pts.push( j ); // Add the index to the points array
-                if ( z[ "zones" ][ j ] === "A" || z[ "zones" ][ j ] === "X" ) {
-                    _bravo++; // Increment the counter if the point is in Zone A or Zone X
-                }
-            }
-        }
-        if ( _bravo >= 2 && pts.length === 3 ) {
-            // If 2 out of 3 consecutive points are in Zone A or Zone X, emit the "bravo" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Charlie: 4 out of 5 consecutive points in Zone B, Zone A, or Zone X
-        me = "charlie"; // Pattern name
-        pts = []; // Reset points array
-        let _charlie = 0; // Counter for points not in Zone C
-        for ( let j = i; j < i + 5; j++ ) {
-            if ( z[ "zones" ][ j ] !== undefined ) {
-                pts.push( j ); // Add the index to the points array
-                if ( z[ "zones" ][ j ] !== "C" ) {
-                    _charlie++; // Increment the counter if the point is not in Zone C
-                }
-            }
-        }
-        if ( _charlie >= 4 && pts.length === 5 ) {
-            // If 4 out of 5 consecutive points are not in Zone C, emit the "charlie" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Delta: 7+ consecutive points on one side of the mean
-        me = "delta"; // Pattern name
-        pts = []; // Reset points array
-        let _delta = 0; // Counter for consecutive points on one side of the mean
-        let above; // Boolean to track whether the points are above or below the mean
-        for ( let j = i; j < i + 7; j++ ) {
-            if ( _data[ j ] !== undefined ) {
-                pts.push( j ); // Add the index to the points array
-                if ( pts.length === 1 ) {
-                    above = _data[ j ] > mean; // Determine if the first point is above or below the mean
-                }
-                if ( above === true && _data[ j ] > mean ) {
-                    _delta++; // Increment counter if the point is above the mean
-                }
-                if ( above === false && _data[ j ] < mean ) {
-                    _delta++; // Increment counter if the point is below the mean
-                }
-            }
-        }
-        if ( _delta >= 7 ) {
-            // If 7 or more consecutive points are on one side of the mean, emit the "delta" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Echo: 7+ consecutive points trending up or down
-        me = "echo"; // Pattern name
-        pts = []; // Reset points array
-        let _echo = 0; // Counter for consecutive points trending in the same direction
-        let prev = 0; // Previous data point value
-        let dir = ""; // Direction of the trend ("up" or "down")
-        for ( let j = i; j < i + 7; j++ ) {
-            if ( _data[ j ] !== undefined ) {
-                if ( pts.length === 0 ) {
-                    prev = _data[ j ]; // Set the first point as the previous value
-                    pts.push( j ); // Add the index to the points array
-                    _echo++;
-                    continue;
-                }
-                if ( pts.length === 1 ) {
-                    dir = _data[ j ] > prev ? "up" : "down"; // Determine the trend direction
-                    prev = _data[ j ];
-                    pts.push( j );
-                    _echo++;
-                    continue;
-                }
-                if ( dir === "up" && _data[ j ] > prev ) {
-                    prev = _data[ j ]; // Continue the upward trend
-                    pts.push( j );
-                    _echo++;
-                    continue;
-                }
-                if ( dir === "down" && _data[ j ] < prev ) {
-                    prev = _data[ j ]; // Continue the downward trend
-                    pts.push( j );
-                    _echo++;
-                    continue;
-                }
-            }
-        }
-        if ( _echo >= 7 ) {
-            // If 7 or more consecutive points are trending up or down, emit the "echo" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Foxtrot: 8+ consecutive points with no points in Zone C
-        me = "foxtrot"; // Pattern name
-        pts = []; // Reset points array
-        let _foxtrot = 0; // Counter for points not in Zone C
-        for ( let j = i; j < i + 8; j++ ) {
-            if ( z[ "zones" ][ j ] !== undefined ) {
-                pts.push( j ); // Add the index to the points array
-                if ( z[ "zones" ][ j ] !== "C" ) {
-                    _foxtrot++; // Increment the counter if the point is not in Zone C
-                }
-            }
-        }
-        if ( _foxtrot >= 8 ) {
-            // If 8 or more consecutive points are not in Zone C, emit the "foxtrot" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Golf: 15+ consecutive points in Zone C
-        me = "golf"; // Pattern name
-        pts = []; // Reset points array
-        let golf = 0; // Counter for points in Zone C
-        for ( let j = i; j < i + 15; j++ ) {
-            if ( z[ "zones" ][ j ] !== undefined ) {
-                pts.push( j ); // Add the index to the points array
-                if ( z[ "zones" ][ j ] === "C" ) {
-                    golf++; // Increment the counter if the point is in Zone C
-                }
-            }
-        }
-        if ( golf >= 15 ) {
-            // If 15 or more consecutive points are in Zone C, emit the "golf" pattern
-            emitter.emit( "points", pts, me );
-        }
-
-        // Hotel: 14+ consecutive points alternating up and down
-        me = "hotel"; // Pattern name
-        pts = []; // Reset points array
-        let _hotel = 0; // Counter for alternating points
-        prev = 0; // Previous data point value
-        dir = ""; // Direction of the alternation ("up" or "down")
-        for ( let j = i; j < i + 14; j++ ) {
-            if ( _data[ j ] !== undefined ) {
-                if ( pts.length === 0 ) {
-                    pts.push( j ); // Add the first point
-                    prev = _data[ j ];
-                    _hotel++;
-                    continue;
-                }
-                if ( _data[ j ] === prev ) {
-                    break; // Break if the current point is equal to the previous point
-                }
-                if ( pts.length === 1 ) {
-                    pts.push( j ); // Add the second point
-                    dir = _data[ j ] > prev ? "up" : "down"; // Determine the alternation direction
-                    prev = _data[ j ];
-                    _hotel++;
-                    continue;
-                }
-                if ( _data[ j ] > prev && dir === "down" ) {
-                    dir = "up"; // Switch direction to "up"
-                }
-                else if ( _data[ j ] < prev && dir === "down" ) {
-                    break; // Break if the alternation is not maintained
-                }
-                else if ( _data[ j ] < prev && dir === "up" ) {
-                    dir = "down"; // Switch direction to "down"
-                }
-                else if ( _data[ j ] > prev && dir === "up" ) {
-                    break; // Break if the alternation is not maintained
-                }
-                pts.push( j ); // Add the index to the points array
-                prev = _data[ j ];
-                _hotel++;
-            }
-        }
-        if ( _hotel >= 14 ) {
-            // If 14 or more consecutive points alternate up and down, emit the "hotel" pattern
-            emitter.emit( "points", pts, me );
+    // Check the data, point by point, against each applied rule
+    // Detected points are emitted and added to the result object, and reported to the caller's emitter
+    if ( opts.emitter !== undefined && !( opts.emitter && typeof opts.emitter.emit === "function" ) ) {
+        throw new Error( "The emitter must be an EventEmitter." );
+    }
+    if ( opts.emitter ) {
+        emitter.on( "points", ( _pts, _me ) => {
+            const event = violationEvent( _me, [].concat( _pts ), z, applied[ _me ], prepared );
+            opts.emitter.emit( _me, event ); // Typed by rule, for listeners to a single rule
+            opts.emitter.emit( "violation", event ); // And for listeners to every rule
+        } );
+    }
+    const violations = detectRules( chartOf( z ), applied );
+    for ( const rule of Object.keys( applied ) ) {
+        for ( const pts of violations[ rule ] ) {
+            emitter.emit( "points", pts, rule );
         }
     }
+    p[ "rules" ] = applied; // The rules that were applied, with their parameters
+    if ( opts.limits ) {
+        p[ "limits" ] = opts.limits; // The frozen limits the data was judged against
+    }
 
     // Calculate Poisson distribution for each data point
     for ( let i = 0; i < _data.length; i++ ) {
         p[ "poisson" ][ _data[ i ] ] = poisson( _data[ i ], mean );
     }
 
-    // Return collapsed or full result based on the _collapse flag
-    if ( _collapse ) {
-        return collapse( p ); // Collapse the result for compact representation
+    // Report the detected patterns against the caller's original indices
+    for ( const rule of Object.keys( applied ) ) {
+        p[ rule ] = p[ rule ].map( pts => ( Array.isArray( pts ) ? pts.map( i => prepared.index[ i ] ) : prepared.index[ pts ] ) );
     }
-    else {
-        return p; // Return the full result
+
+    // Collapse the result for compact representation if the _collapse flag is set
+    const result = _collapse ? collapse( p ) : p;
+
+    // Timestamped input: report the timestamps of each pattern's points as well
+    if ( prepared.timestamps ) {
+        result.timestamps = {};
+        for ( const rule of Object.keys( applied ) ) {
+            result.timestamps[ rule ] = result[ rule ].map( pts => ( Array.isArray( pts ) ? pts.map( i => prepared.timestamps[ i ] ) : prepared.timestamps[ pts ] ) );
+        }
     }
+    if ( opts.emitter ) {
+        opts.emitter.emit( "end", result ); // Every violation has been reported
+    }
+    return result;
 }
 module.exports.patterns = patterns;
 
 /**
- * Collapses the arrays of numbers in the input object into sequences of consecutive numbers.
+ * Checks frozen control limits.
  *
- * @param {Object} p - The input object containing arrays of numbers.
- * @returns {Object} - The output object with collapsed sequences of numbers.
- *
- * @example
+ * @param {Object} limits - The limits, as returned by `fitLimits()` (or parsed back from JSON).
+ * @returns {Object} `{ center, sigma }`.
+ * @throws {Error} If the limits do not have a finite center and a positive sigma.
+ */
+function parseLimits( limits ) {
+    const center = limits ? parseFloat( limits.center ) : NaN;
+    const sigma = limits ? parseFloat( limits.sigma ) : NaN;
+    if ( !Number.isFinite( center ) || !( sigma > 0 && Number.isFinite( sigma ) ) ) {
+        throw new Error( "Limits need a finite center and a positive sigma, as returned by fitLimits()." );
+    }
+    return { center, sigma };
+}
+
+/**
+ * Fits control limits on a baseline (Phase I), so new data can be judged against them (Phase II).
+ *
+ * When a chart computes its limits from the data it judges, an out-of-control period inflates its
+ * own limits and hides itself. Here the limits come from the baseline only. By default, points that
+ * violate the alpha rule are removed and the limits recomputed, until no more points are removed.
+ *
+ * The result is plain JSON, so it can be stored and passed later to `patterns()` or `Zone` as `limits`.
+ *
+ * @param {Object|Array} data - The baseline, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {boolean} [options.iterate=true] - Remove out-of-control points and recompute the limits.
+ * @param {string[]} [options.exclude=["alpha"]] - The rules whose violating points are removed.
+ * @param {number} [options.maxIterations=10] - The most rounds of removal.
+ * @param {string} [options.ruleSet="divinator"] - The rule set the excluded rules are taken from.
+ * @param {Object} [options.rules] - Per-rule overrides of the rule set. See `resolveRules()`.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The limits:
+ *   - {number} center: The center line (the mean of the points kept).
+ *   - {number} sigma: The standard deviation of the points kept.
+ *   - {number} lcl, ucl: The lower and upper control limits (center ∓ 3 sigma).
+ *   - {number} n: The number of points kept.
+ *   - {number[]} removed: The original indices of the points removed.
+ *   - {number} iterations: The number of rounds in which points were removed.
+ * @throws {Error} If an excluded rule is not applied, or removal would leave fewer than 2 points.
+ *
+ * @example
+ * const limits = fitLimits( baseline );
+ * fs.writeFileSync( "limits.json", JSON.stringify( limits ) );
+ * patterns( todaysData, { "limits": JSON.parse( fs.readFileSync( "limits.json" ) ) } );
+ */
+function fitLimits( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const applied = resolveRules( options.ruleSet, options.rules );
+    const exclude = {};
+    for ( const rule of options.exclude || [ "alpha" ] ) {
+        if ( !applied[ rule ] ) {
+            throw new Error( `Rule "${rule}" cannot be excluded, because it is not applied.` );
+        }
+        exclude[ rule ] = applied[ rule ];
+    }
+    const iterate = options.iterate !== false;
+    const maxIterations = options.maxIterations === undefined ? 10 : parseInt( options.maxIterations, 10 );
+
+    // Positions (in the validated data) of the points that are kept
+    let kept = values.map( ( val, i ) => i );
+    const removed = [];
+    let z = new Zone( values );
+    let iterations = 0;
+    while ( iterate && iterations < maxIterations ) {
+        // Collect every point involved in a violation of an excluded rule
+        const violations = detectRules( chartOf( z ), exclude );
+        const flagged = new Set();
+        for ( const rule of Object.keys( violations ) ) {
+            violations[ rule ].forEach( pts => [].concat( pts ).forEach( k => flagged.add( k ) ) );
+        }
+        if ( !flagged.size ) {
+            break;
+        }
+        if ( kept.length - flagged.size < 2 ) {
+            throw new Error( "Removing the out-of-control points would leave fewer than 2 points." );
+        }
+
+        // Remove them and recompute the limits from the points that are left
+        flagged.forEach( k => removed.push( kept[ k ] ) );
+        kept = kept.filter( ( i, k ) => !flagged.has( k ) );
+        z = new Zone( kept.map( i => values[ i ] ) );
+        iterations++;
+    }
+
+    return {
+        "center": z.mean,
+        "sigma": z.std,
+        "lcl": z.mean - 3 * z.std,
+        "ucl": z.mean + 3 * z.std,
+        "n": kept.length,
+        "removed": removed.sort( ( a, b ) => a - b ).map( i => prepared.index[ i ] ),
+        "iterations": iterations
+    };
+}
+module.exports.fitLimits = fitLimits;
+
+/**
+ * Collapses the arrays of numbers in the input object into sequences of consecutive numbers.
+ *
+ * @param {Object} p - The input object containing arrays of numbers.
+ * @returns {Object} - The output object with collapsed sequences of numbers.
+ *
+ * @example
  * // Input:
  * const input = {
  *   a: [[1, 2, 3], [4, 5, 6]],
@@ -771,23 +2228,27 @@ module.exports.xbar2 = xbar2;
 /**
  * Calculates the moving average of an array with a specified window size.
  *
- * @param {number[]} arr - The array of numbers to calculate the moving average for.
+ * @param {number[]|Object[]} arr - The array of numbers (or timestamped `{ t, v }` points) to calculate the moving average for.
  * @param {Object} [obj={}] - Optional configuration object.
  * @param {number} [obj.size=5] - The window size for the moving average.
  * @param {boolean} [obj.front=false] - If true, removes elements from the front of the array to make its length a multiple of the window size.
  * @param {number} [obj.d=10] - The number of decimal places to round the average to.
- * @returns {number[]} An array of moving averages.
+ * @param {string} [obj.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {number[]|Object[]} An array of moving averages. For timestamped input, `{ t, v }` points, where `t`
+ *                              is the timestamp of the first point in the window.
  */
 function xbar( arr, obj = {} ) {
     // Destructure the configuration object with default values
     const {
         size = 5, // Default window size is 5
             front = false, // Default is to remove elements from the end of the array
-            d = 10 // Default is to round to 10 decimal places
+            d = 10, // Default is to round to 10 decimal places
+            missing = "reject" // Default is to reject missing or non-numeric values
     } = obj;
 
-    // Create a copy of the input array to avoid modifying the original
-    const _arr = [ ...arr ];
+    // Validate the input array; this also copies it, so the original is not modified
+    const prepared = prepare( arr, missing );
+    const _arr = prepared.data;
 
     // Parse the size and decimal places as integers
     const num = parseInt( size, 10 );
@@ -795,6 +2256,7 @@ function xbar( arr, obj = {} ) {
 
     // Adjust the array length to be a multiple of the window size
     const remainder = _arr.length % num;
+    const offset = front ? remainder : 0; // Number of elements removed from the front
     if ( remainder ) {
         // Remove elements from the front or end of the array based on the `front` flag
         _arr.splice( front ? 0 : -remainder, remainder );
@@ -809,7 +2271,8 @@ function xbar( arr, obj = {} ) {
         const avg = _arr.slice( i, i + num ).reduce( ( sum, val ) => sum + val, 0 ) / num;
 
         // Round the average to the specified number of decimal places and add it to the output array
-        out.push( parseFloat( avg.toFixed( decimalPlaces ) ) );
+        const rounded = parseFloat( avg.toFixed( decimalPlaces ) );
+        out.push( prepared.timestamps ? { "t": prepared.timestamps[ prepared.index[ i + offset ] ], "v": rounded } : rounded );
     }
 
     // Return the array of moving averages
@@ -819,1391 +2282,4514 @@ function xbar( arr, obj = {} ) {
 // Export the `xbar` function for use in other modules
 module.exports.xbar = xbar;
 
-// START Normality Tests
+// d2 and d3, the mean and standard deviation of the range of n standard normal values, for n = 2 to 25
+const rangeConstants = {
+    "d2": [ 1.128, 1.693, 2.059, 2.326, 2.534, 2.704, 2.847, 2.970, 3.078, 3.173, 3.258, 3.336, 3.407, 3.472, 3.532, 3.588, 3.640, 3.689, 3.735, 3.778, 3.819, 3.858, 3.895, 3.931 ],
+    "d3": [ 0.853, 0.888, 0.880, 0.864, 0.848, 0.833, 0.820, 0.808, 0.797, 0.787, 0.778, 0.770, 0.763, 0.756, 0.750, 0.744, 0.739, 0.734, 0.729, 0.724, 0.720, 0.716, 0.712, 0.708 ]
+};
 
 /**
- * Performs the Shapiro-Wilk test for normality on a given dataset.
+ * Returns the control chart constants for subgroups of size n.
  *
- * The Shapiro-Wilk test is a statistical test that checks whether a dataset
- * follows a normal distribution. It calculates a test statistic (W) and a p-value
- * to determine the likelihood that the data is normally distributed.
+ * c4 is computed exactly, and A3, B3 and B4 follow from it. A2, D3 and D4 follow from the tabulated
+ * d2 and d3, which are only available for n up to 25; beyond that they are null.
  *
- * @param {number[]} dataArray - An array of numerical data points to test for normality.
- * @param {number} [significanceLevel=0.05] - The significance level for the test. Default is 0.05.
- * @returns {Object} An object containing the test statistic (W) and the approximate p-value.
- * @property {number} testStatistic - The Shapiro-Wilk test statistic (W).
- * @property {number} pValue - The approximate p-value for the test statistic.
- * @throws {Error} If the input is not a valid array or if the significance level is not between 0 and 1.
+ * @param {number} n - The subgroup size, at least 2.
+ * @returns {Object} `{ n, A2, A3, B3, B4, D3, D4, c4, d2, d3 }`.
+ * @throws {Error} If n is not an integer of at least 2.
  */
-function shapiroWilk( dataArray, significanceLevel = 0.05 ) {
-    /*
-     * Based heavily on EZ Statistics (https://github.com/jhagelback/ez_statistics)
-     */
-
-    // Validate the input array to ensure it is an array of numbers
-    if ( !Array.isArray( dataArray ) ) {
-        throw new Error( "Input must be a valid array of numbers." );
+function controlConstants( n ) {
+    if ( !( Number.isInteger( n ) && n >= 2 ) ) {
+        throw new Error( "Subgroups need at least 2 values." );
     }
+    // c4 = sqrt(2 / (n - 1)) * Γ(n / 2) / Γ((n - 1) / 2), the bias of the sample standard deviation
+    const c4 = Math.sqrt( 2 / ( n - 1 ) ) * Math.exp( jstat.gammaln( n / 2 ) - jstat.gammaln( ( n - 1 ) / 2 ) );
+    const spread = 3 * Math.sqrt( 1 - c4 * c4 ) / c4;
+    const d2 = n <= 25 ? rangeConstants.d2[ n - 2 ] : null;
+    const d3 = n <= 25 ? rangeConstants.d3[ n - 2 ] : null;
+    return {
+        "n": n,
+        "A2": d2 === null ? null : 3 / ( d2 * Math.sqrt( n ) ),
+        "A3": 3 / ( c4 * Math.sqrt( n ) ),
+        "B3": Math.max( 0, 1 - spread ),
+        "B4": 1 + spread,
+        "D3": d2 === null ? null : Math.max( 0, 1 - 3 * d3 / d2 ),
+        "D4": d2 === null ? null : 1 + 3 * d3 / d2,
+        "c4": c4,
+        "d2": d2,
+        "d3": d3
+    };
+}
+module.exports.controlConstants = controlConstants;
 
-    // Validate the significance level to ensure it is between 0 and 1
-    if ( significanceLevel < 0 || significanceLevel > 1 ) {
-        throw new Error( "Significance level must be between 0 and 1." );
+/**
+ * Splits the input of a subgroup chart into validated subgroups.
+ *
+ * @param {Array} data - An array of subgroups (arrays), or a flat array to be cut into subgroups of `size`.
+ * @param {Object} opts - The chart's options: `size`, `front` and `missing`.
+ * @returns {number[][]} The subgroups.
+ * @throws {Error} If a subgroup has fewer than 2 values.
+ */
+function subgroupsOf( data, opts ) {
+    if ( !Array.isArray( data ) ) {
+        throw new Error( "Please pass an array of subgroups, or an array of numbers and a subgroup size." );
     }
-
-    // Sample size of the dataset
-    const sampleSize = dataArray.length;
-
-    // Sort the array in ascending order for further calculations
-    dataArray.sort( ( a, b ) => a - b );
-
-    // Calculate the expected values of the order statistics (mi) for a standard normal distribution
-    const expectedValues = [];
-    for ( let i = 0; i < sampleSize; i++ ) {
-        const percentile = ( ( i + 1 ) - 0.375 ) / ( sampleSize + 0.25 ); // Calculate the percentile
-        expectedValues.push( jstat.normal.inv( percentile, 0, 1 ) ); // Inverse CDF of the standard normal distribution
+    let groups;
+    if ( data.length && data.every( Array.isArray ) ) {
+        groups = data.map( group => prepare( group, opts.missing ).data );
     }
-
-    // Calculate the sum of squares of the expected values (m)
-    const sumOfSquares = expectedValues.reduce( ( acc, val ) => acc + Math.pow( val, 2 ), 0 );
-
-    // Calculate the coefficients (ai) for the test statistic
-    const scalingFactor = 1 / Math.sqrt( sampleSize ); // Scaling factor for the coefficients
-    const coefficients = new Array( sampleSize ).fill( 0 ); // Initialize the coefficients array
-
-    // Calculate the coefficients for the last two elements
-    coefficients[ sampleSize - 1 ] = -2.70605 * Math.pow( scalingFactor, 5 ) +
-        4.434685 * Math.pow( scalingFactor, 4 ) -
-        2.071190 * Math.pow( scalingFactor, 3 ) -
-        0.147981 * Math.pow( scalingFactor, 2 ) +
-        0.221157 * scalingFactor +
-        expectedValues[ sampleSize - 1 ] * Math.pow( sumOfSquares, -0.5 );
-
-    coefficients[ sampleSize - 2 ] = -3.582633 * Math.pow( scalingFactor, 5 ) +
-        5.682633 * Math.pow( scalingFactor, 4 ) -
-        1.752461 * Math.pow( scalingFactor, 3 ) -
-        0.293762 * Math.pow( scalingFactor, 2 ) +
-        0.042981 * scalingFactor +
-        expectedValues[ sampleSize - 2 ] * Math.pow( sumOfSquares, -0.5 );
-
-    // Calculate the coefficients for the remaining elements
-    for ( let i = 0; i < sampleSize - 2; i++ ) {
-        const currentIndex = i + 1;
-        if ( currentIndex === 1 ) {
-            coefficients[ i ] = -coefficients[ sampleSize - 1 ];
+    else {
+        // Cut a flat series into subgroups, leaving out the remainder as xbar() does
+        const values = prepare( data, opts.missing ).data;
+        const size = opts.size === undefined ? 5 : parseInt( opts.size, 10 );
+        const remainder = values.length % size;
+        const start = opts.front ? remainder : 0;
+        groups = [];
+        for ( let i = start; i + size <= values.length; i += size ) {
+            groups.push( values.slice( i, i + size ) );
         }
-        else if ( currentIndex === 2 ) {
-            coefficients[ i ] = -coefficients[ sampleSize - 2 ];
+    }
+    groups.forEach( ( group, i ) => {
+        if ( group.length < 2 ) {
+            throw new Error( `Subgroup ${i} has fewer than 2 values.` );
         }
-        else {
-            const epsilon = ( sumOfSquares - 2.0 * Math.pow( expectedValues[ sampleSize - 1 ], 2 ) -
-                    2.0 * Math.pow( expectedValues[ sampleSize - 2 ], 2 ) ) /
-                ( 1.0 - 2.0 * Math.pow( coefficients[ sampleSize - 1 ], 2 ) -
-                    2.0 * Math.pow( coefficients[ sampleSize - 2 ], 2 ) );
-            coefficients[ i ] = expectedValues[ i ] / Math.sqrt( epsilon );
+    } );
+    return groups;
+}
+
+/**
+ * Runs the zone rules on a chart whose points have their own center and sigma, by standardizing
+ * each point first. The result has the same shape as the rule properties of `patterns()`.
+ *
+ * @param {number[]} values - The plotted values.
+ * @param {number[]} centers - The center line at each point.
+ * @param {number[]} sigmas - The sigma of each point.
+ * @param {Object} applied - The rules, as returned by `resolveRules()`.
+ * @returns {Object} The violations of each rule, by rule name, plus the applied `rules`.
+ */
+function standardizedRules( values, centers, sigmas, applied ) {
+    const z = new Zone( values.map( ( val, i ) => ( val - centers[ i ] ) / sigmas[ i ] ), {
+        "limits": {
+            "center": 0,
+            "sigma": 1
         }
-    }
+    } );
+    return {
+        ...detectRules( chartOf( z ), applied ),
+        "rules": applied
+    };
+}
 
-    // Calculate the sample mean
-    const sampleMean = jstat.mean( dataArray );
+/**
+ * Builds an X-bar chart and its companion R or S chart.
+ *
+ * @param {Array} data - The subgroups. See `subgroupsOf()`.
+ * @param {Object} opts - The chart's options.
+ * @param {string} kind - "R" or "S".
+ * @returns {Object} The charts.
+ */
+function subgroupChart( data, opts, kind ) {
+    const groups = subgroupsOf( data, opts );
+    const applied = resolveRules( opts.ruleSet, opts.rules );
+    const sizes = groups.map( group => group.length );
+    const constants = sizes.map( n => controlConstants( n ) );
+    const means = groups.map( group => ss.mean( group ) );
+    const spreads = groups.map( group => ( kind === "R" ? ss.max( group ) - ss.min( group ) : ss.sampleStandardDeviation( group ) ) );
+    if ( kind === "R" && sizes.some( n => n > 25 ) ) {
+        throw new Error( "R charts support subgroups of up to 25 values. Please use an X-bar/S chart." );
+    }
 
-    // Calculate the W statistic
-    let numerator = 0;
-    let denominator = 0;
-    for ( let i = 0; i < sampleSize; i++ ) {
-        numerator += coefficients[ i ] * dataArray[ i ];
-        denominator += Math.pow( dataArray[ i ] - sampleMean, 2 );
+    // Estimate the process center and sigma, unless frozen limits were passed:
+    // the center is the grand mean, and sigma the average of R / d2 (or S / c4) over the subgroups,
+    // which reduces to R̄ / d2 (or S̄ / c4) when all subgroups have the same size
+    let center, sigma;
+    if ( opts.limits ) {
+        ( { center, sigma } = parseLimits( opts.limits ) );
+    }
+    else {
+        center = ss.sum( groups.map( group => ss.sum( group ) ) ) / ss.sum( sizes );
+        sigma = ss.mean( spreads.map( ( spread, i ) => spread / ( kind === "R" ? constants[ i ].d2 : constants[ i ].c4 ) ) );
+        // Without any spread within the subgroups there is nothing to scale the limits by
+        if ( sigma === 0 ) {
+            throw new Error( `The subgroup ${kind === "R" ? "ranges" : "standard deviations"} are all zero, so sigma cannot be estimated. Please pass frozen limits.` );
+        }
     }
-    const testStatistic = Math.pow( numerator, 2 ) / Math.max( denominator, 0.0000001 ); // Avoid division by zero
 
-    // Calculate the Z statistic for the W value
-    const logSampleSize = Math.log( sampleSize );
-    const meanLog = 0.0038915 * Math.pow( logSampleSize, 3 ) -
-        0.083751 * Math.pow( logSampleSize, 2 ) -
-        0.31082 * logSampleSize -
-        1.5861;
-    const power = 0.0030302 * Math.pow( logSampleSize, 2 ) -
-        0.082676 * logSampleSize -
-        0.4803;
-    const standardDeviation = Math.pow( Math.E, power );
-    const zStatistic = ( Math.log( 1.0 - testStatistic ) - meanLog ) / standardDeviation;
+    // X-bar chart: center ± 3 sigma / √n, i.e. ± A2 R̄ (or ± A3 S̄) for a constant subgroup size
+    const xbarSigmas = sizes.map( n => sigma / Math.sqrt( n ) );
+    const xbarChart = {
+        "values": means,
+        "center": means.map( () => center ),
+        "lcl": xbarSigmas.map( s => center - 3 * s ),
+        "ucl": xbarSigmas.map( s => center + 3 * s ),
+        ...standardizedRules( means, means.map( () => center ), xbarSigmas, applied )
+    };
 
-    // Calculate the p-value using the standard normal distribution
-    const pValue = 1 - jstat.normal.cdf( zStatistic, 0, 1 );
+    // R chart: d2 sigma ± 3 d3 sigma, i.e. D3 R̄ to D4 R̄; S chart: c4 sigma ± 3 sigma √(1 - c4²), i.e. B3 S̄ to B4 S̄
+    const centers = constants.map( c => ( kind === "R" ? c.d2 : c.c4 ) * sigma );
+    const spreadSigmas = constants.map( c => ( kind === "R" ? c.d3 : Math.sqrt( 1 - c.c4 * c.c4 ) ) * sigma );
+    const spreadChart = {
+        "values": spreads,
+        "center": centers,
+        "lcl": centers.map( ( c, i ) => Math.max( 0, c - 3 * spreadSigmas[ i ] ) ),
+        "ucl": centers.map( ( c, i ) => c + 3 * spreadSigmas[ i ] ),
+        ...standardizedRules( spreads, centers, spreadSigmas, applied )
+    };
 
-    // Return the test statistic and p-value
     return {
-        testStatistic,
-        pValue
+        "center": center,
+        "sigma": sigma,
+        "sizes": sizes,
+        "constants": new Set( sizes ).size === 1 ? constants[ 0 ] : constants,
+        "xbar": xbarChart,
+        [ kind === "R" ? "r" : "s" ]: spreadChart
     };
 }
 
-// Export the `shapiroWilk` function for use in other modules
-module.exports.shapiroWilk = shapiroWilk;
+/**
+ * Builds an X-bar/R chart: the subgroup means, with limits from the average range, and the subgroup
+ * ranges. The zone rules are run on both charts.
+ *
+ * Subgroups may vary in size. Each point's limits then follow from its own subgroup size, and the
+ * zone rules are run on the points standardized by their own limits.
+ *
+ * @param {Array} data - An array of subgroups (arrays of 2 to 25 values), or a flat array to be cut into subgroups of `size`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {number} [options.size=5] - The subgroup size for a flat array.
+ * @param {boolean} [options.front=false] - For a flat array, leave out the remainder at the front rather than the end.
+ * @param {Object} [options.limits] - Frozen `{ center, sigma }` of the process (Phase II), e.g. from an earlier chart.
+ * @param {string} [options.ruleSet="divinator"] - The rule set to apply. See `patterns()`.
+ * @param {Object} [options.rules] - Per-rule overrides of the rule set. See `resolveRules()`.
+ * @param {string} [options.missing="reject"] - The missing-value policy within each subgroup.
+ * @returns {Object} The charts:
+ *   - {number} center, sigma: The process center (grand mean) and sigma (R̄ / d2).
+ *   - {number[]} sizes: The subgroup sizes.
+ *   - {Object|Object[]} constants: The `controlConstants()` for the subgroup size, or for each subgroup if the sizes vary.
+ *   - {Object} xbar, r: Each chart's per-point `values`, `center`, `lcl` and `ucl`, the rule violations
+ *     (subgroup indices) by rule name, and the applied `rules`.
+ * @throws {Error} If a subgroup has fewer than 2 or more than 25 values, or every subgroup range is zero.
+ */
+function xbarR( data, options = {} ) {
+    return subgroupChart( data, options, "R" );
+}
+module.exports.xbarR = xbarR;
 
 /**
- * Calculates the Kolmogorov-Smirnov D statistic and p-value for a given dataset.
+ * Builds an X-bar/S chart: the subgroup means, with limits from the average standard deviation, and the
+ * subgroup standard deviations. The zone rules are run on both charts. Preferred over X-bar/R for larger subgroups.
  *
- * @param {number[]} data - An array of numerical data points.
- * @returns {Object} An object containing the test statistic and the critical values for different alpha levels.
+ * @param {Array} data - An array of subgroups (arrays of at least 2 values), or a flat array to be cut into subgroups of `size`.
+ * @param {Object} [options={}] - Optional configuration object. The same as for `xbarR()`.
+ * @returns {Object} The charts, as for `xbarR()`, with an `s` chart in place of `r` and sigma estimated as S̄ / c4.
+ * @throws {Error} If a subgroup has fewer than 2 values, or every subgroup standard deviation is zero.
  */
-function kolmogorovSmirnov( data ) {
-    // Get the number of data points
-    const n = data.length;
-    // Calculate the mean of the data
-    const mean = ss.mean( data );
-    // Calculate the standard deviation of the data
-    const stdDev = ss.standardDeviation( data );
-    // Sort the data in ascending order
-    const sortedData = data.slice().sort( ( a, b ) => a - b );
-    // Calculate the Kolmogorov-Smirnov D statistic
-    const D = Math.max( ...sortedData.map( ( value, i ) => {
-        // Calculate the cumulative distribution function (CDF) for the standard normal distribution
-        const cdf = ss.cumulativeStdNormalProbability( ( value - mean ) / stdDev );
-        // Calculate the maximum difference between the CDF and the empirical distribution function (EDF)
-        return Math.max( cdf - i / n, ( i + 1 ) / n - cdf );
-    } ) );
-    // Calculate the critical values for different alpha levels
-    const criticalValueAlpha05 = 1.36 / Math.sqrt( n ); // critical value for alpha = 0.05
-    const criticalValueAlpha10 = 1.22 / Math.sqrt( n ); // critical value for alpha = 0.10
-    const criticalValueAlpha01 = 1.63 / Math.sqrt( n ); // critical value for alpha = 0.01
-    return {
-        "testStatistic": D,
-        "criticalValues": {
-            "alpha05": criticalValueAlpha05,
-            "alpha10": criticalValueAlpha10,
-            "alpha01": criticalValueAlpha01
-        }
-    };
-};
-module.exports.kolmogorovSmirnov = kolmogorovSmirnov;
+function xbarS( data, options = {} ) {
+    return subgroupChart( data, options, "S" );
+}
+module.exports.xbarS = xbarS;
 
 /**
- * Performs the Jarque-Bera normality test on an array of data.
+ * Builds an Individuals and Moving Range (I-MR) chart.
  *
- * @param {number[]} data - The array of data to test.
- * @returns {Object} An object containing the Jarque-Bera statistic, p-value, skewness, and kurtosis.
- * @property {number} testStatistic - The Jarque-Bera statistic.
- * @property {number} pValue - The p-value of the test.
+ * For individual measurements, sigma is estimated from the average moving range (MR̄ / d2) rather than
+ * from the sample standard deviation, which a shift or trend in the data inflates. The individuals chart
+ * has limits at center ± 3 sigma, and the zone rules are run against the same sigma. The moving range
+ * chart has its own limits, D3 MR̄ to D4 MR̄; only points beyond them are reported there, because
+ * consecutive moving ranges overlap and the run rules do not hold for them.
+ *
+ * The `center` and `sigma` of the result can be passed back as `limits`, here or to `patterns()` and `Zone`.
+ *
+ * @param {Object|Array} data - The measurements, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {number} [options.span=2] - The number of consecutive points each moving range covers, from 2 to 25.
+ * @param {Object} [options.limits] - Frozen `{ center, sigma }` of the process (Phase II), e.g. from an earlier chart.
+ * @param {string} [options.ruleSet="divinator"] - The rule set to apply. See `patterns()`.
+ * @param {Object} [options.rules] - Per-rule overrides of the rule set. See `resolveRules()`.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The charts:
+ *   - {number} center, sigma: The process center (the mean) and sigma (MR̄ / d2).
+ *   - {number} mrBar: The average moving range (d2 sigma for frozen limits).
+ *   - {Object} individuals: The `values`, `center`, `lcl` and `ucl`, the rule violations by rule name, and the applied `rules`.
+ *   - {Object} mr: The moving ranges (`values`, one per point from the `span`th on, with their point `index`),
+ *     `center`, `lcl`, `ucl`, and `alpha`, the points whose moving range is beyond the limits.
+ *   - {Object} limits: The frozen limits that were passed, if any.
+ *   - {Object} timestamps: For timestamped input, the violations above with timestamps in place of indices.
+ * @throws {Error} If the span is out of range, or there are too few points for a moving range.
+ *
+ * @example
+ * const chart = imr( measurements );
+ * // chart.individuals.alpha: the points beyond chart.individuals.lcl and chart.individuals.ucl
+ * // chart.mr.alpha: the points that jumped further from their predecessor than chart.mr.ucl
  */
-function jarqueBera( data ) {
-    // Sample size
-    const n = data.length;
-    // Calculate mean and standard deviation
-    const mean = jstat.mean( data );
-    const stdev = jstat.stdev( data, true );
-    // Initialize sums for skewness and kurtosis calculations
-    let sum3 = 0;
-    let sum4 = 0;
-    // Calculate the sums of the third and fourth powers of deviations from the mean
-    for ( let i = 0; i < n; i++ ) {
-        const deviation = data[ i ] - mean;
-        sum3 += Math.pow( deviation, 3 );
-        sum4 += Math.pow( deviation, 4 );
+function imr( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const span = options.span === undefined ? 2 : parseInt( options.span, 10 );
+    if ( !( span >= 2 && span <= 25 ) ) {
+        throw new Error( "The moving range span must be between 2 and 25." );
+    }
+    if ( values.length <= span ) {
+        throw new Error( `An I-MR chart needs more than ${span} points.` );
+    }
+    const applied = resolveRules( options.ruleSet, options.rules );
+    const constants = controlConstants( span );
+
+    // The moving range at point i covers points i - span + 1 to i
+    const ranges = [];
+    for ( let i = span - 1; i < values.length; i++ ) {
+        const window = values.slice( i - span + 1, i + 1 );
+        ranges.push( ss.max( window ) - ss.min( window ) );
     }
-    // Calculate skewness
-    const skewness = ( n * sum3 ) / ( ( n - 1 ) * ( n - 2 ) * Math.pow( stdev, 3 ) );
-    // Calculate kurtosis
-    const kurtosis = ( n * ( n + 1 ) * sum4 ) / ( ( n - 1 ) * ( n - 2 ) * ( n - 3 ) * Math.pow( stdev, 4 ) ) - ( 3 * Math.pow( n - 1, 2 ) ) / ( ( n - 2 ) * ( n - 3 ) );
-    // Calculate the Jarque-Bera statistic
-    const testStatistic = ( n / 6 ) * ( Math.pow( skewness, 2 ) + ( Math.pow( kurtosis, 2 ) / 4 ) );
-    // Calculate the p-value
-    const pValue = 1 - jstat.chisquare.cdf( testStatistic, 2 );
 
-    // Return the results
-    return {
-        testStatistic,
-        pValue
+    // Estimate the process center and sigma, unless frozen limits were passed
+    let center, sigma;
+    if ( options.limits ) {
+        ( { center, sigma } = parseLimits( options.limits ) );
+    }
+    else {
+        center = ss.mean( values );
+        sigma = ss.mean( ranges ) / constants.d2;
+        if ( !( sigma > 0 ) ) {
+            throw new Error( "The moving ranges are all zero, so sigma cannot be estimated." );
+        }
+    }
+    const mrBar = constants.d2 * sigma;
+
+    // Individuals chart: the zones and rules use the MR-based sigma
+    const violations = detectRules( chartOf( new Zone( values, { "limits": { center, sigma } } ) ), applied );
+    const individuals = {
+        "values": values,
+        "center": center,
+        "lcl": center - 3 * sigma,
+        "ucl": center + 3 * sigma
+    };
+    for ( const rule of Object.keys( applied ) ) {
+        individuals[ rule ] = violations[ rule ].map( pts => ( Array.isArray( pts ) ? pts.map( i => prepared.index[ i ] ) : prepared.index[ pts ] ) );
+    }
+    individuals.rules = applied;
+
+    // Moving range chart: D3 MR̄ to D4 MR̄, reported at the last point of each range
+    const mr = {
+        "values": ranges,
+        "index": ranges.map( ( r, k ) => prepared.index[ k + span - 1 ] ),
+        "center": mrBar,
+        "lcl": constants.D3 * mrBar,
+        "ucl": constants.D4 * mrBar
+    };
+    mr.alpha = mr.index.filter( ( i, k ) => ranges[ k ] > mr.ucl || ranges[ k ] < mr.lcl );
+
+    const result = {
+        "center": center,
+        "sigma": sigma,
+        "mrBar": mrBar,
+        "individuals": individuals,
+        "mr": mr
+    };
+    if ( options.limits ) {
+        result.limits = options.limits; // The frozen limits the data was judged against
+    }
+
+    // Timestamped input: report the timestamps of each violation's points as well
+    if ( prepared.timestamps ) {
+        const stamp = pts => ( Array.isArray( pts ) ? pts.map( i => prepared.timestamps[ i ] ) : prepared.timestamps[ pts ] );
+        result.timestamps = { "individuals": {}, "mr": { "alpha": mr.alpha.map( stamp ) } };
+        for ( const rule of Object.keys( applied ) ) {
+            result.timestamps.individuals[ rule ] = individuals[ rule ].map( stamp );
+        }
     }
+    return result;
 }
-module.exports.jarqueBera = jarqueBera;
+module.exports.imr = imr;
 
 /**
- * Performs the Anderson-Darling test for normality on a given dataset.
+ * Finds the smallest count whose cumulative probability reaches p.
  *
- * @param {number[]} data - An array of numerical data points to be tested.
- * @returns {number} The Anderson-Darling statistic for the given data.
- * @throws {Error} If the input is not a valid array with at least two elements.
+ * The search brackets the count by doubling steps away from a starting guess, then bisects, so it
+ * takes a few dozen evaluations of the cdf however large the counts are.
  *
- * @example
- * const data = [1.2, 2.3, 3.4, 4.5, 5.6];
- * const result = andersonDarling(data);
- * console.log(result); // Output: Anderson-Darling statistic value
+ * @param {Function} cdf - The cumulative distribution function of a count.
+ * @param {number} p - The cumulative probability.
+ * @param {number} [max=Infinity] - The largest possible count.
+ * @param {number} [guess=0] - A count near the answer, to start from.
+ * @returns {number} The count.
+ * @throws {Error} If the cdf is not a number.
  */
-function andersonDarling2( data ) {
-    // Check if the input is a valid array with at least two elements
-    if ( !Array.isArray( data ) || data.length < 2 ) {
-        throw new Error( "Data must be an array with at least two elements." );
-    }
-    // Validate the data
-    const validatedData = validate( data );
-    // Sort the data in ascending order
-    validatedData.sort( ( a, b ) => a - b );
-    const n = validatedData.length;
-    // Calculate the mean of the data
-    const mean = ss.mean( validatedData );
-    // Calculate the standard deviation of the data
-    const stdDev = ss.standardDeviation( validatedData )
-    // Standardize the data (convert to z-scores)
-    const standardizedData = validatedData.map( value => ( value - mean ) / stdDev );
-    // Define the cumulative distribution function (CDF) for the normal distribution
-    const normalCDF = x => 0.5 * ( 1 + erf( x / Math.sqrt( 2 ) ) );
-    // Define the error function (erf) used in the CDF calculation
-    const erf = x => {
-        const sign = x >= 0 ? 1 : -1;
-        x = Math.abs( x );
-        const a1 = 0.254829592;
-        const a2 = -0.284496736;
-        const a3 = 1.421413741;
-        const a4 = -1.453152027;
-        const a5 = 1.061405429;
-        const p = 0.3275911;
-        const t = 1 / ( 1 + p * x );
-        const y = 1 - ( ( ( ( ( a5 * t + a4 ) * t ) + a3 ) * t + a2 ) * t + a1 ) * t * Math.exp( -x * x );
-        return sign * y;
+function countQuantile( cdf, p, max = Infinity, guess = 0 ) {
+    const reaches = k => {
+        const value = cdf( k );
+        if ( Number.isNaN( value ) ) {
+            throw new Error( `The cumulative probability of ${k} could not be computed.` );
+        }
+        return value >= p;
     };
-    // Calculate the Anderson-Darling statistic
-    const A2 = -n - ( 1 / n ) * standardizedData.reduce( ( sum, value, i ) => {
-        const Fi = normalCDF( value );
-        const term1 = ( 2 * ( i + 1 ) - 1 ) * Math.log( Fi );
-        const term2 = ( 2 * ( n - i ) - 1 ) * Math.log( 1 - Fi );
-        return sum + term1 + term2;
-    }, 0 );
-    return {
-        "testStatistic": A2,
-        "significanceLevel": {
-            "0.1": A2 < 1.933,
-            "0.05": A2 < 2.492,
-            "0.01": A2 < 3.857
+
+    // Bracket the count between `below` (short of p, or -1) and `above` (reaches p)
+    let below, above;
+    const start = Math.min( Math.max( 0, Math.round( guess ) ), max );
+    if ( reaches( start ) ) {
+        above = start;
+        below = start - 1;
+        for ( let step = 1; below >= 0 && reaches( below ); step *= 2 ) {
+            above = below;
+            below = Math.max( -1, above - 2 * step );
+        }
+    }
+    else {
+        below = start;
+        above = Math.min( max, start + 1 );
+        for ( let step = 1; above < max && !reaches( above ); step *= 2 ) {
+            below = above;
+            above = Math.min( max, below + 2 * step );
+        }
+    }
+    while ( above - below > 1 ) {
+        const mid = Math.floor( ( below + above ) / 2 );
+        if ( reaches( mid ) ) {
+            above = mid;
+        }
+        else {
+            below = mid;
         }
     }
+    return above;
 }
-module.exports.andersonDarling2 = andersonDarling2;
 
 /**
- * Performs the Anderson-Darling normality test on an array of data.
- * NOTE: The true/false values return in "pValues" answer the question
- *       of "is this data likely to follow a normal distribution?"
+ * Builds an attribute control chart.
  *
- * @param {number[]} data - The array of data to test.
- * @returns {Object} An object containing the Anderson-Darling statistic and p-values for different confidence levels.
- * @property {number} adStatistic - The Anderson-Darling statistic.
- * @property {Object} pValues - The p-values for confidence levels of 0.10, 0.05, and 0.01.
+ * Counts (defectives for p and np, defects for c and u) are judged against the limits of their own
+ * sample, so variable sample sizes give per-point limits. With 3-sigma limits these are the usual
+ * normal approximations. With probability limits, the lower and upper limits are the alpha / 2 and
+ * 1 - alpha / 2 quantiles of the count's binomial (p, np) or Poisson (c, u) distribution, so a point
+ * beyond them has at most probability alpha when the process is in control.
+ *
+ * @param {string} type - "p", "np", "c" or "u".
+ * @param {Object|Array} data - The counts, as accepted by `patterns()`.
+ * @param {number|number[]} sizes - The sample size, or the size of each sample (ignored for c).
+ * @param {Object} opts - The chart's options.
+ * @returns {Object} The chart.
  */
-function andersonDarling( data ) {
-    const n = data.length;
-    const sortedData = data.slice().sort( ( a, b ) => a - b );
-    const mean = jstat.mean( sortedData );
-    const stdDev = jstat.stdev( sortedData, true );
-    const z = sortedData.map( x => ( x - mean ) / stdDev );
-    const p = z.map( x => jstat.normal.cdf( x, 0, 1 ) );
-    let A2 = -n;
-    for ( let i = 0; i < n; i++ ) {
-        A2 -= ( 2 * i + 1 ) * ( Math.log( p[ i ] ) + Math.log( 1 - p[ n - 1 - i ] ) ) / n;
+function attributeChart( type, data, sizes, opts ) {
+    const prepared = prepare( data && data.data ? data.data : data, opts.missing );
+    const counts = prepared.data;
+    const method = opts.method || "sigma";
+    if ( method !== "sigma" && method !== "probability" ) {
+        throw new Error( "The method must be \"sigma\" or \"probability\"." );
     }
-    A2 *= ( 1 + 4 / n - 25 / ( n * n ) );
-    const pValues = {
-        "0.1": A2 < 1.933,
-        "0.05": A2 < 2.492,
-        "0.01": A2 < 3.857
-    };
-    return {
-        "testStatistic": A2,
-        pValues
+    const alpha = parseAlpha( opts.alpha, 0.0027 );
+    const binomial = type === "p" || type === "np";
+
+    // Each count's sample size, following the counts through the missing-value policy
+    const n = counts.map( ( count, k ) => {
+        if ( type === "c" ) {
+            return 1;
+        }
+        const size = Array.isArray( sizes ) ? parseFloat( sizes[ prepared.index[ k ] ] ) : parseFloat( sizes );
+        if ( !( size > 0 ) || ( binomial && !Number.isInteger( size ) ) ) {
+            throw new Error( `Sample ${prepared.index[ k ]} needs a positive ${binomial ? "whole " : ""}sample size.` );
+        }
+        return size;
+    } );
+    counts.forEach( ( count, k ) => {
+        if ( count < 0 || ( binomial && count > n[ k ] ) ) {
+            throw new Error( `The count of sample ${prepared.index[ k ]} must be ${binomial ? "between 0 and its sample size" : "at least 0"}.` );
+        }
+        if ( method === "probability" && !Number.isInteger( count ) ) {
+            throw new Error( "Probability limits need whole counts." );
+        }
+    } );
+
+    // The center: the overall proportion defective (p, np) or defects per unit (c, u), unless one was passed
+    let rate;
+    if ( opts.center !== undefined ) {
+        rate = parseFloat( opts.center ) / ( type === "np" ? n[ 0 ] : 1 );
+    }
+    else {
+        rate = ss.sum( counts ) / ss.sum( n );
+    }
+    if ( !( rate > 0 ) || ( binomial && !( rate < 1 ) ) ) {
+        throw new Error( `The center must be above 0${binomial ? " and below 1" : ""}.` );
+    }
+
+    // The limits of each sample's count, then scaled to the plotted statistic
+    const perUnit = type === "p" || type === "u";
+    const lcl = [];
+    const ucl = [];
+    n.forEach( size => {
+        const mean = size * rate;
+        let lower, upper;
+        if ( method === "probability" ) {
+            // The cdfs through the regularized incomplete beta and gamma functions, which hold up for
+            // large counts where summing the probabilities underflows
+            const cdf = binomial ? k => ( k >= size ? 1 : jstat.ibeta( 1 - rate, size - k, k + 1 ) ) : k => 1 - jstat.lowRegGamma( k + 1, mean );
+            const sd = Math.sqrt( binomial ? mean * ( 1 - rate ) : mean );
+            lower = countQuantile( cdf, alpha / 2, binomial ? size : Infinity, mean - 3 * sd );
+            upper = countQuantile( cdf, 1 - alpha / 2, binomial ? size : Infinity, mean + 3 * sd );
+        }
+        else {
+            const sd = Math.sqrt( binomial ? mean * ( 1 - rate ) : mean );
+            lower = Math.max( 0, mean - 3 * sd );
+            upper = binomial ? Math.min( size, mean + 3 * sd ) : mean + 3 * sd;
+        }
+        lcl.push( perUnit ? lower / size : lower );
+        ucl.push( perUnit ? upper / size : upper );
+    } );
+
+    const values = counts.map( ( count, k ) => ( perUnit ? count / n[ k ] : count ) );
+    const result = {
+        "type": type,
+        "method": method,
+        "center": type === "np" ? n.map( size => size * rate ) : rate,
+        "values": values
     };
+    if ( type !== "c" ) {
+        result.sizes = n;
+    }
+    result.lcl = lcl;
+    result.ucl = ucl;
+    result.alpha = prepared.index.filter( ( i, k ) => values[ k ] < lcl[ k ] || values[ k ] > ucl[ k ] );
+    if ( prepared.timestamps ) {
+        result.timestamps = { "alpha": result.alpha.map( i => prepared.timestamps[ i ] ) };
+    }
+    return result;
 }
-module.exports.andersonDarling = andersonDarling;
 
 /**
- * Performs the Lilliefors test for normality on a given dataset.
- * The Lilliefors test is a variation of the Kolmogorov-Smirnov test
- * that is used when the parameters of the normal distribution are estimated
- * from the data.
+ * Builds a p chart: the proportion defective of each sample, with limits p̄ ± 3 √(p̄ (1 - p̄) / n).
  *
- * @param {number[]} data - An array of numerical data points to be tested for normality.
- * @returns {Object} An object containing the test statistic `d` and a boolean `isNormal`
- * indicating whether the data is normally distributed at the 0.05 significance level.
+ * @param {Object|Array} data - The number of defective items in each sample, as accepted by `patterns()`.
+ * @param {number|number[]} sizes - The sample size, or the size of each sample.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {string} [options.method="sigma"] - "sigma" for 3-sigma limits, or "probability" for exact binomial limits.
+ * @param {number} [options.alpha=0.0027] - The in-control probability of a point beyond probability limits.
+ * @param {number} [options.center] - A frozen proportion defective (Phase II), e.g. the `center` of an earlier chart.
+ * @param {string} [options.missing="reject"] - The missing-value policy for the counts.
+ * @returns {Object} The chart:
+ *   - {string} type, method: The chart type and the kind of limits.
+ *   - {number} center: The proportion defective, p̄.
+ *   - {number[]} values, sizes: The proportion defective and size of each sample.
+ *   - {number[]} lcl, ucl: The limits of each sample.
+ *   - {number[]} alpha: The (original) indices of the samples beyond their limits.
+ *   - {Object} timestamps: For timestamped input, `alpha` with timestamps in place of indices.
+ * @throws {Error} If a count is negative or above its sample size, or a sample size is not a positive whole number.
  *
- * @property {number} d - The test statistic for the Lilliefors test.
+ * @example
+ * // 12 defectives out of 400, then 9 out of 350, ...
+ * pChart( [ 12, 9, 15, 31 ], [ 400, 350, 420, 410 ] );
  */
-function lilliefors( data ) {
-    const n = data.length;
-    const mean = jstat.mean( data );
-    const stdDev = jstat.stdev( data, true );
-    const sortedData = data.slice().sort( ( a, b ) => a - b );
-    const cdf = sortedData.map( x => jstat.normal.cdf( x, mean, stdDev ) );
-    const dPlus = Math.max( ...cdf.map( ( p, i ) => ( i + 1 ) / n - p ) );
-    const dMinus = Math.max( ...cdf.map( ( p, i ) => p - i / n ) );
-    const d = Math.max( dPlus, dMinus );
-    const criticalValues = {
-        "0.01": simulateLillieforsCriticalValues( n, 0.01 ),
-        "0.05": simulateLillieforsCriticalValues( n, 0.05 ),
-        "0.10": simulateLillieforsCriticalValues( n, 0.10 )
-        //        0.01: parseFloat( ( /* 1.63 */ 1.031 / Math.sqrt( n ) ).toFixed( 10 ) ),
-        //        0.05: parseFloat( ( /* 1.36 */ 0.886 / Math.sqrt( n ) ).toFixed( 10 ) ),
-        //        0.10: parseFloat( ( /* 1.22 */ 0.819 / Math.sqrt( n ) ).toFixed( 10 ) )
-    };
-    return {
-        "testStatistic": d,
-        criticalValues
-    };
+function pChart( data, sizes, options = {} ) {
+    return attributeChart( "p", data, sizes, options );
 }
-module.exports.lilliefors = lilliefors;
+module.exports.pChart = pChart;
 
 /**
- * Simulates critical values for the Lilliefors test using Monte Carlo simulation.
+ * Builds an np chart: the number defective in each sample, with limits n p̄ ± 3 √(n p̄ (1 - p̄)).
+ * The sample size is usually constant, but may vary, in which case the center line varies too.
  *
- * @param {number} n - The sample size.
- * @param {number} alpha - The significance level (e.g., 0.05 for a 5% significance level).
- * @param {number} [numSimulations=10000] - The number of simulations to run (default is 10,000).
- * @returns {number} The critical value for the given sample size and significance level.
+ * @param {Object|Array} data - The number of defective items in each sample, as accepted by `patterns()`.
+ * @param {number|number[]} sizes - The sample size, or the size of each sample.
+ * @param {Object} [options={}] - Optional configuration object. The same as for `pChart()`, except that a
+ *                                frozen `center` is the number defective, n p̄, of the first sample.
+ * @returns {Object} The chart, as for `pChart()`, with a `center` (n p̄) for each sample.
+ * @throws {Error} If a count is negative or above its sample size, or a sample size is not a positive whole number.
  */
-function simulateLillieforsCriticalValues( n, alpha, numSimulations = 10000 ) {
-    const criticalValues = [];
-    // Run the specified number of simulations
-    for ( let i = 0; i < numSimulations; i++ ) {
-        // Generate a random sample from a standard normal distribution
-        const sample = Array.from( {
-            length: n
-        }, () => jstat.normal.sample( 0, 1 ) );
-        const mean = jstat.mean( sample );
-        const stdDev = jstat.stdev( sample, true );
-        // Define the cumulative distribution function (CDF) for the normal distribution
-        const cdf = ( x ) => jstat.normal.cdf( x, mean, stdDev );
-        // Sort the sample in ascending order
-        const sortedSample = sample.slice().sort( ( a, b ) => a - b );
-        let dPlus = 0;
-        let dMinus = 0;
-        // Calculate the D+ and D- statistics
-        for ( let j = 0; j < n; j++ ) {
-            const empiricalCDF = ( j + 1 ) / n;
-            const theoreticalCDF = cdf( sortedSample[ j ] );
-            dPlus = Math.max( dPlus, empiricalCDF - theoreticalCDF );
-            dMinus = Math.max( dMinus, theoreticalCDF - j / n );
-        }
-        // Calculate the test statistic D
-        const d = Math.max( dPlus, dMinus );
-        criticalValues.push( d );
-    }
-    // Sort the critical values in ascending order
-    criticalValues.sort( ( a, b ) => a - b );
-    // Determine the critical value for the given significance level
-    const criticalValue = criticalValues[ Math.floor( numSimulations * ( 1 - alpha ) ) ];
-    return criticalValue;
+function npChart( data, sizes, options = {} ) {
+    return attributeChart( "np", data, sizes, options );
 }
-
-// END Normality Tests
+module.exports.npChart = npChart;
 
 /**
- * Calculates the factorial of a given number using the Lanczos approximation.
- *
- * @param {number|string|BigNumber} z - The input value for which the factorial is to be calculated.
- *                                      It can be a number, string, or BigNumber.
- * @returns {BigNumber} - The factorial of the input value as a BigNumber.
+ * Builds a c chart: the number of defects in each equally sized sample, with limits c̄ ± 3 √c̄.
  *
- * @description
- * This function uses the Lanczos approximation to compute the factorial of a given number.
- * The input value is first converted to a BigNumber object. The Lanczos approximation is
- * then applied using a series of coefficients to compute the factorial.
- *
- * The Lanczos approximation formula used is:
- *
- *     Γ(z) ≈ sqrt(2π) * (z + g + 0.5)^(z + 0.5) * e^-(z + g + 0.5) * A(z)
- *
- * where A(z) is a series sum of coefficients divided by (z + i).
- *
- * The function returns the factorial as a BigNumber to handle very large values.
+ * @param {Object|Array} data - The number of defects in each sample, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object. The same as for `pChart()`, with exact
+ *                                Poisson limits for the "probability" method.
+ * @returns {Object} The chart, as for `pChart()`, without `sizes`.
+ * @throws {Error} If a count is negative.
  */
-function factorial( z ) {
-    // Convert the input value `z` to a BigNumber object for high-precision calculations
-    z = new BigNumber( z );
-
-    // Set the constant `g` used in the Lanczos approximation
-    const g = 7;
-
-    // Coefficients for the Lanczos approximation formula
-    const C = [
-        0.99999999999980993,
-        676.5203681218851,
-        -1259.1392167224028,
-        771.32342877765313,
-        -176.61502916214059,
-        12.507343278686905,
-        -0.13857109526572012,
-        9.9843695780195716e-6,
-        1.5056327351493116e-7
-    ];
+function cChart( data, options = {} ) {
+    return attributeChart( "c", data, 1, options );
+}
+module.exports.cChart = cChart;
 
-    // Initialize `x` with the first coefficient
-    let x = new BigNumber( C[ 0 ] );
+/**
+ * Builds a u chart: the number of defects per unit in each sample, with limits ū ± 3 √(ū / n).
+ *
+ * @param {Object|Array} data - The number of defects in each sample, as accepted by `patterns()`.
+ * @param {number|number[]} sizes - The number of units (or area of opportunity) in each sample.
+ * @param {Object} [options={}] - Optional configuration object. The same as for `pChart()`, with exact
+ *                                Poisson limits for the "probability" method.
+ * @returns {Object} The chart, as for `pChart()`, with `center` the defects per unit, ū.
+ * @throws {Error} If a count is negative or a sample size is not positive.
+ */
+function uChart( data, sizes, options = {} ) {
+    return attributeChart( "u", data, sizes, options );
+}
+module.exports.uChart = uChart;
 
-    // Sum the series using the coefficients and the input value `z`
-    for ( let i = 1; i < g + 2; i++ ) {
-        // Add the current term to `x`, dividing the coefficient by (z + i)
-        x = x.plus( new BigNumber( C[ i ] ).div( z.plus( i ) ) );
+/**
+ * Reads a process center and sigma from the statistics of another chart.
+ *
+ * @param {Object} stats - Frozen limits from `fitLimits()` or `imr()` (`center`, `sigma`), a `Zone` (`mean`, `std`),
+ *                         or a `patterns()` result (its `limits` if it was given any, else `center`, `scale`).
+ * @returns {Object} `{ center, sigma }`.
+ * @throws {Error} If no finite center and positive sigma can be read.
+ */
+function baselineOf( stats ) {
+    if ( stats instanceof Zone ) {
+        return parseLimits( { "center": stats.mean, "sigma": stats.std } );
     }
-
-    // Calculate `t` as (z + g + 0.5), which is used in the formula
-    let t = z.plus( g ).plus( 0.5 );
-
-    // Return the factorial using the Lanczos approximation formula
-    return PI.times( 2 ) // Multiply by the square root of 2π
-        .sqrt()
-        .times( Math.pow( t.toNumber(), z.plus( 0.5 ).toNumber() ) ) // Raise (z + g + 0.5) to the power of (z + 0.5)
-        .times( Math.pow( E.toNumber(), -t.toNumber() ) ) // Multiply by e^-(z + g + 0.5)
-        .times( x ); // Multiply by the sum of the series
+    if ( stats && stats.limits ) {
+        return parseLimits( stats.limits );
+    }
+    if ( stats && stats.scale && stats.standardDeviation !== undefined ) {
+        // A patterns() result: the center line and sigma of its zones, averaged over the two sides if asymmetric
+        return parseLimits( { "center": stats.center, "sigma": ( stats.scale.upper + stats.scale.lower ) / 2 } );
+    }
+    return parseLimits( stats );
 }
 
-// Export the `factorial` function for use in other modules
-module.exports.factorial = factorial;
+/**
+ * Works out the target and sigma of a CUSUM or EWMA chart: explicit values win over the baseline,
+ * which wins over the mean and moving-range sigma of the data itself.
+ *
+ * @param {number[]} values - The validated data.
+ * @param {Object} opts - The chart's options: `target`, `sigma` and `baseline`.
+ * @returns {Object} `{ center, sigma }`.
+ * @throws {Error} If no finite target and positive sigma can be found.
+ */
+function targetOf( values, opts ) {
+    let base = {};
+    if ( opts.baseline ) {
+        base = baselineOf( opts.baseline );
+    }
+    else if ( opts.target === undefined || opts.sigma === undefined ) {
+        const chart = imr( values );
+        base = { "center": chart.center, "sigma": chart.sigma };
+    }
+    return parseLimits( {
+        "center": opts.target === undefined ? base.center : opts.target,
+        "sigma": opts.sigma === undefined ? base.sigma : opts.sigma
+    } );
+}
 
 /**
- * Calculates the probability density function (PDF) of the Poisson distribution.
+ * Runs a tabular CUSUM chart, which accumulates deviations from the target and so catches small
+ * sustained shifts (about 0.5 to 1 sigma) much sooner than the zone rules.
  *
- * The Poisson distribution is a discrete probability distribution that expresses
- * the probability of a given number of events occurring in a fixed interval of time
- * or space if these events occur with a known constant mean rate and independently
- * of the time since the last event.
+ *     C+ = max( 0, x - ( target + K ) + C+ of the previous point )
+ *     C- = max( 0, ( target - K ) - x + C- of the previous point )
  *
- * The formula for the Poisson PDF is:
+ * where K = k sigma is the reference value (half the shift to detect), and a sum above the decision
+ * interval H = h sigma is a signal. The shift is estimated to have started just after the sum was last
+ * 0, and the new process mean is estimated as target ± ( K + C / N ), for N points since then.
  *
- *     P(X = x) = (λ^x * e^(-λ)) / x!
+ * The target and sigma default to the mean and the moving-range sigma of the data (see `imr()`), which
+ * a shift inflates less than the standard deviation. Better, take them from a baseline.
  *
- * where:
- * - `x` is the number of occurrences (non-negative integer),
- * - `λ` (mean) is the average number of occurrences,
- * - `e` is Euler's number (approximately 2.718),
- * - `x!` is the factorial of `x`.
+ * @param {Object|Array} data - The data, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {Object} [options.baseline] - The statistics of a baseline: frozen limits from `fitLimits()` or `imr()`,
+ *                                      a `Zone`, or a `patterns()` result.
+ * @param {number} [options.target] - The target process mean. Overrides the baseline's center.
+ * @param {number} [options.sigma] - The process sigma. Overrides the baseline's sigma.
+ * @param {number} [options.k=0.5] - The reference value, in sigmas.
+ * @param {number} [options.h=5] - The decision interval, in sigmas.
+ * @param {boolean|number} [options.headstart=false] - Fast Initial Response: start both sums at this many sigmas
+ *                                                     (`true` for h / 2) rather than at 0.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The chart:
+ *   - {number} target, sigma, k, h: The parameters used.
+ *   - {number} reference, interval: K and H, in the units of the data.
+ *   - {number[]} upper, lower: C+ and C- at each point.
+ *   - {number[]} signals: The (original) indices of the points where either sum is beyond H.
+ *   - {Object[]} shifts: One record per out-of-control run: `{ side, start, signal, end, mean }`, with
+ *     `side` "upper" or "lower", the estimated `start` of the shift, the first `signal`, the `end` of the
+ *     run of signals, and the estimated process `mean` at the first signal.
+ *   - {Object} timestamps: For timestamped input, `signals` with timestamps in place of indices.
+ * @throws {Error} If k, h or the headstart is out of range, or no target and sigma can be found.
  *
- * @param {number} x - The number of occurrences (non-negative integer).
- * @param {number} mean - The average number of occurrences (positive number).
- * @returns {BigNumber} The probability of observing exactly `x` occurrences.
+ * @example
+ * const limits = fitLimits( baseline );
+ * cusum( todaysData, { "baseline": limits, "headstart": true } ).shifts;
  */
-function poissonPdf( x, mean ) {
-    // Calculate the Poisson probability using the formula:
-    // (mean^x * e^(-mean)) / factorial(x)
-    return new BigNumber( mean ** x ) // Raise the mean to the power of x
-        .times( E.toNumber() ** -mean ) // Multiply by e^(-mean)
-        .div( factorial( x ) ); // Divide by the factorial of x
-}
+function cusum( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const k = options.k === undefined ? 0.5 : parseFloat( options.k );
+    const h = options.h === undefined ? 5 : parseFloat( options.h );
+    if ( !( k >= 0 ) || !( h > 0 ) ) {
+        throw new Error( "k must be at least 0, and h above 0." );
+    }
+    let headstart = 0;
+    if ( options.headstart === true ) {
+        headstart = h / 2;
+    }
+    else if ( options.headstart ) {
+        headstart = parseFloat( options.headstart );
+        if ( !( headstart >= 0 && headstart < h ) ) {
+            throw new Error( "The headstart must be at least 0 and below h." );
+        }
+    }
 
-// Export the `poissonPdf` function for use in other modules
-module.exports.poissonPdf = poissonPdf;
+    const { "center": target, sigma } = targetOf( values, options );
+    const K = k * sigma;
+    const H = h * sigma;
+
+    const upper = [];
+    const lower = [];
+    const signals = [];
+    const shifts = [];
+    const sides = {
+        "upper": { "sum": headstart * sigma, "count": 0, "run": null },
+        "lower": { "sum": headstart * sigma, "count": 0, "run": null }
+    };
+    values.forEach( ( val, i ) => {
+        // Accumulate each side, counting the points since its sum was last 0
+        const deviations = { "upper": val - ( target + K ), "lower": ( target - K ) - val };
+        let signal = false;
+        for ( const side of [ "upper", "lower" ] ) {
+            const s = sides[ side ];
+            s.sum = Math.max( 0, s.sum + deviations[ side ] );
+            s.count = s.sum > 0 ? s.count + 1 : 0;
+            if ( s.sum > H ) {
+                signal = true;
+                if ( s.run ) {
+                    s.run.end = prepared.index[ i ];
+                }
+                else {
+                    // A new out-of-control run: estimate where the shift started, and to what mean
+                    const offset = K + s.sum / s.count;
+                    s.run = {
+                        "side": side,
+                        "start": prepared.index[ Math.max( 0, i - s.count + 1 ) ],
+                        "signal": prepared.index[ i ],
+                        "end": prepared.index[ i ],
+                        "mean": side === "upper" ? target + offset : target - offset
+                    };
+                    shifts.push( s.run );
+                }
+            }
+            else {
+                s.run = null;
+            }
+        }
+        upper.push( sides.upper.sum );
+        lower.push( sides.lower.sum );
+        if ( signal ) {
+            signals.push( prepared.index[ i ] );
+        }
+    } );
+
+    const result = {
+        "target": target,
+        "sigma": sigma,
+        "k": k,
+        "h": h,
+        "reference": K,
+        "interval": H,
+        "upper": upper,
+        "lower": lower,
+        "signals": signals,
+        "shifts": shifts
+    };
+    if ( prepared.timestamps ) {
+        result.timestamps = { "signals": signals.map( i => prepared.timestamps[ i ] ) };
+    }
+    return result;
+}
+module.exports.cusum = cusum;
 
 /**
- * Computes the cumulative distribution function (CDF) for a Poisson distribution.
+ * Runs an exponentially weighted moving average (EWMA) chart. Each point's statistic weighs it by λ and
+ * the previous statistic by 1 - λ, starting from the target:
  *
- * @param {number} x - The value at which to evaluate the CDF. If x is less than 0, the function returns 0.
- * @param {number} mean - The mean (λ) of the Poisson distribution.
- * @returns {number} The CDF value for the given x and mean.
+ *     z = λ x + ( 1 - λ ) z of the previous point
+ *
+ * A small λ remembers more of the past and so catches smaller shifts. The limits widen from the first
+ * point on, as the statistic's variance grows, and converge to the asymptotic ones:
+ *
+ *     target ± L sigma √( λ / ( 2 - λ ) ( 1 - ( 1 - λ )^(2 i) ) )
+ *
+ * The target and sigma are found as for `cusum()`.
+ *
+ * @param {Object|Array} data - The data, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {number} [options.lambda=0.2] - The weight of each new point, above 0 and at most 1.
+ * @param {number} [options.width=3] - The width of the limits (L), in sigmas of the statistic.
+ * @param {Object} [options.baseline] - The statistics of a baseline. See `cusum()`.
+ * @param {number} [options.target] - The target process mean. Overrides the baseline's center.
+ * @param {number} [options.sigma] - The process sigma. Overrides the baseline's sigma.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The chart:
+ *   - {number} target, sigma, lambda, width: The parameters used.
+ *   - {number[]} statistic: The EWMA at each point.
+ *   - {number[]} lcl, ucl: The limits at each point.
+ *   - {Object} asymptotic: The `lcl` and `ucl` the limits converge to.
+ *   - {number[]} signals: The (original) indices of the points whose statistic is beyond its limits.
+ *   - {Object} timestamps: For timestamped input, `signals` with timestamps in place of indices.
+ * @throws {Error} If λ or the width is out of range, or no target and sigma can be found.
  *
  * @example
- * // Returns the CDF value for x = 3 and mean = 2
- * poissonCdf(3, 2);
+ * ewma( todaysData, { "baseline": fitLimits( baseline ), "lambda": 0.1, "width": 2.7 } ).signals;
  */
-function poissonCdf( x, mean ) {
-    // Initialize an empty array to store the Poisson probabilities
-    let arr = [];
-    // If x is less than 0, return 0 as the CDF value
-    if ( x < 0 ) {
-        return 0;
+function ewma( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const lambda = options.lambda === undefined ? 0.2 : parseFloat( options.lambda );
+    const width = options.width === undefined ? 3 : parseFloat( options.width );
+    if ( !( lambda > 0 && lambda <= 1 ) || !( width > 0 ) ) {
+        throw new Error( "Lambda must be above 0 and at most 1, and the width above 0." );
     }
-    // Calculate the Poisson probability for each integer from 0 to x
-    for ( let i = 0; i <= x; i++ ) {
-        arr.push( poissonPdf( i, mean ) );
+    const { "center": target, sigma } = targetOf( values, options );
+
+    const statistic = [];
+    const lcl = [];
+    const ucl = [];
+    const signals = [];
+    let z = target;
+    values.forEach( ( val, i ) => {
+        z = lambda * val + ( 1 - lambda ) * z;
+        const spread = width * sigma * Math.sqrt( lambda / ( 2 - lambda ) * ( 1 - ( 1 - lambda ) ** ( 2 * ( i + 1 ) ) ) );
+        statistic.push( z );
+        lcl.push( target - spread );
+        ucl.push( target + spread );
+        if ( z < target - spread || z > target + spread ) {
+            signals.push( prepared.index[ i ] );
+        }
+    } );
+    const asymptote = width * sigma * Math.sqrt( lambda / ( 2 - lambda ) );
+
+    const result = {
+        "target": target,
+        "sigma": sigma,
+        "lambda": lambda,
+        "width": width,
+        "statistic": statistic,
+        "lcl": lcl,
+        "ucl": ucl,
+        "asymptotic": {
+            "lcl": target - asymptote,
+            "ucl": target + asymptote
+        },
+        "signals": signals
+    };
+    if ( prepared.timestamps ) {
+        result.timestamps = { "signals": signals.map( i => prepared.timestamps[ i ] ) };
     }
-    // Sum all the Poisson probabilities to get the CDF value
-    return BigNumber.sum.apply( null, arr );
+    return result;
 }
-module.exports.poissonCdf = poissonCdf;
+module.exports.ewma = ewma;
 
-// exp = scientific notation exponent
-const formatNumber = ( num, exp ) => exp ? num.toExponential( exp ) : num.toString();
+/**
+ * Builds a confidence interval for a capability index from the sampling distribution of sigma:
+ * the index scales with 1 / sigma, so its bounds scale with √( χ² / ν ).
+ *
+ * @param {number} value - The index.
+ * @param {number} df - The degrees of freedom, ν.
+ * @param {number} alpha - One minus the confidence level.
+ * @returns {Object} `{ value, lower, upper }`.
+ */
+function chiSquareInterval( value, df, alpha ) {
+    return {
+        "value": value,
+        "lower": value * Math.sqrt( jstat.chisquare.inv( alpha / 2, df ) / df ),
+        "upper": value * Math.sqrt( jstat.chisquare.inv( 1 - alpha / 2, df ) / df )
+    };
+}
 
 /**
- * Calculates various Poisson probabilities for a given value, mean, and optional exponent.
+ * Builds Bissell's (1990) approximate confidence interval for Cpk or Ppk.
  *
- * This function computes probabilities related to the Poisson distribution, including:
- * - The cumulative probability of observing `x` or fewer events (P(X ≤ x)).
- * - The cumulative probability of observing fewer than `x` events (P(X < x)).
- * - The probability of observing exactly `x` events (P(X = x)).
- * - The complementary probabilities for observing more than `x` events (P(X > x)),
- *   at least `x` events (P(X ≥ x)), and not exactly `x` events (P(X ≠ x)).
+ * @param {number} value - The index.
+ * @param {number} n - The number of points.
+ * @param {number} alpha - One minus the confidence level.
+ * @returns {Object} `{ value, lower, upper }`.
+ */
+function bissellInterval( value, n, alpha ) {
+    const margin = jstat.normal.inv( 1 - alpha / 2, 0, 1 ) * Math.sqrt( 1 / ( 9 * n ) + value * value / ( 2 * ( n - 1 ) ) );
+    return {
+        "value": value,
+        "lower": value - margin,
+        "upper": value + margin
+    };
+}
+
+/**
+ * Analyzes the capability of a process to meet its specification limits.
  *
- * @param {number} x - The value for which to calculate the Poisson probabilities.
- *                     Represents the number of occurrences (non-negative integer).
- * @param {number} mean - The mean (λ) of the Poisson distribution, representing the average number of occurrences.
- * @param {number} [exp] - An optional exponent for formatting the results. If not a number, it defaults to false.
- * @returns {Object} An object containing the following Poisson probabilities:
- *   - {number} lte - The cumulative distribution function (CDF) for P(X ≤ x).
- *   - {number} lt - The CDF for P(X < x).
- *   - {number} eq - The probability density function (PDF) for P(X = x).
- *   - {number} gt - The complementary probability for P(X > x).
- *   - {number} gte - The complementary probability for P(X ≥ x).
- *   - {number} ne - The complementary probability for P(X ≠ x).
+ * The potential indices (Cp, Cpk) use the within-process sigma, by default estimated from the moving
+ * range as in `imr()`, or e.g. the `sigma` of an `xbarR()` chart. The performance indices (Pp, Ppk) use
+ * the overall sample standard deviation, and Cpm also penalizes the distance of the mean from the target.
+ *
+ *     Cp = ( USL - LSL ) / 6 sigma
+ *     Cpk = min( USL - mean, mean - LSL ) / 3 sigma
+ *     Cpm = ( USL - LSL ) / 6 √( s² + ( mean - target )² )
+ *
+ * With only one specification limit, Cp, Pp and Cpm are null, and Cpk and Ppk are the one-sided index.
+ * Cp, Pp and Cpm get chi-square confidence intervals (Boyles' degrees of freedom for Cpm), and Cpk and
+ * Ppk get Bissell's normal approximation.
+ *
+ * All of these assume normal data. So the data is also tested with Shapiro-Wilk, and a warning is given
+ * when normality is rejected. The `percentile` indices are then the better guide: they replace the mean
+ * ± 3 sigma with the median and the 0.135th and 99.865th percentiles of the data.
+ *
+ * @param {Object|Array} data - The measurements, as accepted by `patterns()`.
+ * @param {Object} options - Configuration object.
+ * @param {number} [options.lsl] - The lower specification limit.
+ * @param {number} [options.usl] - The upper specification limit.
+ * @param {number} [options.target] - The target, for Cpm. Defaults to the middle of the specification limits.
+ * @param {number} [options.sigma] - The within-process sigma. Defaults to the moving-range sigma.
+ * @param {number} [options.alpha=0.05] - One minus the confidence level of the intervals.
+ * @param {number} [options.normalityAlpha=0.05] - The significance level of the normality test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The report:
+ *   - {number} n, mean, median: The number of points, their mean and their median.
+ *   - {Object} sigma: The `within` and `overall` sigma.
+ *   - {Object} cp, cpk, pp, ppk, cpm: Each index's `value`, and the `lower` and `upper` bounds of its confidence interval.
+ *   - {Object} ppm: Parts per million beyond the specification limits: `observed` in the data, and `within` and
+ *     `overall` as expected from a normal distribution. Each has `below`, `above` and `total`.
+ *   - {Object} normality: The Shapiro-Wilk `testStatistic` and `pValue`, and whether the data is taken as `normal`.
+ *   - {Object} percentile: The percentile-based `pp` and `ppk`.
+ *   - {string} warning: When normality is rejected, a warning that the normal-theory indices are unreliable.
+ * @throws {Error} If neither specification limit is given, the LSL is not below the USL, or there are fewer than 3 points.
+ *
+ * @example
+ * const report = capability( measurements, { "lsl": 9, "usl": 11 } );
+ * report.cpk; // { "value": 1.21, "lower": 1.02, "upper": 1.4 }
  */
-function poisson( x, mean, exp ) {
-    // Check if `exp` is a number; if not, set it to false
-    if ( typeof exp !== "number" ) {
-        exp = false;
+function capability( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const n = values.length;
+    const lsl = options.lsl === undefined ? null : parseFloat( options.lsl );
+    const usl = options.usl === undefined ? null : parseFloat( options.usl );
+    if ( lsl === null && usl === null ) {
+        throw new Error( "Please pass a lower (lsl) or upper (usl) specification limit, or both." );
+    }
+    if ( ( lsl !== null && !Number.isFinite( lsl ) ) || ( usl !== null && !Number.isFinite( usl ) ) || ( lsl !== null && usl !== null && lsl >= usl ) ) {
+        throw new Error( "The specification limits must be numbers, with the LSL below the USL." );
+    }
+    if ( n < 3 ) {
+        throw new Error( "A capability analysis needs at least 3 points." );
+    }
+    const alpha = parseAlpha( options.alpha );
+    const normalityAlpha = parseAlpha( options.normalityAlpha );
+    const twoSided = lsl !== null && usl !== null;
+
+    const mean = ss.mean( values );
+    const median = ss.median( values );
+    const overall = ss.sampleStandardDeviation( values );
+    const within = options.sigma === undefined ? imr( values ).sigma : parseLimits( { "center": mean, "sigma": options.sigma } ).sigma;
+    const target = options.target === undefined ? ( twoSided ? ( lsl + usl ) / 2 : null ) : parseFloat( options.target );
+
+    // The potential (within) and performance (overall) indices share their formulas
+    const potential = sigma => ( twoSided ? ( usl - lsl ) / ( 6 * sigma ) : null );
+    const centered = sigma => Math.min( usl === null ? Infinity : ( usl - mean ) / ( 3 * sigma ), lsl === null ? Infinity : ( mean - lsl ) / ( 3 * sigma ) );
+    const df = n - 1;
+    const report = {
+        "n": n,
+        "mean": mean,
+        "median": median,
+        "sigma": {
+            "within": within,
+            "overall": overall
+        },
+        "cp": twoSided ? chiSquareInterval( potential( within ), df, alpha ) : null,
+        "cpk": bissellInterval( centered( within ), n, alpha ),
+        "pp": twoSided ? chiSquareInterval( potential( overall ), df, alpha ) : null,
+        "ppk": bissellInterval( centered( overall ), n, alpha ),
+        "cpm": null
+    };
+    if ( twoSided && target !== null ) {
+        // Boyles (1991): the degrees of freedom shrink as the mean moves off target
+        const delta = ( mean - target ) / overall;
+        const boyles = n * ( 1 + delta * delta ) ** 2 / ( 1 + 2 * delta * delta );
+        const tau = Math.sqrt( overall * overall + ( mean - target ) ** 2 );
+        report.cpm = chiSquareInterval( ( usl - lsl ) / ( 6 * tau ), boyles, alpha );
     }
 
-    // Convert `exp` to an absolute integer value
-    exp = Math.abs( parseInt( exp ) );
-
-    // Validate the input data (ensures `x` and `mean` are valid numbers)
-    let _data = validate( [ x, mean ] );
-
-    // Calculate Poisson probabilities
-    let results = {
-        "lte": poissonCdf( _data[ 0 ], _data[ 1 ] ), // Cumulative distribution function (CDF) for P(X ≤ x)
-        "lt": poissonCdf( _data[ 0 ] - 1, _data[ 1 ] ), // CDF for P(X < x)
-        "eq": poissonPdf( _data[ 0 ], _data[ 1 ] ) // Probability density function (PDF) for P(X = x)
+    // Parts per million beyond the specification limits, observed and expected
+    const expected = sigma => {
+        const below = lsl === null ? 0 : jstat.normal.cdf( lsl, mean, sigma ) * 1e6;
+        const above = usl === null ? 0 : ( 1 - jstat.normal.cdf( usl, mean, sigma ) ) * 1e6;
+        return { below, above, "total": below + above };
+    };
+    const below = lsl === null ? 0 : values.filter( val => val < lsl ).length / n * 1e6;
+    const above = usl === null ? 0 : values.filter( val => val > usl ).length / n * 1e6;
+    report.ppm = {
+        "observed": { below, above, "total": below + above },
+        "within": expected( within ),
+        "overall": expected( overall )
     };
 
-    // Calculate complementary probabilities
-    results.gt = new BigNumber( 1 ).minus( results.lte ); // P(X > x)
-    results.gte = new BigNumber( 1 ).minus( results.lt ); // P(X ≥ x)
-    results.ne = new BigNumber( 1 ).minus( results.eq ); // P(X ≠ x)
+    // shapiroWilk() sorts its input in place, so it gets a copy
+    const sw = shapiroWilk( values.slice() );
+    report.normality = {
+        "test": "shapiroWilk",
+        "testStatistic": sw.testStatistic,
+        "pValue": sw.pValue,
+        "normal": !( sw.pValue < normalityAlpha )
+    };
 
-    // Format the results based on the `exp` value (e.g., scientific notation)
-    for ( let key in results ) {
-        results[ key ] = formatNumber( results[ key ], exp );
+    // Percentile-based indices, which do not assume normality
+    const sorted = values.slice().sort( ( a, b ) => a - b );
+    const low = sortedQuantile( sorted, 0.00135 );
+    const high = sortedQuantile( sorted, 0.99865 );
+    report.percentile = {
+        "pp": twoSided ? ( usl - lsl ) / ( high - low ) : null,
+        "ppk": Math.min( usl === null ? Infinity : ( usl - median ) / ( high - median ), lsl === null ? Infinity : ( median - lsl ) / ( median - low ) )
+    };
+    if ( !report.normality.normal ) {
+        report.warning = `Normality is rejected (Shapiro-Wilk p = ${sw.pValue.toPrecision( 3 )}), so Cp, Cpk, Pp, Ppk, Cpm and the expected PPM may be misleading. Please consider the percentile indices instead.`;
     }
-
-    // Return the results as an object
-    return results;
+    return report;
 }
+module.exports.capability = capability;
 
-// Export the `poisson` function for use in other modules
-module.exports.poisson = poisson;
+// START Normality Tests
 
 /**
- * Validates that the input is an array of numbers or number strings.
- * Converts all elements to numbers and returns the converted array.
- * Throws an error if the input is not valid.
+ * Performs the Shapiro-Wilk test for normality on a given dataset.
  *
- * @param {Array} data - The input data to validate.
- * @returns {Array} - The validated and converted array of numbers.
- * @throws {Error} - If the input is not an array or contains invalid elements.
+ * The Shapiro-Wilk test is a statistical test that checks whether a dataset
+ * follows a normal distribution. It calculates a test statistic (W) and a p-value
+ * to determine the likelihood that the data is normally distributed.
+ *
+ * @param {number[]} dataArray - An array of numerical data points to test for normality.
+ * @param {number} [significanceLevel=0.05] - The significance level for the test. Default is 0.05.
+ * @returns {Object} An object containing the test statistic (W) and the approximate p-value.
+ * @property {number} testStatistic - The Shapiro-Wilk test statistic (W).
+ * @property {number} pValue - The approximate p-value for the test statistic.
+ * @throws {Error} If the input is not a valid array or if the significance level is not between 0 and 1.
  */
-function validate( data ) {
-    // Check if data is provided and is an array
-    if ( !data || !Array.isArray( data ) ) {
-        // Throw an error if the input is not an array
-        throw new Error( "Please pass an array of numbers." );
+function shapiroWilk( dataArray, significanceLevel = 0.05 ) {
+    /*
+     * Based heavily on EZ Statistics (https://github.com/jhagelback/ez_statistics)
+     */
+
+    // Validate the input array to ensure it is an array of numbers
+    if ( !Array.isArray( dataArray ) ) {
+        throw new Error( "Input must be a valid array of numbers." );
     }
 
-    // Convert all elements in the array to floating-point numbers
-    const _data = data.map( parseFloat );
+    // Validate the significance level to ensure it is between 0 and 1
+    if ( significanceLevel < 0 || significanceLevel > 1 ) {
+        throw new Error( "Significance level must be between 0 and 1." );
+    }
 
-    // Check if the array contains at least one finite number
-    if ( !_data.some( Number.isFinite ) ) {
-        // Throw an error if the array contains invalid elements
-        throw new Error( "Data included something other than numbers or number strings. Please pass an array of numbers." );
+    // Sample size of the dataset
+    const sampleSize = dataArray.length;
+
+    // Sort the array in ascending order for further calculations
+    dataArray.sort( ( a, b ) => a - b );
+
+    // Calculate the expected values of the order statistics (mi) for a standard normal distribution
+    const expectedValues = [];
+    for ( let i = 0; i < sampleSize; i++ ) {
+        const percentile = ( ( i + 1 ) - 0.375 ) / ( sampleSize + 0.25 ); // Calculate the percentile
+        expectedValues.push( jstat.normal.inv( percentile, 0, 1 ) ); // Inverse CDF of the standard normal distribution
     }
 
-    // Return the validated and converted array
-    return _data;
-}
+    // Calculate the sum of squares of the expected values (m)
+    const sumOfSquares = expectedValues.reduce( ( acc, val ) => acc + Math.pow( val, 2 ), 0 );
 
-// Example usage:
-// const validatedArray = validate(["1", "2", "3.5", "4"]);
-// console.log(validatedArray); // Output: [1, 2, 3.5, 4]
+    // Calculate the coefficients (ai) for the test statistic
+    const scalingFactor = 1 / Math.sqrt( sampleSize ); // Scaling factor for the coefficients
+    const coefficients = new Array( sampleSize ).fill( 0 ); // Initialize the coefficients array
 
-/**
- * Analyzes sequences in an array, identifying clusters of a specified size and their frequencies.
- * Optionally calculates partial matches based on a given threshold.
- *
- * @param {Array} arr - The input array to analyze.
- * @param {number} [clusterSize=4] - The size of the clusters to form from the array elements.
- * @param {number} [threshold] - The threshold for calculating partial matches.
- * @returns {Object} An object containing the analysis results:
- *   - {Object} sequences: An object with sequences as keys and their frequencies as values.
- *   - {Object} partials: An object with partial matches if a threshold is provided.
- *   - {number} threshold: The threshold value used for partial matches.
- *   - {number} strictDuplicates: The number of unique sequences that occur more than once.
- */
-function sequenceAnalysis( arr, clusterSize = 4, threshold ) {
-    // Initialize an empty array to store sequences and an object to count sequences
-    let newArray = [];
-    let sequences = {};
-    let partials = {};
+    // Calculate the coefficients for the last two elements
+    coefficients[ sampleSize - 1 ] = -2.70605 * Math.pow( scalingFactor, 5 ) +
+        4.434685 * Math.pow( scalingFactor, 4 ) -
+        2.071190 * Math.pow( scalingFactor, 3 ) -
+        0.147981 * Math.pow( scalingFactor, 2 ) +
+        0.221157 * scalingFactor +
+        expectedValues[ sampleSize - 1 ] * Math.pow( sumOfSquares, -0.5 );
 
-    // Iterate through the array to form clusters of the specified size
-    for ( let i = 0; i < arr.length - clusterSize + 1; i++ ) {
-        let temp = [];
-        for ( let j = i; j < i + clusterSize; j++ ) {
-            if ( j > arr.length - 1 ) {
-                break; // Stop if the index exceeds the array length
-            }
-            temp.push( arr[ j ] ); // Add the current element to the temporary cluster
-        }
-        let p = temp.join( "," ); // Convert the cluster to a comma-separated string
+    coefficients[ sampleSize - 2 ] = -3.582633 * Math.pow( scalingFactor, 5 ) +
+        5.682633 * Math.pow( scalingFactor, 4 ) -
+        1.752461 * Math.pow( scalingFactor, 3 ) -
+        0.293762 * Math.pow( scalingFactor, 2 ) +
+        0.042981 * scalingFactor +
+        expectedValues[ sampleSize - 2 ] * Math.pow( sumOfSquares, -0.5 );
 
-        // Count the occurrences of each sequence
-        if ( sequences[ p ] === undefined ) {
-            sequences[ p ] = 1; // Initialize the count for a new sequence
+    // Calculate the coefficients for the remaining elements
+    for ( let i = 0; i < sampleSize - 2; i++ ) {
+        const currentIndex = i + 1;
+        if ( currentIndex === 1 ) {
+            coefficients[ i ] = -coefficients[ sampleSize - 1 ];
+        }
+        else if ( currentIndex === 2 ) {
+            coefficients[ i ] = -coefficients[ sampleSize - 2 ];
         }
         else {
-            sequences[ p ]++; // Increment the count for an existing sequence
+            const epsilon = ( sumOfSquares - 2.0 * Math.pow( expectedValues[ sampleSize - 1 ], 2 ) -
+                    2.0 * Math.pow( expectedValues[ sampleSize - 2 ], 2 ) ) /
+                ( 1.0 - 2.0 * Math.pow( coefficients[ sampleSize - 1 ], 2 ) -
+                    2.0 * Math.pow( coefficients[ sampleSize - 2 ], 2 ) );
+            coefficients[ i ] = expectedValues[ i ] / Math.sqrt( epsilon );
         }
-        newArray.push( p ); // Add the sequence to the new array
     }
 
-    // Remove sequences that occur only once
-    for ( let i in sequences ) {
-        if ( sequences[ i ] === 1 ) {
-            delete sequences[ i ]; // Remove sequences with a frequency of 1
-        }
-    }
+    // Calculate the sample mean
+    const sampleMean = jstat.mean( dataArray );
 
-    // Sort sequences by their frequency in descending order
-    let keys = Object.keys( sequences ).sort( ( a, b ) => {
+    // Calculate the W statistic
+    let numerator = 0;
+    let denominator = 0;
+    for ( let i = 0; i < sampleSize; i++ ) {
+        numerator += coefficients[ i ] * dataArray[ i ];
+        denominator += Math.pow( dataArray[ i ] - sampleMean, 2 );
+    }
+    const testStatistic = Math.pow( numerator, 2 ) / Math.max( denominator, 0.0000001 ); // Avoid division by zero
+
+    // Calculate the Z statistic for the W value
+    const logSampleSize = Math.log( sampleSize );
+    const meanLog = 0.0038915 * Math.pow( logSampleSize, 3 ) -
+        0.083751 * Math.pow( logSampleSize, 2 ) -
+        0.31082 * logSampleSize -
+        1.5861;
+    const power = 0.0030302 * Math.pow( logSampleSize, 2 ) -
+        0.082676 * logSampleSize -
+        0.4803;
+    const standardDeviation = Math.pow( Math.E, power );
+    const zStatistic = ( Math.log( 1.0 - testStatistic ) - meanLog ) / standardDeviation;
+
+    // Calculate the p-value using the standard normal distribution
+    const pValue = 1 - jstat.normal.cdf( zStatistic, 0, 1 );
+
+    // Return the test statistic and p-value
+    return {
+        testStatistic,
+        pValue
+    };
+}
+
+// Export the `shapiroWilk` function for use in other modules
+module.exports.shapiroWilk = shapiroWilk;
+
+/**
+ * Calculates the Kolmogorov-Smirnov D statistic and p-value for a given dataset.
+ *
+ * @param {number[]} data - An array of numerical data points.
+ * @returns {Object} An object containing the test statistic and the critical values for different alpha levels.
+ */
+function kolmogorovSmirnov( data ) {
+    // Get the number of data points
+    const n = data.length;
+    // Calculate the mean of the data
+    const mean = ss.mean( data );
+    // Calculate the standard deviation of the data
+    const stdDev = ss.standardDeviation( data );
+    // Sort the data in ascending order
+    const sortedData = data.slice().sort( ( a, b ) => a - b );
+    // Calculate the Kolmogorov-Smirnov D statistic
+    const D = Math.max( ...sortedData.map( ( value, i ) => {
+        // Calculate the cumulative distribution function (CDF) for the standard normal distribution
+        const cdf = ss.cumulativeStdNormalProbability( ( value - mean ) / stdDev );
+        // Calculate the maximum difference between the CDF and the empirical distribution function (EDF)
+        return Math.max( cdf - i / n, ( i + 1 ) / n - cdf );
+    } ) );
+    // Calculate the critical values for different alpha levels
+    const criticalValueAlpha05 = 1.36 / Math.sqrt( n ); // critical value for alpha = 0.05
+    const criticalValueAlpha10 = 1.22 / Math.sqrt( n ); // critical value for alpha = 0.10
+    const criticalValueAlpha01 = 1.63 / Math.sqrt( n ); // critical value for alpha = 0.01
+    return {
+        "testStatistic": D,
+        "criticalValues": {
+            "alpha05": criticalValueAlpha05,
+            "alpha10": criticalValueAlpha10,
+            "alpha01": criticalValueAlpha01
+        }
+    };
+};
+module.exports.kolmogorovSmirnov = kolmogorovSmirnov;
+
+/**
+ * Performs the Jarque-Bera normality test on an array of data.
+ *
+ * @param {number[]} data - The array of data to test.
+ * @returns {Object} An object containing the Jarque-Bera statistic, p-value, skewness, and kurtosis.
+ * @property {number} testStatistic - The Jarque-Bera statistic.
+ * @property {number} pValue - The p-value of the test.
+ */
+function jarqueBera( data ) {
+    // Sample size
+    const n = data.length;
+    // Calculate mean and standard deviation
+    const mean = jstat.mean( data );
+    const stdev = jstat.stdev( data, true );
+    // Initialize sums for skewness and kurtosis calculations
+    let sum3 = 0;
+    let sum4 = 0;
+    // Calculate the sums of the third and fourth powers of deviations from the mean
+    for ( let i = 0; i < n; i++ ) {
+        const deviation = data[ i ] - mean;
+        sum3 += Math.pow( deviation, 3 );
+        sum4 += Math.pow( deviation, 4 );
+    }
+    // Calculate skewness
+    const skewness = ( n * sum3 ) / ( ( n - 1 ) * ( n - 2 ) * Math.pow( stdev, 3 ) );
+    // Calculate kurtosis
+    const kurtosis = ( n * ( n + 1 ) * sum4 ) / ( ( n - 1 ) * ( n - 2 ) * ( n - 3 ) * Math.pow( stdev, 4 ) ) - ( 3 * Math.pow( n - 1, 2 ) ) / ( ( n - 2 ) * ( n - 3 ) );
+    // Calculate the Jarque-Bera statistic
+    const testStatistic = ( n / 6 ) * ( Math.pow( skewness, 2 ) + ( Math.pow( kurtosis, 2 ) / 4 ) );
+    // Calculate the p-value
+    const pValue = 1 - jstat.chisquare.cdf( testStatistic, 2 );
+
+    // Return the results
+    return {
+        testStatistic,
+        pValue
+    }
+}
+module.exports.jarqueBera = jarqueBera;
+
+/**
+ * Performs the Anderson-Darling test for normality on a given dataset.
+ *
+ * @param {number[]} data - An array of numerical data points to be tested.
+ * @returns {number} The Anderson-Darling statistic for the given data.
+ * @throws {Error} If the input is not a valid array with at least two elements.
+ *
+ * @example
+ * const data = [1.2, 2.3, 3.4, 4.5, 5.6];
+ * const result = andersonDarling(data);
+ * console.log(result); // Output: Anderson-Darling statistic value
+ */
+function andersonDarling2( data ) {
+    // Check if the input is a valid array with at least two elements
+    if ( !Array.isArray( data ) || data.length < 2 ) {
+        throw new Error( "Data must be an array with at least two elements." );
+    }
+    // Validate the data
+    const validatedData = validate( data );
+    // Sort the data in ascending order
+    validatedData.sort( ( a, b ) => a - b );
+    const n = validatedData.length;
+    // Calculate the mean of the data
+    const mean = ss.mean( validatedData );
+    // Calculate the standard deviation of the data
+    const stdDev = ss.standardDeviation( validatedData )
+    // Standardize the data (convert to z-scores)
+    const standardizedData = validatedData.map( value => ( value - mean ) / stdDev );
+    // Define the cumulative distribution function (CDF) for the normal distribution
+    const normalCDF = x => 0.5 * ( 1 + erf( x / Math.sqrt( 2 ) ) );
+    // Define the error function (erf) used in the CDF calculation
+    const erf = x => {
+        const sign = x >= 0 ? 1 : -1;
+        x = Math.abs( x );
+        const a1 = 0.254829592;
+        const a2 = -0.284496736;
+        const a3 = 1.421413741;
+        const a4 = -1.453152027;
+        const a5 = 1.061405429;
+        const p = 0.3275911;
+        const t = 1 / ( 1 + p * x );
+        const y = 1 - ( ( ( ( ( a5 * t + a4 ) * t ) + a3 ) * t + a2 ) * t + a1 ) * t * Math.exp( -x * x );
+        return sign * y;
+    };
+    // Calculate the Anderson-Darling statistic
+    const A2 = -n - ( 1 / n ) * standardizedData.reduce( ( sum, value, i ) => {
+        const Fi = normalCDF( value );
+        const term1 = ( 2 * ( i + 1 ) - 1 ) * Math.log( Fi );
+        const term2 = ( 2 * ( n - i ) - 1 ) * Math.log( 1 - Fi );
+        return sum + term1 + term2;
+    }, 0 );
+    return {
+        "testStatistic": A2,
+        "significanceLevel": {
+            "0.1": A2 < 1.933,
+            "0.05": A2 < 2.492,
+            "0.01": A2 < 3.857
+        }
+    }
+}
+module.exports.andersonDarling2 = andersonDarling2;
+
+/**
+ * Performs the Anderson-Darling normality test on an array of data.
+ * NOTE: The true/false values return in "pValues" answer the question
+ *       of "is this data likely to follow a normal distribution?"
+ *
+ * @param {number[]} data - The array of data to test.
+ * @returns {Object} An object containing the Anderson-Darling statistic and p-values for different confidence levels.
+ * @property {number} adStatistic - The Anderson-Darling statistic.
+ * @property {Object} pValues - The p-values for confidence levels of 0.10, 0.05, and 0.01.
+ */
+function andersonDarling( data ) {
+    const n = data.length;
+    const sortedData = data.slice().sort( ( a, b ) => a - b );
+    const mean = jstat.mean( sortedData );
+    const stdDev = jstat.stdev( sortedData, true );
+    const z = sortedData.map( x => ( x - mean ) / stdDev );
+    const p = z.map( x => jstat.normal.cdf( x, 0, 1 ) );
+    let A2 = -n;
+    for ( let i = 0; i < n; i++ ) {
+        A2 -= ( 2 * i + 1 ) * ( Math.log( p[ i ] ) + Math.log( 1 - p[ n - 1 - i ] ) ) / n;
+    }
+    A2 *= ( 1 + 4 / n - 25 / ( n * n ) );
+    const pValues = {
+        "0.1": A2 < 1.933,
+        "0.05": A2 < 2.492,
+        "0.01": A2 < 3.857
+    };
+    return {
+        "testStatistic": A2,
+        pValues
+    };
+}
+module.exports.andersonDarling = andersonDarling;
+
+/**
+ * Performs the Lilliefors test for normality on a given dataset.
+ * The Lilliefors test is a variation of the Kolmogorov-Smirnov test
+ * that is used when the parameters of the normal distribution are estimated
+ * from the data.
+ *
+ * @param {number[]} data - An array of numerical data points to be tested for normality.
+ * @returns {Object} An object containing the test statistic `d` and a boolean `isNormal`
+ * indicating whether the data is normally distributed at the 0.05 significance level.
+ *
+ * @property {number} d - The test statistic for the Lilliefors test.
+ */
+function lilliefors( data ) {
+    const n = data.length;
+    const mean = jstat.mean( data );
+    const stdDev = jstat.stdev( data, true );
+    const sortedData = data.slice().sort( ( a, b ) => a - b );
+    const cdf = sortedData.map( x => jstat.normal.cdf( x, mean, stdDev ) );
+    const dPlus = Math.max( ...cdf.map( ( p, i ) => ( i + 1 ) / n - p ) );
+    const dMinus = Math.max( ...cdf.map( ( p, i ) => p - i / n ) );
+    const d = Math.max( dPlus, dMinus );
+    const criticalValues = {
+        "0.01": simulateLillieforsCriticalValues( n, 0.01 ),
+        "0.05": simulateLillieforsCriticalValues( n, 0.05 ),
+        "0.10": simulateLillieforsCriticalValues( n, 0.10 )
+        //        0.01: parseFloat( ( /* 1.63 */ 1.031 / Math.sqrt( n ) ).toFixed( 10 ) ),
+        //        0.05: parseFloat( ( /* 1.36 */ 0.886 / Math.sqrt( n ) ).toFixed( 10 ) ),
+        //        0.10: parseFloat( ( /* 1.22 */ 0.819 / Math.sqrt( n ) ).toFixed( 10 ) )
+    };
+    return {
+        "testStatistic": d,
+        criticalValues
+    };
+}
+module.exports.lilliefors = lilliefors;
+
+/**
+ * Simulates critical values for the Lilliefors test using Monte Carlo simulation.
+ *
+ * @param {number} n - The sample size.
+ * @param {number} alpha - The significance level (e.g., 0.05 for a 5% significance level).
+ * @param {number} [numSimulations=10000] - The number of simulations to run (default is 10,000).
+ * @returns {number} The critical value for the given sample size and significance level.
+ */
+function simulateLillieforsCriticalValues( n, alpha, numSimulations = 10000 ) {
+    const criticalValues = [];
+    // Run the specified number of simulations
+    for ( let i = 0; i < numSimulations; i++ ) {
+        // Generate a random sample from a standard normal distribution
+        const sample = Array.from( {
+            length: n
+        }, () => jstat.normal.sample( 0, 1 ) );
+        const mean = jstat.mean( sample );
+        const stdDev = jstat.stdev( sample, true );
+        // Define the cumulative distribution function (CDF) for the normal distribution
+        const cdf = ( x ) => jstat.normal.cdf( x, mean, stdDev );
+        // Sort the sample in ascending order
+        const sortedSample = sample.slice().sort( ( a, b ) => a - b );
+        let dPlus = 0;
+        let dMinus = 0;
+        // Calculate the D+ and D- statistics
+        for ( let j = 0; j < n; j++ ) {
+            const empiricalCDF = ( j + 1 ) / n;
+            const theoreticalCDF = cdf( sortedSample[ j ] );
+            dPlus = Math.max( dPlus, empiricalCDF - theoreticalCDF );
+            dMinus = Math.max( dMinus, theoreticalCDF - j / n );
+        }
+        // Calculate the test statistic D
+        const d = Math.max( dPlus, dMinus );
+        criticalValues.push( d );
+    }
+    // Sort the critical values in ascending order
+    criticalValues.sort( ( a, b ) => a - b );
+    // Determine the critical value for the given significance level
+    const criticalValue = criticalValues[ Math.floor( numSimulations * ( 1 - alpha ) ) ];
+    return criticalValue;
+}
+
+// END Normality Tests
+
+/**
+ * Calculates the factorial of a given number using the Lanczos approximation.
+ *
+ * @param {number|string|BigNumber} z - The input value for which the factorial is to be calculated.
+ *                                      It can be a number, string, or BigNumber.
+ * @returns {BigNumber} - The factorial of the input value as a BigNumber.
+ *
+ * @description
+ * This function uses the Lanczos approximation to compute the factorial of a given number.
+ * The input value is first converted to a BigNumber object. The Lanczos approximation is
+ * then applied using a series of coefficients to compute the factorial.
+ *
+ * The Lanczos approximation formula used is:
+ *
+ *     Γ(z) ≈ sqrt(2π) * (z + g + 0.5)^(z + 0.5) * e^-(z + g + 0.5) * A(z)
+ *
+ * where A(z) is a series sum of coefficients divided by (z + i).
+ *
+ * The function returns the factorial as a BigNumber to handle very large values.
+ */
+function factorial( z ) {
+    // Convert the input value `z` to a BigNumber object for high-precision calculations
+    z = new BigNumber( z );
+
+    // Set the constant `g` used in the Lanczos approximation
+    const g = 7;
+
+    // Coefficients for the Lanczos approximation formula
+    const C = [
+        0.99999999999980993,
+        676.5203681218851,
+        -1259.1392167224028,
+        771.32342877765313,
+        -176.61502916214059,
+        12.507343278686905,
+        -0.13857109526572012,
+        9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+
+    // Initialize `x` with the first coefficient
+    let x = new BigNumber( C[ 0 ] );
+
+    // Sum the series using the coefficients and the input value `z`
+    for ( let i = 1; i < g + 2; i++ ) {
+        // Add the current term to `x`, dividing the coefficient by (z + i)
+        x = x.plus( new BigNumber( C[ i ] ).div( z.plus( i ) ) );
+    }
+
+    // Calculate `t` as (z + g + 0.5), which is used in the formula
+    let t = z.plus( g ).plus( 0.5 );
+
+    // Return the factorial using the Lanczos approximation formula
+    return PI.times( 2 ) // Multiply by the square root of 2π
+        .sqrt()
+        .times( Math.pow( t.toNumber(), z.plus( 0.5 ).toNumber() ) ) // Raise (z + g + 0.5) to the power of (z + 0.5)
+        .times( Math.pow( E.toNumber(), -t.toNumber() ) ) // Multiply by e^-(z + g + 0.5)
+        .times( x ); // Multiply by the sum of the series
+}
+
+// Export the `factorial` function for use in other modules
+module.exports.factorial = factorial;
+
+/**
+ * Calculates the probability density function (PDF) of the Poisson distribution.
+ *
+ * The Poisson distribution is a discrete probability distribution that expresses
+ * the probability of a given number of events occurring in a fixed interval of time
+ * or space if these events occur with a known constant mean rate and independently
+ * of the time since the last event.
+ *
+ * The formula for the Poisson PDF is:
+ *
+ *     P(X = x) = (λ^x * e^(-λ)) / x!
+ *
+ * where:
+ * - `x` is the number of occurrences (non-negative integer),
+ * - `λ` (mean) is the average number of occurrences,
+ * - `e` is Euler's number (approximately 2.718),
+ * - `x!` is the factorial of `x`.
+ *
+ * @param {number} x - The number of occurrences (non-negative integer).
+ * @param {number} mean - The average number of occurrences (positive number).
+ * @returns {BigNumber} The probability of observing exactly `x` occurrences.
+ */
+function poissonPdf( x, mean ) {
+    // Calculate the Poisson probability using the formula:
+    // (mean^x * e^(-mean)) / factorial(x)
+    return new BigNumber( mean ** x ) // Raise the mean to the power of x
+        .times( E.toNumber() ** -mean ) // Multiply by e^(-mean)
+        .div( factorial( x ) ); // Divide by the factorial of x
+}
+
+// Export the `poissonPdf` function for use in other modules
+module.exports.poissonPdf = poissonPdf;
+
+/**
+ * Computes the cumulative distribution function (CDF) for a Poisson distribution.
+ *
+ * @param {number} x - The value at which to evaluate the CDF. If x is less than 0, the function returns 0.
+ * @param {number} mean - The mean (λ) of the Poisson distribution.
+ * @returns {number} The CDF value for the given x and mean.
+ *
+ * @example
+ * // Returns the CDF value for x = 3 and mean = 2
+ * poissonCdf(3, 2);
+ */
+function poissonCdf( x, mean ) {
+    // Initialize an empty array to store the Poisson probabilities
+    let arr = [];
+    // If x is less than 0, return 0 as the CDF value
+    if ( x < 0 ) {
+        return 0;
+    }
+    // Calculate the Poisson probability for each integer from 0 to x
+    for ( let i = 0; i <= x; i++ ) {
+        arr.push( poissonPdf( i, mean ) );
+    }
+    // Sum all the Poisson probabilities to get the CDF value
+    return BigNumber.sum.apply( null, arr );
+}
+module.exports.poissonCdf = poissonCdf;
+
+// exp = scientific notation exponent
+const formatNumber = ( num, exp ) => exp ? num.toExponential( exp ) : num.toString();
+
+/**
+ * Calculates various Poisson probabilities for a given value, mean, and optional exponent.
+ *
+ * This function computes probabilities related to the Poisson distribution, including:
+ * - The cumulative probability of observing `x` or fewer events (P(X ≤ x)).
+ * - The cumulative probability of observing fewer than `x` events (P(X < x)).
+ * - The probability of observing exactly `x` events (P(X = x)).
+ * - The complementary probabilities for observing more than `x` events (P(X > x)),
+ *   at least `x` events (P(X ≥ x)), and not exactly `x` events (P(X ≠ x)).
+ *
+ * @param {number} x - The value for which to calculate the Poisson probabilities.
+ *                     Represents the number of occurrences (non-negative integer).
+ * @param {number} mean - The mean (λ) of the Poisson distribution, representing the average number of occurrences.
+ * @param {number} [exp] - An optional exponent for formatting the results. If not a number, it defaults to false.
+ * @returns {Object} An object containing the following Poisson probabilities:
+ *   - {number} lte - The cumulative distribution function (CDF) for P(X ≤ x).
+ *   - {number} lt - The CDF for P(X < x).
+ *   - {number} eq - The probability density function (PDF) for P(X = x).
+ *   - {number} gt - The complementary probability for P(X > x).
+ *   - {number} gte - The complementary probability for P(X ≥ x).
+ *   - {number} ne - The complementary probability for P(X ≠ x).
+ */
+function poisson( x, mean, exp ) {
+    // Check if `exp` is a number; if not, set it to false
+    if ( typeof exp !== "number" ) {
+        exp = false;
+    }
+
+    // Convert `exp` to an absolute integer value
+    exp = Math.abs( parseInt( exp ) );
+
+    // Validate the input data (ensures `x` and `mean` are valid numbers)
+    let _data = validate( [ x, mean ] );
+
+    // Calculate Poisson probabilities
+    let results = {
+        "lte": poissonCdf( _data[ 0 ], _data[ 1 ] ), // Cumulative distribution function (CDF) for P(X ≤ x)
+        "lt": poissonCdf( _data[ 0 ] - 1, _data[ 1 ] ), // CDF for P(X < x)
+        "eq": poissonPdf( _data[ 0 ], _data[ 1 ] ) // Probability density function (PDF) for P(X = x)
+    };
+
+    // Calculate complementary probabilities
+    results.gt = new BigNumber( 1 ).minus( results.lte ); // P(X > x)
+    results.gte = new BigNumber( 1 ).minus( results.lt ); // P(X ≥ x)
+    results.ne = new BigNumber( 1 ).minus( results.eq ); // P(X ≠ x)
+
+    // Format the results based on the `exp` value (e.g., scientific notation)
+    for ( let key in results ) {
+        results[ key ] = formatNumber( results[ key ], exp );
+    }
+
+    // Return the results as an object
+    return results;
+}
+
+// Export the `poisson` function for use in other modules
+module.exports.poisson = poisson;
+
+/**
+ * Checks whether data is timestamped, i.e. an array of `{ t, v }` points.
+ *
+ * @param {Array} data - The input data.
+ * @returns {boolean} True if every element is an object with a `t` property.
+ */
+function isTimestamped( data ) {
+    return data.length > 0 && data.every( point => point !== null && typeof point === "object" && !Array.isArray( point ) && "t" in point );
+}
+
+/**
+ * Converts a timestamp to milliseconds since the epoch.
+ *
+ * @param {number|string|Date} t - A number of milliseconds, a Date, or a date string.
+ * @returns {number} The timestamp in milliseconds, or NaN if it cannot be read.
+ */
+function parseTimestamp( t ) {
+    if ( t instanceof Date ) {
+        return t.getTime();
+    }
+    if ( typeof t === "string" ) {
+        return Date.parse( t );
+    }
+    return typeof t === "number" ? t : NaN;
+}
+
+// Functions that combine the values in a resampling interval
+const aggregates = {
+    "mean": values => ss.mean( values ),
+    "median": values => ss.median( values ),
+    "sum": values => ss.sum( values ),
+    "min": values => ss.min( values ),
+    "max": values => ss.max( values ),
+    "first": values => values[ 0 ],
+    "last": values => values[ values.length - 1 ],
+    "count": values => values.length
+};
+
+/**
+ * Resamples timestamped data to a fixed interval.
+ *
+ * The time line is cut into intervals starting at `start`, and the valid values in each interval are
+ * combined with the chosen aggregation. Intervals without values get a `null` value (0 for "count"),
+ * so they can be filled by the `missing` option of the function the result is passed to.
+ *
+ * @param {Object[]} data - The timestamped data, as `{ t, v }` points in any order. Timestamps may be
+ *                          numbers (milliseconds), Dates or date strings.
+ * @param {Object} options - Configuration object.
+ * @param {number} options.interval - The interval length, in milliseconds.
+ * @param {string} [options.aggregate="mean"] - "mean", "median", "sum", "min", "max", "first", "last" or "count".
+ * @param {number|string|Date} [options.start] - The start of the first interval. Defaults to the earliest timestamp.
+ *                                               Points before it are left out.
+ * @returns {Object[]} One `{ t, v }` point per interval, where `t` is the start of the interval in milliseconds.
+ * @throws {Error} If the data is not timestamped, or an option is out of range or not recognized.
+ *
+ * @example
+ * // Hourly means, with empty hours interpolated
+ * const hourly = resample( readings, { "interval": 3600000 } );
+ * zscore( hourly, { "missing": "interpolate", "output": "detailed" } );
+ */
+function resample( data, options = {} ) {
+    if ( !Array.isArray( data ) || !isTimestamped( data ) ) {
+        throw new Error( "Please pass an array of { t, v } points." );
+    }
+    const interval = +options.interval;
+    if ( !( interval > 0 ) ) {
+        throw new Error( "Please pass an interval greater than 0 (in milliseconds)." );
+    }
+    const aggregate = options.aggregate || "mean";
+    if ( !aggregates[ aggregate ] ) {
+        throw new Error( `Unknown aggregation "${aggregate}". Please use one of: ${Object.keys( aggregates ).join( ", " )}.` );
+    }
+
+    const points = data.map( ( point, i ) => {
+        const t = parseTimestamp( point.t );
+        if ( !Number.isFinite( t ) ) {
+            throw new Error( `Invalid timestamp at index ${i}. Please pass numbers (milliseconds), Dates or date strings.` );
+        }
+        return { t, "v": parseFloat( point.v ) };
+    } );
+    const start = options.start === undefined ? ss.min( points.map( point => point.t ) ) : parseTimestamp( options.start );
+    if ( !Number.isFinite( start ) ) {
+        throw new Error( "Invalid start timestamp." );
+    }
+
+    // Sort the valid values into their intervals; missing values are left out
+    const buckets = [];
+    for ( const point of points ) {
+        if ( point.t < start || !Number.isFinite( point.v ) ) {
+            continue;
+        }
+        const bucket = Math.floor( ( point.t - start ) / interval );
+        ( buckets[ bucket ] = buckets[ bucket ] || [] ).push( point );
+    }
+
+    // Combine each interval's values in time order
+    const out = [];
+    for ( let i = 0; i < buckets.length; i++ ) {
+        const values = ( buckets[ i ] || [] ).sort( ( a, b ) => a.t - b.t ).map( point => point.v );
+        out.push( {
+            "t": start + i * interval,
+            "v": values.length || aggregate === "count" ? aggregates[ aggregate ]( values ) : null
+        } );
+    }
+    return out;
+}
+module.exports.resample = resample;
+
+/**
+ * Validates that the input is an array of numbers or number strings, converts all elements
+ * to numbers, and applies a policy for elements that are missing or not numbers.
+ *
+ * Missing-value policies:
+ * - "reject": throw an error (the default)
+ * - "drop": remove the element
+ * - "median": replace the element with the median of the valid elements
+ * - "interpolate": replace the element by linear interpolation between its nearest valid
+ *   neighbors (elements before the first or after the last valid element take its value)
+ *
+ * Timestamped input, an array of `{ t, v }` points, is accepted as well. The values are validated as
+ * above, and the timestamps are returned alongside them.
+ *
+ * @param {Array} data - The input data to validate.
+ * @param {string} [missing="reject"] - The missing-value policy.
+ * @returns {Object} An object containing:
+ *   - {number[]} data: The validated and converted array of numbers.
+ *   - {number[]} index: The caller's original index for each element of `data`.
+ *   - {number} length: The length of the caller's original array.
+ *   - {Array|null} timestamps: The caller's timestamp for each original index, or null for bare values.
+ * @throws {Error} - If the input is not an array, contains no valid elements, contains
+ *                   invalid elements under the "reject" policy, or contains an invalid timestamp.
+ */
+function prepare( data, missing = "reject" ) {
+    // Check if data is provided and is an array
+    if ( !data || !Array.isArray( data ) ) {
+        // Throw an error if the input is not an array
+        throw new Error( "Please pass an array of numbers." );
+    }
+
+    // Timestamped input: keep the timestamps aside and work on the values
+    let timestamps = null;
+    if ( isTimestamped( data ) ) {
+        timestamps = data.map( ( point, i ) => {
+            if ( !Number.isFinite( parseTimestamp( point.t ) ) ) {
+                throw new Error( `Invalid timestamp at index ${i}. Please pass numbers (milliseconds), Dates or date strings.` );
+            }
+            return point.t;
+        } );
+        data = data.map( point => point.v );
+    }
+
+    // Convert all elements in the array to floating-point numbers
+    const _data = data.map( parseFloat );
+    const index = _data.map( ( val, i ) => i );
+
+    // Check if the array contains at least one finite number
+    if ( !_data.some( Number.isFinite ) ) {
+        // Throw an error if the array contains invalid elements
+        throw new Error( "Data included something other than numbers or number strings. Please pass an array of numbers." );
+    }
+
+    // Nothing to do if every element is a finite number
+    const firstBad = _data.findIndex( val => !Number.isFinite( val ) );
+    if ( firstBad === -1 ) {
+        return {
+            "data": _data,
+            "index": index,
+            "length": _data.length,
+            "timestamps": timestamps
+        };
+    }
+
+    switch ( missing ) {
+        case "reject":
+            throw new Error( `Data included something other than numbers or number strings at index ${firstBad}. Please pass an array of numbers, or set the "missing" option to "drop", "median" or "interpolate".` );
+        case "drop": {
+            // Keep the finite elements along with their original indices
+            const kept = index.filter( i => Number.isFinite( _data[ i ] ) );
+            return {
+                "data": kept.map( i => _data[ i ] ),
+                "index": kept,
+                "length": _data.length,
+                "timestamps": timestamps
+            };
+        }
+        case "median": {
+            // Replace invalid elements with the median of the valid ones
+            const median = ss.median( _data.filter( Number.isFinite ) );
+            return {
+                "data": _data.map( val => ( Number.isFinite( val ) ? val : median ) ),
+                "index": index,
+                "length": _data.length,
+                "timestamps": timestamps
+            };
+        }
+        case "interpolate": {
+            const out = _data.slice();
+            let prev = -1; // Index of the last valid element seen
+            for ( let i = 0; i < out.length; i++ ) {
+                if ( !Number.isFinite( _data[ i ] ) ) {
+                    continue;
+                }
+                // Fill the gap between the previous valid element and this one
+                for ( let j = prev + 1; j < i; j++ ) {
+                    out[ j ] = prev === -1 ? _data[ i ] : _data[ prev ] + ( _data[ i ] - _data[ prev ] ) * ( j - prev ) / ( i - prev );
+                }
+                prev = i;
+            }
+            // Carry the last valid element forward to the end of the array
+            for ( let j = prev + 1; j < out.length; j++ ) {
+                out[ j ] = _data[ prev ];
+            }
+            return {
+                "data": out,
+                "index": index,
+                "length": _data.length,
+                "timestamps": timestamps
+            };
+        }
+        default:
+            throw new Error( `Unknown missing-value policy "${missing}". Please use "reject", "drop", "median" or "interpolate".` );
+    }
+}
+
+/**
+ * Validates that the input is an array of numbers or number strings.
+ * Converts all elements to numbers and returns the converted array.
+ * Throws an error if the input is not valid.
+ *
+ * @param {Array} data - The input data to validate.
+ * @param {string} [missing="reject"] - The missing-value policy. See `prepare()`.
+ * @returns {Array} - The validated and converted array of numbers.
+ * @throws {Error} - If the input is not an array or contains invalid elements.
+ */
+function validate( data, missing ) {
+    return prepare( data, missing ).data;
+}
+
+// Example usage:
+// const validatedArray = validate(["1", "2", "3.5", "4"]);
+// console.log(validatedArray); // Output: [1, 2, 3.5, 4]
+
+/**
+ * Analyzes sequences in an array, identifying clusters of a specified size and their frequencies.
+ * Optionally calculates partial matches based on a given threshold.
+ *
+ * @param {Array} arr - The input array to analyze.
+ * @param {number} [clusterSize=4] - The size of the clusters to form from the array elements.
+ * @param {number} [threshold] - The threshold for calculating partial matches.
+ * @returns {Object} An object containing the analysis results:
+ *   - {Object} sequences: An object with sequences as keys and their frequencies as values.
+ *   - {Object} partials: An object with partial matches if a threshold is provided.
+ *   - {number} threshold: The threshold value used for partial matches.
+ *   - {number} strictDuplicates: The number of unique sequences that occur more than once.
+ */
+function sequenceAnalysis( arr, clusterSize = 4, threshold ) {
+    // Initialize an empty array to store sequences and an object to count sequences
+    let newArray = [];
+    let sequences = {};
+    let partials = {};
+
+    // Iterate through the array to form clusters of the specified size
+    for ( let i = 0; i < arr.length - clusterSize + 1; i++ ) {
+        let temp = [];
+        for ( let j = i; j < i + clusterSize; j++ ) {
+            if ( j > arr.length - 1 ) {
+                break; // Stop if the index exceeds the array length
+            }
+            temp.push( arr[ j ] ); // Add the current element to the temporary cluster
+        }
+        let p = temp.join( "," ); // Convert the cluster to a comma-separated string
+
+        // Count the occurrences of each sequence
+        if ( sequences[ p ] === undefined ) {
+            sequences[ p ] = 1; // Initialize the count for a new sequence
+        }
+        else {
+            sequences[ p ]++; // Increment the count for an existing sequence
+        }
+        newArray.push( p ); // Add the sequence to the new array
+    }
+
+    // Remove sequences that occur only once
+    for ( let i in sequences ) {
+        if ( sequences[ i ] === 1 ) {
+            delete sequences[ i ]; // Remove sequences with a frequency of 1
+        }
+    }
+
+    // Sort sequences by their frequency in descending order
+    let keys = Object.keys( sequences ).sort( ( a, b ) => {
         if ( sequences[ b ] > sequences[ a ] ) {
             return 1;
         }
-        else if ( sequences[ b ] === sequences[ a ] ) {
-            return 0;
+        else if ( sequences[ b ] === sequences[ a ] ) {
+            return 0;
+        }
+        else {
+            return -1;
+        }
+    } );
+
+    // Create a sorted object of sequences and their counts
+    let p = {};
+    if ( keys.length ) {
+        for ( let i = 0; i < keys.length; i++ ) {
+            p[ keys[ i ] ] = sequences[ keys[ i ] ];
+        }
+    }
+
+    // If a threshold is provided, calculate partial matches
+    if ( threshold ) {
+        partials = partialMatches( newArray, threshold );
+    }
+
+    // Return the analysis results
+    return {
+        "sequences": p, // Object with sequences and their frequencies
+        "partials": partials, // Object with partial matches (if threshold is provided)
+        "threshold": threshold, // The threshold value used for partial matches
+        "strictDuplicates": Object.keys( sequences ).length // Number of unique sequences that occur more than once
+    };
+}
+
+// Export the `sequenceAnalysis` function for use in other modules
+module.exports.sequenceAnalysis = sequenceAnalysis;
+
+/**
+ * Function to find partial matches between clusters based on a similarity threshold
+ * @param {Array<string>} clusters - Array of cluster strings, where each string represents a cluster of elements separated by commas
+ * @param {number} threshold - Similarity threshold for partial matches (default is 0.75).
+ *                              A higher threshold means stricter matching.
+ * @returns {Object} - Object containing partial matches with their counts and similarity coefficients.
+ *                     The structure is { cluster1: { cluster2: { count, coeff } } }.
+ */
+function partialMatches( clusters, threshold = 0.75 ) {
+    // Ensure the threshold is a valid number and parse it as a float
+    threshold = parseFloat( threshold );
+    if ( isNaN( threshold ) ) {
+        threshold = 0.75; // Default to 0.75 if the threshold is invalid
+    }
+
+    // Object to store partial matches
+    const partials = {};
+
+    // Iterate over each cluster in the input array
+    for ( let i = 0; i < clusters.length; i++ ) {
+        const cluster1 = clusters[ i ]; // Current cluster
+        const elements1 = cluster1.split( "," ); // Split the cluster into individual elements
+
+        // Compare the current cluster with every other cluster in the array
+        for ( let j = 0; j < clusters.length; j++ ) {
+            if ( i === j ) continue; // Skip comparison with itself
+            const cluster2 = clusters[ j ]; // Another cluster to compare with
+
+            if ( cluster1 === cluster2 ) continue; // Skip if the clusters are identical
+
+            const elements2 = cluster2.split( "," ); // Split the other cluster into individual elements
+            const maxLength = Math.max( elements1.length, elements2.length ); // Determine the maximum length of the two clusters
+            let sameCount = 0; // Counter for matching elements
+
+            // Compare elements of both clusters
+            for ( let k = 0; k < maxLength; k++ ) {
+                if ( elements1[ k ] === elements2[ k ] ) {
+                    sameCount++; // Increment the counter if elements match
+                }
+            }
+
+            // Calculate the similarity coefficient as the ratio of matching elements to the maximum length
+            const similarityCoeff = sameCount / maxLength;
+
+            // If the similarity coefficient meets or exceeds the threshold, record the partial match
+            if ( similarityCoeff >= threshold ) {
+                // Initialize the nested structure for the current cluster if it doesn't exist
+                if ( !partials[ cluster1 ] ) {
+                    partials[ cluster1 ] = {};
+                }
+
+                // Initialize the structure for the compared cluster if it doesn't exist
+                if ( !partials[ cluster1 ][ cluster2 ] ) {
+                    partials[ cluster1 ][ cluster2 ] = {
+                        count: 1, // Start the count at 1
+                        coeff: parseFloat( similarityCoeff.toFixed( 3 ) ) // Store the similarity coefficient rounded to 3 decimal places
+                    };
+                }
+                else {
+                    // If the match already exists, increment the count
+                    partials[ cluster1 ][ cluster2 ].count++;
+                }
+            }
+        }
+    }
+
+    // Return the object containing all partial matches
+    return partials;
+}
+
+// Export the function for use in other modules
+module.exports.partialMatches = partialMatches;
+
+/**
+ * Represents a node in a decision tree.
+ */
+class TreeNode {
+    /**
+     * Creates an instance of TreeNode.
+     * @param {TreeNode|null} left - The left child node. Null if no left child exists.
+     * @param {TreeNode|null} right - The right child node. Null if no right child exists.
+     * @param {string} splitAttr - The attribute used for splitting the data at this node.
+     * @param {number|string} splitValue - The value of the attribute used for splitting.
+     */
+    constructor( left, right, splitAttr, splitValue ) {
+        this.left = left; // Reference to the left child node
+        this.right = right; // Reference to the right child node
+        this.splitAttr = splitAttr; // Attribute used for splitting the data
+        this.splitValue = splitValue; // Value of the attribute used for splitting
+    }
+}
+
+/**
+ * Class representing an Isolation Tree.
+ * An Isolation Tree is a binary tree used in anomaly detection. It recursively splits data
+ * based on randomly selected attributes and values until a stopping condition is met.
+ */
+class IsolationTree {
+    /**
+     * Create an Isolation Tree.
+     * @param {number} heightLimit - The maximum height of the tree. Determines when to stop splitting.
+     */
+    constructor( heightLimit ) {
+        this.heightLimit = heightLimit; // Set the maximum height of the tree
+    }
+
+    /**
+     * Fit the Isolation Tree to the given data.
+     * This method recursively splits the data into left and right subsets based on a randomly
+     * selected attribute and value, creating a binary tree structure.
+     *
+     * @param {Array<Array<number>>} data - The dataset to fit the tree to. Each element is an array of numerical values.
+     * @param {number} [currentHeight=0] - The current height of the tree during recursion. Defaults to 0.
+     * @returns {TreeNode} The root node of the fitted tree.
+     */
+    fit( data, currentHeight = 0 ) {
+        // Base case: Stop splitting if the current height exceeds the limit or if the data has 1 or fewer points
+        if ( currentHeight >= this.heightLimit || data.length <= 1 ) {
+            return new TreeNode( null, null, null, null ); // Return a leaf node with no children
+        }
+
+        // Randomly select an attribute (column index) to split on
+        const splitAttr = Math.floor( getSecureRandomValue() * data[ 0 ].length );
+
+        // Determine the minimum and maximum values of the selected attribute in the dataset
+        const min = Math.min( ...data.map( row => row[ splitAttr ] ) );
+        const max = Math.max( ...data.map( row => row[ splitAttr ] ) );
+
+        // Randomly select a split value within the range of the selected attribute
+        const splitValue = getSecureRandomValue() * ( max - min ) + min;
+
+        // Split the data into two subsets:
+        // - Left subset: Points where the selected attribute's value is less than the split value
+        // - Right subset: Points where the selected attribute's value is greater than or equal to the split value
+        const left = data.filter( row => row[ splitAttr ] < splitValue );
+        const right = data.filter( row => row[ splitAttr ] >= splitValue );
+
+        // Recursively fit the left and right subsets, increasing the height by 1
+        return new TreeNode(
+            this.fit( left, currentHeight + 1 ), // Fit the left subset
+            this.fit( right, currentHeight + 1 ), // Fit the right subset
+            splitAttr, // Store the attribute used for splitting
+            splitValue // Store the value used for splitting
+        );
+    }
+}
+
+/**
+ * Class representing an Isolation Forest.
+ */
+class IsolationForest {
+    constructor( numTrees, heightLimit ) {
+        this.numTrees = numTrees; // Set the number of trees in the forest
+        this.heightLimit = heightLimit; // Set the maximum height of each tree
+        this.trees = []; // Initialize an empty array to store the trees
+    }
+    fit( data ) {
+        // Create the specified number of trees
+        for ( let i = 0; i < this.numTrees; i++ ) {
+            const sample = this.sampleData( data ); // Sample the data
+            const tree = new IsolationTree( this.heightLimit ); // Create a new tree
+            this.trees.push( tree.fit( sample ) ); // Fit the tree and add it to the forest
+        }
+    }
+    sampleData( data ) {
+        const sampleSize = Math.min( data.length, 256 ); // Determine the sample size (max 256)
+        const sample = [];
+        // Randomly sample data points
+        for ( let i = 0; i < sampleSize; i++ ) {
+            sample.push( data[ Math.floor( getSecureRandomValue() * data.length ) ] );
+        }
+        return sample;
+    }
+    pathLength( point, node, currentHeight = 0 ) {
+        // Base case: if the node is a leaf, return the current height
+        if ( !node.left && !node.right ) {
+            return currentHeight;
+        }
+        // Recursively calculate the path length based on the split attribute and value
+        if ( point[ node.splitAttr ] < node.splitValue ) {
+            return this.pathLength( point, node.left, currentHeight + 1 );
+        }
+        else {
+            return this.pathLength( point, node.right, currentHeight + 1 );
+        }
+    }
+    anomalyScore( point ) {
+        // Calculate the average path length for the point across all trees
+        const avgPathLength = this.trees.reduce( ( sum, tree ) => sum + this.pathLength( point, tree ), 0 ) / this.numTrees;
+        // Calculate the normalization factor
+        const c = 2 * ( Math.log( this.numTrees - 1 ) + 0.5772156649 ) - ( 2 * ( this.numTrees - 1 ) / this.numTrees );
+        // Calculate and return the anomaly score
+        return Math.pow( 2, -avgPathLength / c );
+    }
+}
+module.exports.IsolationForest = IsolationForest;
+
+/**
+ * Performs Grubbs's test to detect outliers in a dataset.
+ *
+ * Grubbs's test is a statistical test used to identify outliers in a dataset.
+ * It iteratively removes the most extreme value (based on the test statistic)
+ * and recalculates the test statistic until no more outliers are detected.
+ *
+ * In "detailed" mode, removed points carry the test statistic and critical value from the
+ * iteration that removed them; the remaining points are scored against the final iteration.
+ *
+ * @param {number[]} data - The input array of numerical data.
+ * @param {number|Object} [options] - The significance level, or an options object.
+ * @param {number} [options.alpha=0.05] - The significance level.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers (in order of removal), a true/false mask, or one record per point.
+ *
+ * @example
+ * const data = [1, 2, 3, 4, 100];
+ * const outliers = grubbsTest(data);
+ * console.log(outliers); // [100]
+ */
+function grubbsTest( data, options ) {
+    const opts = detectorOptions( options, "alpha" );
+
+    // Validate the input data to ensure it is an array of numbers
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
+
+    // A one-sided test only looks at the largest (or smallest) value
+    const tail = parseTail( opts.tail );
+    const alpha = parseAlpha( opts.alpha );
+
+    // Initialize one record per point; the records are filled in as the test proceeds
+    const records = validatedData.map( ( value, index ) => ( {
+        "index": index,
+        "value": value,
+        "score": 0,
+        "threshold": null,
+        "lower": null,
+        "upper": null,
+        "outlier": false,
+        "direction": null
+    } ) );
+
+    // Initialize an array to store the records of detected outliers, in the order they are removed
+    const outliers = [];
+
+    // Work on the indices of the points that have not been removed, so the original array is not modified
+    let remaining = records.map( r => r.index );
+
+    // Continue the test as long as there are more than 2 data points
+    while ( remaining.length > 2 ) {
+        const remainingData = remaining.map( i => validatedData[ i ] );
+
+        // Calculate the mean of the remaining data
+        const mean = ss.mean( remainingData );
+
+        // Calculate the sample standard deviation of the remaining data (n - 1 in the denominator,
+        // as in the published critical values)
+        const stdDev = ss.sampleStandardDeviation( remainingData );
+
+        // Calculate the test statistic for each data point
+        // The test statistic is the difference between the data point and the mean (absolute for
+        // a two-sided test, and signed towards the tested side otherwise), divided by the standard deviation
+        const testStats = remainingData.map( x => {
+            if ( tail === "upper" ) {
+                return ( x - mean ) / stdDev;
+            }
+            if ( tail === "lower" ) {
+                return ( mean - x ) / stdDev;
+            }
+            return Math.abs( x - mean ) / stdDev;
+        } );
+
+        // Calculate the critical value from the t-distribution
+        // This value determines the threshold for identifying outliers
+        const criticalValue = getCriticalValue( remainingData.length, tail, alpha );
+
+        // Score every remaining point against this iteration; the final iteration's values stick
+        remaining.forEach( ( idx, i ) => {
+            records[ idx ].score = testStats[ i ];
+            records[ idx ].threshold = criticalValue;
+            records[ idx ].lower = tail === "upper" ? null : mean - criticalValue * stdDev;
+            records[ idx ].upper = tail === "lower" ? null : mean + criticalValue * stdDev;
+        } );
+
+        // Identify the most extreme outlier based on the test statistics
+        const maxStat = Math.max( ...testStats ); // Find the maximum test statistic
+        const outlierIndex = testStats.indexOf( maxStat ); // Get the index of the maximum test statistic
+
+        // If the most extreme value is not an outlier (test statistic <= critical value), exit the loop
+        if ( maxStat <= criticalValue ) {
+            break;
+        }
+
+        // Flag the detected outlier and remember the order of removal
+        records[ remaining[ outlierIndex ] ].outlier = true;
+        records[ remaining[ outlierIndex ] ].direction = remainingData[ outlierIndex ] > mean ? "upper" : "lower";
+        outliers.push( records[ remaining[ outlierIndex ] ] );
+
+        // Remove the detected outlier from the remaining data
+        remaining.splice( outlierIndex, 1 );
+    }
+
+    // The historical output lists the outliers in the order they were removed
+    if ( ( opts.output || "values" ) === "values" ) {
+        return formatOutput( outliers, "values", prepared );
+    }
+    return formatOutput( records, opts.output, prepared );
+}
+
+// Export the Grubbs's test function for use in other modules
+module.exports.grubbsTest = grubbsTest;
+
+/**
+ * Calculates the critical value for Grubbs's test.
+ *
+ * The critical value is derived from the exact Student-t quantile:
+ *
+ *     G = ((n - 1) / sqrt(n)) * sqrt(t² / (n - 2 + t²))
+ *
+ * where t is the upper α/(2n) quantile (α/n for a one-sided test) of the t-distribution with n - 2
+ * degrees of freedom. It is used in statistical tests like Grubbs's test to determine whether a data
+ * point is an outlier.
+ *
+ * @param {number} n - The sample size (number of data points).
+ * @param {string} [tail="both"] - "both" for a two-tailed test, "upper" or "lower" for a one-tailed test.
+ * @param {number} [alpha=0.05] - The significance level.
+ * @returns {number} The critical value for the given sample size.
+ */
+function getCriticalValue( n, tail = "both", alpha = 0.05 ) {
+    // Split the significance level between the n candidate points (and both tails, if tested)
+    const p = alpha / ( tail === "both" ? 2 * n : n );
+    const t = jstat.studentt.inv( 1 - p, n - 2 );
+    return ( n - 1 ) / Math.sqrt( n ) * Math.sqrt( ( t * t ) / ( n - 2 + t * t ) );
+}
+
+/**
+ * Parses a significance level, falling back to a default.
+ *
+ * @param {number|string} [alpha] - The significance level that was passed, if any.
+ * @param {number} [fallback=0.05] - The default significance level.
+ * @returns {number} The significance level.
+ * @throws {Error} If the significance level is not between 0 and 1.
+ */
+function parseAlpha( alpha, fallback = 0.05 ) {
+    if ( alpha === undefined ) {
+        return fallback;
+    }
+    alpha = parseFloat( alpha );
+    if ( !( alpha > 0 && alpha < 1 ) ) {
+        throw new Error( "Significance level must be between 0 and 1." );
+    }
+    return alpha;
+}
+
+/**
+ * Performs the generalized extreme Studentized deviate (ESD) test of Rosner (1983).
+ *
+ * Unlike Grubbs's test, which stops at the first value that is not an outlier, the generalized ESD
+ * test is given an upper bound r on the number of outliers. It removes the r most extreme values
+ * one at a time, computing the test statistic R_i and the critical value λ_i at each step, and
+ * reports as outliers the first k values removed, where k is the largest i with R_i > λ_i. This
+ * avoids the masking that affects Grubbs's test when several outliers are present.
+ *
+ *     λ_i = (n - i) * t / sqrt((n - i - 1 + t²) * (n - i + 1))
+ *
+ * where t is the upper α/(2(n - i + 1)) quantile of the t-distribution with n - i - 1 degrees of freedom.
+ *
+ * With `robust`, R_i is computed from the median and the scaled median absolute deviation
+ * (1.4826 * MAD) instead of the mean and standard deviation, as in the hybrid ESD test of
+ * Hochenbaum, Vallis and Kejariwal (2017). The outliers then cannot inflate the scale they are
+ * judged against. When over half the values are tied and the MAD is zero, the scaled mean absolute
+ * deviation from the median (1.2533 times) stands in for it.
+ *
+ * @param {number[]} data - The input array of numerical data.
+ * @param {number|Object} [options] - The maximum number of outliers, or an options object.
+ * @param {number} [options.maxOutliers] - The upper bound r on the number of outliers. Defaults to 10% of the data (at least 1).
+ * @param {number} [options.alpha=0.05] - The significance level.
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the data to test.
+ * @param {boolean} [options.robust=false] - Use the median and MAD instead of the mean and standard deviation.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers (most extreme first), a true/false mask, or one record per point.
+ * @throws {Error} If the maximum number of outliers is out of range.
+ */
+function generalizedEsd( data, options ) {
+    const opts = detectorOptions( options, "maxOutliers" );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
+    const n = validatedData.length;
+    const tail = parseTail( opts.tail );
+    const alpha = parseAlpha( opts.alpha );
+
+    // The test needs at least three points left after the last removal
+    const maxOutliers = opts.maxOutliers === undefined ? Math.max( 1, Math.floor( n / 10 ) ) : parseInt( opts.maxOutliers, 10 );
+    if ( !( maxOutliers >= 1 && maxOutliers <= n - 3 ) ) {
+        throw new Error( `The maximum number of outliers must be between 1 and ${n - 3} for this dataset.` );
+    }
+
+    const records = validatedData.map( ( value, index ) => ( {
+        "index": index,
+        "value": value,
+        "score": null, // R_i for removed points
+        "threshold": null, // λ_i for removed points
+        "step": null, // The step i at which the point was removed
+        "outlier": false,
+        "direction": null
+    } ) );
+
+    // Remove the most extreme point r times, recording R_i and λ_i
+    let remaining = records.map( r => r.index );
+    const removed = [];
+    let count = 0; // The largest i with R_i > λ_i
+    for ( let i = 1; i <= maxOutliers; i++ ) {
+        const values = remaining.map( idx => validatedData[ idx ] );
+        const mean = opts.robust ? ss.median( values ) : ss.mean( values );
+        let stdDev = opts.robust ? 1.4826 * ss.medianAbsoluteDeviation( values ) : ss.sampleStandardDeviation( values );
+        if ( opts.robust && stdDev === 0 ) {
+            // Over half the values are tied at the median. Fall back to the mean absolute deviation from it,
+            // scaled to a normal standard deviation, so that rounding noise around the tie is not infinitely extreme
+            stdDev = 1.2533 * ss.mean( values.map( x => Math.abs( x - mean ) ) );
+        }
+        const stats = values.map( x => {
+            let deviation = Math.abs( x - mean );
+            if ( tail === "upper" ) {
+                deviation = x - mean;
+            }
+            else if ( tail === "lower" ) {
+                deviation = mean - x;
+            }
+            // Only identical values leave no scale at all, and then nothing deviates
+            return stdDev === 0 ? 0 : deviation / stdDev;
+        } );
+        const maxStat = Math.max( ...stats );
+        const position = stats.indexOf( maxStat );
+
+        // Critical value for this step
+        const size = n - i + 1; // Number of points the statistic was computed from
+        const p = 1 - alpha / ( tail === "both" ? 2 * size : size );
+        const t = jstat.studentt.inv( p, size - 2 );
+        const lambda = ( size - 1 ) * t / Math.sqrt( ( size - 2 + t * t ) * size );
+
+        const record = records[ remaining[ position ] ];
+        record.score = maxStat;
+        record.threshold = lambda;
+        record.step = i;
+        record.direction = values[ position ] > mean ? "upper" : "lower";
+        removed.push( record );
+        if ( maxStat > lambda ) {
+            count = i;
+        }
+        remaining.splice( position, 1 );
+    }
+
+    // The first `count` points removed are outliers; the others were only candidates
+    removed.forEach( ( record, i ) => {
+        record.outlier = i < count;
+        if ( !record.outlier ) {
+            record.direction = null;
+        }
+    } );
+
+    if ( ( opts.output || "values" ) === "values" ) {
+        return formatOutput( removed.slice( 0, count ), "values", prepared );
+    }
+    return formatOutput( records, opts.output, prepared );
+}
+module.exports.generalizedEsd = generalizedEsd;
+
+/**
+ * Critical values of Dixon's Q (r10) statistic for 3 to 10 observations (Rorabacher, 1991),
+ * keyed by significance level.
+ */
+const dixonCriticalValues = {
+    "0.1": [ 0.941, 0.765, 0.642, 0.560, 0.507, 0.468, 0.437, 0.412 ],
+    "0.05": [ 0.970, 0.829, 0.710, 0.625, 0.568, 0.526, 0.493, 0.466 ],
+    "0.01": [ 0.994, 0.926, 0.821, 0.740, 0.680, 0.634, 0.598, 0.568 ]
+};
+
+/**
+ * Performs Dixon's Q test on a very small sample (3 to 10 observations).
+ *
+ * The Q statistic for the smallest (or largest) value is its gap to the nearest neighbor divided by
+ * the range of the data. A value is flagged when Q exceeds the tabulated critical value.
+ *
+ * @param {number[]} data - The input array of numerical data, with 3 to 10 values.
+ * @param {number|Object} [options] - The significance level, or an options object.
+ * @param {number} [options.alpha=0.05] - The significance level: 0.1, 0.05 or 0.01.
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which extreme(s) to test.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} The outliers, a true/false mask, or one record per point.
+ * @throws {Error} If the sample size or significance level is not covered by the table.
+ */
+function dixonQ( data, options ) {
+    const opts = detectorOptions( options, "alpha" );
+    const prepared = prepare( data, opts.missing );
+    const validatedData = prepared.data;
+    const n = validatedData.length;
+    const tail = parseTail( opts.tail );
+    const alpha = opts.alpha === undefined ? "0.05" : String( parseFloat( opts.alpha ) );
+
+    if ( n < 3 || n > 10 ) {
+        throw new Error( "Dixon's Q test needs 3 to 10 values. Please use grubbsTest() or generalizedEsd() for larger samples." );
+    }
+    if ( !dixonCriticalValues[ alpha ] ) {
+        throw new Error( "Dixon's Q test supports significance levels of 0.1, 0.05 and 0.01." );
+    }
+    const critical = dixonCriticalValues[ alpha ][ n - 3 ];
+
+    const sortedData = validatedData.slice().sort( ( a, b ) => a - b );
+    const range = sortedData[ n - 1 ] - sortedData[ 0 ];
+
+    // Q statistics for the smallest and the largest value
+    const qLow = ( sortedData[ 1 ] - sortedData[ 0 ] ) / range;
+    const qHigh = ( sortedData[ n - 1 ] - sortedData[ n - 2 ] ) / range;
+
+    // Only one occurrence of each extreme is tested
+    const lowIndex = validatedData.indexOf( sortedData[ 0 ] );
+    const highIndex = validatedData.lastIndexOf( sortedData[ n - 1 ] );
+
+    const records = validatedData.map( ( value, index ) => {
+        let score = null;
+        let side = null;
+        if ( index === lowIndex ) {
+            score = qLow;
+            side = tail !== "upper" && qLow > critical ? "lower" : null;
+        }
+        else if ( index === highIndex ) {
+            score = qHigh;
+            side = tail !== "lower" && qHigh > critical ? "upper" : null;
+        }
+        return {
+            "index": index,
+            "value": value,
+            "score": score, // Q for the tested extremes, null for the other points
+            "threshold": critical,
+            "outlier": side !== null,
+            "direction": side
+        };
+    } );
+
+    return formatOutput( records, opts.output, prepared );
+}
+module.exports.dixonQ = dixonQ;
+
+/**
+ * Calculates the Euclidean distance between two points in n-dimensional space.
+ *
+ * The Euclidean distance is the straight-line distance between two points in a multi-dimensional space.
+ * It is calculated as the square root of the sum of the squared differences between corresponding coordinates.
+ *
+ * @param {number[]} point1 - The first point as an array of numbers (e.g., [x1, y1, z1]).
+ * @param {number[]} point2 - The second point as an array of numbers (e.g., [x2, y2, z2]).
+ * @returns {number} The Euclidean distance between the two points.
+ *
+ * @example
+ * const point1 = [1, 2];
+ * const point2 = [4, 6];
+ * console.log(euclideanDistance(point1, point2)); // Output: 5
+ */
+function euclideanDistance( point1, point2 ) {
+    // Calculate the sum of squared differences for each dimension
+    return Math.sqrt(
+        point1.reduce( ( sum, value, index ) => sum + Math.pow( value - point2[ index ], 2 ), 0 )
+    );
+}
+
+/**
+ * Performs DBSCAN (Density-Based Spatial Clustering of Applications with Noise) clustering algorithm on a given dataset.
+ *
+ * DBSCAN is a density-based clustering algorithm that groups points that are closely packed together
+ * and marks points that are in low-density regions as noise. It uses two parameters:
+ * - `eps`: The maximum distance between two points to be considered neighbors.
+ * - `minPts`: The minimum number of points required to form a dense region (cluster).
+ *
+ * @param {Array} dataset - The dataset to be clustered, where each element is a point (e.g., [x, y]).
+ * @param {number} [eps=2] - The maximum distance between two points to be considered as neighbors.
+ * @param {number} [minPts=2] - The minimum number of points required to form a dense region (cluster).
+ * @returns {Object} An object containing the clusters and noise points.
+ * @returns {Array} clusters - An array of clusters, where each cluster is an array of point indices.
+ * @returns {Array} noise - An array of point indices that are considered noise.
+ */
+function dbscan( dataset, eps = 2, minPts = 2 ) {
+    const clusters = []; // Array to store the clusters
+    const visited = new Set(); // Set to keep track of visited points
+    const noise = new Set(); // Set to keep track of noise points
+
+    /**
+     * Finds all points within `eps` distance of a given point.
+     * @param {Array<number>} point - The point to find neighbors for.
+     * @returns {Array<number>} An array of indices of neighboring points.
+     */
+    function regionQuery( point ) {
+        const neighbors = [];
+        for ( let i = 0; i < dataset.length; i++ ) {
+            if ( euclideanDistance( point, dataset[ i ] ) <= eps ) {
+                neighbors.push( i ); // Add the index of the neighboring point
+            }
+        }
+        return neighbors;
+    }
+
+    /**
+     * Expands a cluster from a given point by recursively adding all density-reachable points.
+     * @param {number} pointIdx - The index of the starting point.
+     * @param {Array<number>} neighbors - The neighbors of the starting point.
+     * @param {Array<number>} cluster - The cluster being expanded.
+     */
+    function expandCluster( pointIdx, neighbors, cluster ) {
+        cluster.push( pointIdx ); // Add the initial point to the cluster
+        for ( let i = 0; i < neighbors.length; i++ ) {
+            const neighborIdx = neighbors[ i ];
+            if ( !visited.has( neighborIdx ) ) {
+                visited.add( neighborIdx ); // Mark the neighbor as visited
+                const newNeighbors = regionQuery( dataset[ neighborIdx ] ); // Find neighbors of the neighbor
+                if ( newNeighbors.length >= minPts ) {
+                    neighbors = neighbors.concat( newNeighbors ); // Add new neighbors to the list
+                }
+            }
+            // Add the neighbor to the cluster if it's not already part of any cluster
+            if ( !clusters.some( cluster => cluster.includes( neighborIdx ) ) ) {
+                cluster.push( neighborIdx );
+            }
+        }
+    }
+
+    // Main loop to iterate over all points in the dataset
+    for ( let i = 0; i < dataset.length; i++ ) {
+        if ( !visited.has( i ) ) {
+            visited.add( i ); // Mark the point as visited
+            const neighbors = regionQuery( dataset[ i ] ); // Find neighbors of the point
+            if ( neighbors.length < minPts ) {
+                noise.add( i ); // Mark the point as noise if it has fewer than `minPts` neighbors
+            }
+            else {
+                let cluster = [];
+                expandCluster( i, neighbors, cluster ); // Expand the cluster from the point
+                clusters.push( [ ...new Set( cluster ) ] ); // Add the new cluster to the list of clusters
+            }
+        }
+    }
+
+    // Return the clusters and noise points
+    return {
+        clusters, // Array of clusters
+        noise: Array.from( noise ) // Convert the noise set to an array
+    };
+}
+
+// Export the DBSCAN function for use in other modules
+module.exports.dbscan = dbscan;
+
+/**
+ * Performs the OPTICS (Ordering Points To Identify the Clustering Structure) clustering algorithm on a given dataset.
+ *
+ * @param {Array} dataset - The dataset to be clustered, where each element is a point represented as an array of coordinates.
+ * @param {number} [eps=2] - The maximum distance between two points to be considered as neighbors.
+ * @param {number} [minPts=2] - The minimum number of points required to form a dense region (cluster).
+ * @returns {Object} An object containing the clusters and noise points.
+ * @returns {Array} clusters - An array of clusters, where each cluster is an array of point indices.
+ * @returns {Array} noise - An array of point indices that are considered noise.
+ */
+function optics( dataset, eps = 2, minPts = 2 ) {
+    const clusters = []; // Array to store the clusters
+    const visited = new Set(); // Set to keep track of visited points
+    const noise = new Set(); // Set to keep track of noise points
+    // Function to find all points within eps distance of a given point
+    function regionQuery( point ) {
+        const neighbors = [];
+        for ( let i = 0; i < dataset.length; i++ ) {
+            if ( euclideanDistance( point, dataset[ i ] ) <= eps ) {
+                neighbors.push( i ); // Add the index of the neighboring point
+            }
+        }
+        return neighbors;
+    }
+    // Function to expand the cluster from a given point
+    function expandCluster( pointIdx, neighbors, cluster ) {
+        cluster.push( pointIdx ); // Add the initial point to the cluster
+        for ( let i = 0; i < neighbors.length; i++ ) {
+            const neighborIdx = neighbors[ i ];
+            if ( !visited.has( neighborIdx ) ) {
+                visited.add( neighborIdx ); // Mark the neighbor as visited
+                const newNeighbors = regionQuery( dataset[ neighborIdx ] );
+                if ( newNeighbors.length >= minPts ) {
+                    neighbors = neighbors.concat( newNeighbors ); // Add new neighbors to the list
+                }
+            }
+            if ( !clusters.some( cluster => cluster.includes( neighborIdx ) ) ) {
+                cluster.push( neighborIdx ); // Add the neighbor to the cluster
+            }
+        }
+    }
+    // Main loop to iterate over all points in the dataset
+    for ( let i = 0; i < dataset.length; i++ ) {
+        if ( !visited.has( i ) ) {
+            visited.add( i ); // Mark the point as visited
+            const neighbors = regionQuery( dataset[ i ] );
+            if ( neighbors.length < minPts ) {
+                noise.add( i ); // Mark the point as noise if it has fewer than minPts neighbors
+            }
+            else {
+                let cluster = [];
+                expandCluster( i, neighbors, cluster ); // Expand the cluster from the point
+                clusters.push( [ ...( new Set( cluster ) ) ] ); // Add the new cluster to the list of clusters
+            }
+        }
+    }
+    // Return the clusters and noise points
+    return {
+        clusters,
+        "noise": Array.from( noise ) // Convert noise into an array
+    };
+}
+module.exports.optics = optics;
+
+/**
+ * Finds the k nearest neighbors to a given point in a dataset.
+ *
+ * @param {Array} data - The dataset, an array of points.
+ * @param {Array} point - The point to find neighbors for.
+ * @param {number} k - The number of nearest neighbors to find.
+ * @returns {Array} An array of objects representing the k nearest neighbors, each with an index and distance property.
+ */
+function kNearestNeighbors( data, point, k ) {
+    return data
+        .map( ( neighbor, index ) => ( {
+            index, // Index of the neighbor
+            distance: euclideanDistance( point, neighbor ) // Distance from the point to the neighbor
+        } ) )
+        .sort( ( a, b ) => a.distance - b.distance ) // Sort neighbors by distance
+        .slice( 1, k + 1 ); // Exclude the point itself and take the k nearest neighbors
+}
+module.exports.kNearestNeighbors = kNearestNeighbors;
+
+/**
+ * Calculates the reachability distance between a point and its neighbor.
+ *
+ * The reachability distance is defined as the maximum of the k-distance of the neighbor
+ * and the actual distance between the point and the neighbor.
+ *
+ * @param {Array} data - The dataset containing all points.
+ * @param {Object} point - The point for which the reachability distance is being calculated.
+ * @param {Object} neighbor - The neighbor point.
+ * @param {number} k - The number of nearest neighbors to consider.
+ * @returns {number} - The reachability distance between the point and the neighbor.
+ */
+function reachabilityDistance( data, point, neighbor, k ) {
+    // Find k-nearest neighbors of the neighbor
+    const neighbors = kNearestNeighbors( data, neighbor, k );
+    // Distance to the k-th nearest neighbor
+    const kDistance = neighbors[ neighbors.length - 1 ].distance;
+    // Maximum of k-distance and actual distance
+    return Math.max( kDistance, euclideanDistance( point, neighbor ) );
+}
+
+/**
+ * Calculates the Local Reachability Density (LRD) of a given point in a dataset.
+ *
+ * @param {Array} data - The dataset containing all points.
+ * @param {Object} point - The point for which to calculate the LRD.
+ * @param {number} k - The number of nearest neighbors to consider.
+ * @returns {number} - The Local Reachability Density of the given point.
+ */
+function localReachabilityDensity( data, point, k ) {
+    // Find k-nearest neighbors of the point
+    const neighbors = kNearestNeighbors( data, point, k );
+    // Calculate reachability distances
+    const reachabilityDistances = neighbors.map( neighbor =>
+        reachabilityDistance( data, point, data[ neighbor.index ], k )
+    );
+    // Sum of reachability distances
+    const sumReachabilityDistances = reachabilityDistances.reduce( ( sum, distance ) => sum + distance, 0 );
+    // Inverse of the average reachability distance
+    return neighbors.length / sumReachabilityDistances;
+}
+
+/**
+ * Calculates the Local Outlier Factor (LOF) score for a given point in a dataset.
+ * The LOF score is a measure of the degree to which the point is an outlier.
+ *
+ * @param {Array} data - The dataset, an array of points where each point is an array of coordinates.
+ * @param {Array} point - The point for which the LOF score is to be calculated, an array of coordinates.
+ * @param {number} k - The number of nearest neighbors to consider.
+ * @returns {number} - The LOF score for the given point.
+ */
+function localOutlierFactorScore( data, point, k ) {
+    // Find k-nearest neighbors of the point
+    const neighbors = kNearestNeighbors( data, point, k );
+    // LRD of the point
+    const lrdPoint = localReachabilityDensity( data, point, k );
+    // Calculate LRD ratios
+    const lrdRatios = neighbors.map( neighbor =>
+        localReachabilityDensity( data, data[ neighbor.index ], k ) / lrdPoint
+    );
+    // Sum of LRD ratios
+    const sumLrdRatios = lrdRatios.reduce( ( sum, ratio ) => sum + ratio, 0 );
+    // Average of LRD ratios
+    return sumLrdRatios / neighbors.length;
+}
+
+/**
+ * Identifies anomalies in a dataset using the Local Outlier Factor (LOF) algorithm.
+ *
+ * @param {Array<number|Array<number>>} data - The dataset to analyze. Can be one-dimensional or two-dimensional.
+ * @param {number|Object} [k=3] - The number of nearest neighbors to consider, or an options object.
+ * @param {number} [threshold=1.5] - The threshold above which a point is considered an anomaly.
+ * @param {number} [k.k=3] - The number of nearest neighbors to consider.
+ * @param {number} [k.threshold=1.5] - The threshold above which a point is considered an anomaly.
+ * @param {string} [k.output="values"] - "values", "mask" or "detailed".
+ * @param {string} [k.missing="reject"] - The missing-value policy for one-dimensional data.
+ * @returns {Array} The anomalies, a true/false mask, or one record per point, depending on `output`.
+ */
+function localOutlierFactor( data, k = 3, threshold = 1.5 ) {
+    // An options object may be passed in place of `k`
+    const opts = detectorOptions( k, "k" );
+    k = opts.k === undefined ? 3 : opts.k;
+    if ( opts.threshold !== undefined ) {
+        threshold = opts.threshold;
+    }
+    // k = number of nearest neighbors to consider
+    let arr = true;
+    let prepared;
+    // Check if data is one-dimensional
+    if ( !Array.isArray( data[ 0 ] ) ) {
+        arr = false;
+        // Apply the missing-value policy, then convert one-dimensional data to two-dimensional
+        prepared = prepare( data, opts.missing );
+        data = prepared.data.map( ( val ) => {
+            return [ 0, val ];
+        } );
+    }
+    // Calculate the LOF scores for each point
+    const scores = data.map( point => localOutlierFactorScore( data, point, k ) );
+    // Build one record per point, converting two-dimensional points back to one-dimensional if needed
+    const records = scores.map( ( score, index ) => ( {
+        "index": index,
+        "value": arr ? data[ index ] : data[ index ][ 1 ],
+        "score": score,
+        "threshold": threshold,
+        "outlier": score > threshold // Identify points with LOF score above the threshold
+    } ) );
+    return formatOutput( records, opts.output, prepared );
+}
+module.exports.localOutlierFactor = localOutlierFactor;
+
+/**
+ * Assigns data points to the nearest centroid to form clusters.
+ *
+ * @param {Array<Array<number>>} data - An array of data points, where each data point is an array of numbers.
+ * @param {Array<Array<number>>} centroids - An array of centroids, where each centroid is an array of numbers.
+ * @returns {Array<Array<Array<number>>>} An array of clusters, where each cluster is an array of data points.
+ */
+function assignClusters( data, centroids ) {
+    // Initialize an array to hold the clusters
+    let clusters = new Array( centroids.length ).fill().map( () => [] );
+    // Assign each point to the nearest centroid
+    data.forEach( point => {
+        let minDistance = Infinity;
+        let clusterIndex = -1;
+        // Find the nearest centroid
+        centroids.forEach( ( centroid, index ) => {
+            let distance = euclideanDistance( point, centroid );
+            if ( distance < minDistance ) {
+                minDistance = distance;
+                clusterIndex = index;
+            }
+        } );
+        // Add the point to the corresponding cluster
+        clusters[ clusterIndex ].push( point );
+    } );
+    // Return the clusters
+    return clusters;
+}
+
+/**
+ * Updates the centroids of given clusters by calculating the mean of the points in each cluster.
+ *
+ * @param {Array<Array<Array<number>>>} clusters - An array of clusters, where each cluster is an array of points, and each point is an array of numbers.
+ * @returns {Array<Array<number>>} - An array of new centroids, where each centroid is an array of numbers representing the mean of the points in the corresponding cluster.
+ */
+function updateCentroids( clusters ) {
+    // Calculate the new centroids
+    return clusters.map( cluster => {
+        let centroid = new Array( cluster[ 0 ].length ).fill( 0 );
+        // Sum the points in the cluster
+        cluster.forEach( point => {
+            point.forEach( ( value, index ) => {
+                centroid[ index ] += value;
+            } );
+        } );
+        // Calculate the mean of the points in the cluster
+        return centroid.map( value => value / cluster.length );
+    } );
+}
+
+/**
+ * Initializes centroids using naive sharding. This function divides the data into k shards and calculate the centroid of each shard.
+ *
+ * @param {Array<Array<number>>} data - The dataset, where each element is an array representing a data point.
+ * @param {number} k - The number of centroids (clusters) to initialize.
+ * @returns {Array<Array<number>>} An array of centroids, where each centroid is an array representing the mean position of a shard.
+ */
+function initializeCentroids( data, k ) {
+    let centroids = []; // Array to store the centroids
+    let shardSize = Math.floor( data.length / k ); // Calculate the size of each shard
+    for ( let i = 0; i < k; i++ ) {
+        let start = i * shardSize; // Start index of the current shard
+        let end = ( i + 1 ) * shardSize; // End index of the current shard
+        if ( i === k - 1 ) {
+            end = data.length; // Ensure the last shard includes any remaining points
+        }
+        let shard = data.slice( start, end ); // Extract the current shard from the data
+
+        // Calculate the centroid of the current shard
+        let centroid = shard.reduce( ( acc, point ) => {
+            return acc.map( ( value, index ) => value + point[ index ] );
+        }, new Array( data[ 0 ].length ).fill( 0 ) ).map( value => value / shard.length );
+
+        centroids.push( centroid ); // Add the calculated centroid to the centroids array
+    }
+    return centroids; // Return the array of centroids
+}
+
+/**
+ * Performs k-means clustering on the given data.
+ *
+ * @param {Array} data - The dataset to be clustered, where each element is a point.
+ * @param {number} [k=3] - The number of clusters to form.
+ * @param {number} [maxIterations=100] - The maximum number of iterations to perform.
+ * @returns {Object} An object containing the final centroids and clusters.
+ * @returns {Array} centroids - The final centroids after clustering.
+ * @returns {Array} clusters - The clusters with assigned points.
+ */
+function kMeans( data, k = 3, maxIterations = 100 ) {
+    // Initialize the centroids
+    let centroids = initializeCentroids( data, k );
+    let clusters = [];
+    // Iterate to update the centroids and clusters
+    for ( let i = 0; i < maxIterations; i++ ) {
+        // Assign points to the nearest centroids
+        clusters = assignClusters( data, centroids );
+        // Update the centroids
+        let newCentroids = updateCentroids( clusters );
+        // Stop if the centroids do not change
+        if ( JSON.stringify( newCentroids ) === JSON.stringify( centroids ) ) {
+            break;
         }
-        else {
-            return -1;
+        // Update the centroids for the next iteration
+        centroids = newCentroids;
+    }
+    // Return the final centroids and clusters
+    return {
+        centroids,
+        clusters
+    };
+}
+module.exports.kMeans = kMeans;
+
+/**
+ * Registry of point detectors, keyed by name. It backs both `all()` and the `Outliers` class.
+ *
+ * Every detector follows the same contract:
+ * - `detect( data, options )` returns one record per point, each with at least `index`, `value`,
+ *   `score` and `outlier` properties (the "detailed" output of the built-in detectors).
+ * - `score( value, data, options )` (optional) scores a new value against the dataset without
+ *   adding it, returning `{ score, outlier }` and optionally `direction`.
+ * - `key` (optional) names the option a bare number stands for in a configuration object.
+ */
+const detectorRegistry = {};
+
+/**
+ * Registers a point detector under a name, replacing any detector already registered under it.
+ *
+ * @param {string} name - The name the detector is selected by.
+ * @param {Object} detector - The detector, following the registry contract described above.
+ * @param {Function} detector.detect - Returns one record per point.
+ * @param {Function} [detector.score] - Scores a new value against the dataset.
+ * @param {string} [detector.key] - The option a bare number stands for.
+ * @throws {Error} If the name is not a non-empty string or the detector has no `detect` function.
+ */
+function registerDetector( name, detector ) {
+    if ( typeof name !== "string" || !name ) {
+        throw new Error( "Please pass a name for the detector." );
+    }
+    if ( !detector || typeof detector.detect !== "function" ) {
+        throw new Error( `Detector "${name}" must have a detect( data, options ) function.` );
+    }
+    if ( detector.score !== undefined && typeof detector.score !== "function" ) {
+        throw new Error( `The score property of detector "${name}" must be a function.` );
+    }
+    detectorRegistry[ name ] = {
+        "key": detector.key || "threshold",
+        "detect": detector.detect,
+        "score": detector.score || null
+    };
+}
+module.exports.registerDetector = registerDetector;
+
+/**
+ * Removes a detector from the registry.
+ *
+ * @param {string} name - The name the detector was registered under.
+ * @returns {boolean} True if a detector was removed, false if none was registered under the name.
+ */
+function unregisterDetector( name ) {
+    if ( !Object.prototype.hasOwnProperty.call( detectorRegistry, name ) ) {
+        return false;
+    }
+    delete detectorRegistry[ name ];
+    return true;
+}
+module.exports.unregisterDetector = unregisterDetector;
+
+/**
+ * Looks up registered detectors by name.
+ *
+ * @param {string[]} names - The detector names.
+ * @returns {Object[]} The detectors, in the same order.
+ * @throws {Error} If no names are passed or a name is not registered.
+ */
+function getDetectors( names ) {
+    if ( !Array.isArray( names ) || !names.length ) {
+        throw new Error( "Please pass at least one detector." );
+    }
+    return names.map( name => {
+        if ( !detectorRegistry[ name ] ) {
+            throw new Error( `Unknown detector "${name}". Available detectors: ${Object.keys( detectorRegistry ).join( ", " )}.` );
         }
+        return detectorRegistry[ name ];
     } );
+}
 
-    // Create a sorted object of sequences and their counts
-    let p = {};
-    if ( keys.length ) {
-        for ( let i = 0; i < keys.length; i++ ) {
-            p[ keys[ i ] ] = sequences[ keys[ i ] ];
-        }
+/**
+ * Runs a registered detector and checks that it honored the registry contract.
+ *
+ * @param {string} name - The detector name.
+ * @param {number[]} data - The validated dataset.
+ * @param {number|Object} [options] - A bare number or an options object for the detector.
+ * @param {Object} [defaults={}] - Options that apply unless the detector's own options override them.
+ * @returns {Object[]} One record per point.
+ * @throws {Error} If the detector does not return one record per point.
+ */
+function runDetector( name, data, options, defaults = {} ) {
+    const detector = getDetectors( [ name ] )[ 0 ];
+    const records = detector.detect( data, {
+        ...defaults,
+        ...detectorOptions( options, detector.key )
+    } );
+    if ( !Array.isArray( records ) || records.length !== data.length ) {
+        throw new Error( `Detector "${name}" must return one record per data point.` );
     }
+    return records;
+}
 
-    // If a threshold is provided, calculate partial matches
-    if ( threshold ) {
-        partials = partialMatches( newArray, threshold );
+// Register the built-in point detectors
+registerDetector( "iqr", {
+    "key": "multiplier",
+    "detect": ( data, opts ) => iqr( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        let multiplier = opts.multiplier === undefined ? 1.5 : +opts.multiplier;
+        if ( !Number.isFinite( multiplier ) ) {
+            multiplier = 1.5;
+        }
+        const fences = iqrFences( data.slice().sort( ( a, b ) => a - b ), multiplier, opts );
+        const side = direction( value, fences.lower, fences.upper, parseTail( opts.tail ) );
+        return {
+            "score": iqrScore( value, fences ),
+            "outlier": side !== null,
+            "direction": side
+        };
+    }
+} );
+registerDetector( "zscore", {
+    "detect": ( data, opts ) => zscore( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        const score = ( value - ss.mean( data ) ) / ss.standardDeviation( data );
+        const threshold = parseThreshold( opts.threshold, 3 );
+        const side = direction( score, -threshold, threshold, parseTail( opts.tail ) );
+        return {
+            "score": score,
+            "outlier": side !== null,
+            "direction": side
+        };
+    }
+} );
+registerDetector( "modifiedZscore", {
+    "detect": ( data, opts ) => modifiedZscore( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        const score = 0.6745 * ( value - ss.median( data ) ) / ss.medianAbsoluteDeviation( data );
+        const threshold = parseThreshold( opts.threshold, 3.5 );
+        const side = direction( score, -threshold, threshold, parseTail( opts.tail ) );
+        return {
+            "score": score,
+            "outlier": side !== null,
+            "direction": side
+        };
+    }
+} );
+registerDetector( "grubbsTest", {
+    "key": "alpha",
+    "detect": ( data, opts ) => grubbsTest( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        // Test the value as if it had been added to the dataset
+        const tail = parseTail( opts.tail );
+        const z = ( value - ss.mean( data ) ) / ss.sampleStandardDeviation( data );
+        const critical = getCriticalValue( data.length + 1, tail, parseAlpha( opts.alpha ) );
+        const side = direction( z, -critical, critical, tail );
+        return {
+            "score": tail === "both" ? Math.abs( z ) : z * ( tail === "upper" ? 1 : -1 ), // Same statistic as grubbsTest()
+            "outlier": side !== null,
+            "direction": side
+        };
+    }
+} );
+registerDetector( "movingZscore", {
+    "detect": ( data, opts ) => movingZscore( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        // Score the value as the next point of the series
+        const record = movingZscore( data.concat( [ value ] ), { ...opts, "align": "trailing", "output": "detailed" } ).pop();
+        return {
+            "score": record.score,
+            "outlier": record.outlier,
+            "direction": record.direction
+        };
+    }
+} );
+registerDetector( "hampel", {
+    "detect": ( data, opts ) => hampel( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        // Score the value as the next point of the series
+        const record = hampel( data.concat( [ value ] ), { ...opts, "align": "trailing", "output": "detailed" } ).pop();
+        return {
+            "score": record.score,
+            "outlier": record.outlier,
+            "direction": record.direction
+        };
+    }
+} );
+registerDetector( "localOutlierFactor", {
+    "key": "k",
+    "detect": ( data, opts ) => localOutlierFactor( data, { ...opts, "output": "detailed" } ),
+    "score": ( value, data, opts ) => {
+        const k = opts.k === undefined ? 3 : opts.k;
+        const threshold = opts.threshold === undefined ? 1.5 : opts.threshold;
+        // Score the value as a one-dimensional point among the dataset's points
+        const point = [ 0, value ];
+        const score = localOutlierFactorScore( data.map( val => [ 0, val ] ).concat( [ point ] ), point, k );
+        return {
+            "score": score,
+            "outlier": score > threshold
+        };
     }
-
-    // Return the analysis results
-    return {
-        "sequences": p, // Object with sequences and their frequencies
-        "partials": partials, // Object with partial matches (if threshold is provided)
-        "threshold": threshold, // The threshold value used for partial matches
-        "strictDuplicates": Object.keys( sequences ).length // Number of unique sequences that occur more than once
-    };
-}
-
-// Export the `sequenceAnalysis` function for use in other modules
-module.exports.sequenceAnalysis = sequenceAnalysis;
+} );
 
 /**
- * Function to find partial matches between clusters based on a similarity threshold
- * @param {Array<string>} clusters - Array of cluster strings, where each string represents a cluster of elements separated by commas
- * @param {number} threshold - Similarity threshold for partial matches (default is 0.75).
- *                              A higher threshold means stricter matching.
- * @returns {Object} - Object containing partial matches with their counts and similarity coefficients.
- *                     The structure is { cluster1: { cluster2: { count, coeff } } }.
+ * Runs several point detectors over the same data and combines their verdicts by voting.
+ * Any detector added with `registerDetector()` can take part.
+ *
+ * Strategies:
+ * - "unanimous": every detector must flag the point (the default)
+ * - "majority": more than half of the detectors must flag the point
+ * - "kOfN": at least `k` detectors must flag the point
+ * - "weighted": the flagging detectors' share of the total weight must reach `quorum`
+ *
+ * Per-detector options are passed under the detector's name, either as a bare number (the
+ * detector's main parameter) or as an options object, e.g. `{ "iqr": 1.7, "zscore": { "threshold": 3.2 } }`.
+ *
+ * @param {number[]} data - The dataset to analyze.
+ * @param {Object} [config={}] - Optional configuration object.
+ * @param {string[]} [config.detectors=["iqr", "zscore", "modifiedZscore"]] - The detectors to run.
+ * @param {string} [config.strategy="unanimous"] - "unanimous", "majority", "kOfN" or "weighted".
+ * @param {number} [config.k] - The number of votes required by the "kOfN" strategy.
+ * @param {Object} [config.weights] - Weights by detector name for the "weighted" strategy. Missing weights default to 1.
+ * @param {number} [config.quorum=0.5] - The share of the total weight required by the "weighted" strategy.
+ * @param {string} [config.tail] - "both", "upper" or "lower", applied to every detector that supports it
+ *                                 unless the detector's own options say otherwise.
+ * @param {string} [config.output="mask"] - "mask", "values" or "detailed".
+ * @param {string} [config.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Array} A true/false mask, the flagged values, or one record per point with every detector's vote.
+ * @throws {Error} If an unknown detector or strategy is requested, if `k` is out of range, or if a weight is
+ *                 negative, not a number, or given for a detector that is not run.
  */
-function partialMatches( clusters, threshold = 0.75 ) {
-    // Ensure the threshold is a valid number and parse it as a float
-    threshold = parseFloat( threshold );
-    if ( isNaN( threshold ) ) {
-        threshold = 0.75; // Default to 0.75 if the threshold is invalid
+function all( data, config = {} ) {
+    const {
+        detectors = [ "iqr", "zscore", "modifiedZscore" ], // The three detectors described in the README
+        strategy = "unanimous",
+        weights = {},
+        quorum = 0.5,
+        output = "mask"
+    } = config;
+
+    // Validate the input data once, so every detector sees the same numbers
+    const prepared = prepare( data, config.missing );
+    const validatedData = prepared.data;
+
+    // Make sure every requested detector is registered before running any of them
+    getDetectors( detectors );
+
+    // Work out how many votes (or how much weight) a point needs to be flagged
+    const n = detectors.length;
+    let required;
+    switch ( strategy ) {
+        case "unanimous":
+            required = n;
+            break;
+        case "majority":
+            required = Math.floor( n / 2 ) + 1;
+            break;
+        case "kOfN":
+            required = parseInt( config.k, 10 );
+            if ( !( required >= 1 && required <= n ) ) {
+                throw new Error( `The "kOfN" strategy needs a k between 1 and ${n}.` );
+            }
+            break;
+        case "weighted":
+            if ( !( quorum > 0 && quorum <= 1 ) ) {
+                throw new Error( "The quorum must be greater than 0 and no more than 1." );
+            }
+            break;
+        default:
+            throw new Error( `Unknown strategy "${strategy}". Please use "unanimous", "majority", "kOfN" or "weighted".` );
     }
 
-    // Object to store partial matches
-    const partials = {};
-
-    // Iterate over each cluster in the input array
-    for ( let i = 0; i < clusters.length; i++ ) {
-        const cluster1 = clusters[ i ]; // Current cluster
-        const elements1 = cluster1.split( "," ); // Split the cluster into individual elements
-
-        // Compare the current cluster with every other cluster in the array
-        for ( let j = 0; j < clusters.length; j++ ) {
-            if ( i === j ) continue; // Skip comparison with itself
-            const cluster2 = clusters[ j ]; // Another cluster to compare with
-
-            if ( cluster1 === cluster2 ) continue; // Skip if the clusters are identical
-
-            const elements2 = cluster2.split( "," ); // Split the other cluster into individual elements
-            const maxLength = Math.max( elements1.length, elements2.length ); // Determine the maximum length of the two clusters
-            let sameCount = 0; // Counter for matching elements
-
-            // Compare elements of both clusters
-            for ( let k = 0; k < maxLength; k++ ) {
-                if ( elements1[ k ] === elements2[ k ] ) {
-                    sameCount++; // Increment the counter if elements match
-                }
-            }
+    // A weight for a detector that is not run is most likely a typo, and would otherwise be ignored
+    for ( const name of Object.keys( weights ) ) {
+        if ( !detectors.includes( name ) ) {
+            throw new Error( `A weight was given for "${name}", which is not one of the detectors: ${detectors.join( ", " )}.` );
+        }
+        if ( !( parseFloat( weights[ name ] ) >= 0 && Number.isFinite( parseFloat( weights[ name ] ) ) ) ) {
+            throw new Error( `The weight of "${name}" must be a finite number, 0 or more.` );
+        }
+    }
 
-            // Calculate the similarity coefficient as the ratio of matching elements to the maximum length
-            const similarityCoeff = sameCount / maxLength;
+    // Run each detector and collect its per-point records
+    const results = {};
+    const defaults = config.tail === undefined ? {} : {
+        "tail": config.tail
+    };
+    for ( const name of detectors ) {
+        results[ name ] = runDetector( name, validatedData, config[ name ], defaults );
+    }
 
-            // If the similarity coefficient meets or exceeds the threshold, record the partial match
-            if ( similarityCoeff >= threshold ) {
-                // Initialize the nested structure for the current cluster if it doesn't exist
-                if ( !partials[ cluster1 ] ) {
-                    partials[ cluster1 ] = {};
-                }
+    // Total weight of all voting detectors, used by the "weighted" strategy
+    const weightOf = name => ( weights[ name ] === undefined ? 1 : parseFloat( weights[ name ] ) );
+    const totalWeight = detectors.reduce( ( sum, name ) => sum + weightOf( name ), 0 );
+    if ( strategy === "weighted" && !( totalWeight > 0 ) ) {
+        throw new Error( "At least one detector needs a weight greater than 0." );
+    }
 
-                // Initialize the structure for the compared cluster if it doesn't exist
-                if ( !partials[ cluster1 ][ cluster2 ] ) {
-                    partials[ cluster1 ][ cluster2 ] = {
-                        count: 1, // Start the count at 1
-                        coeff: parseFloat( similarityCoeff.toFixed( 3 ) ) // Store the similarity coefficient rounded to 3 decimal places
-                    };
-                }
-                else {
-                    // If the match already exists, increment the count
-                    partials[ cluster1 ][ cluster2 ].count++;
-                }
+    // Tally the votes for each point
+    const records = validatedData.map( ( value, index ) => {
+        const votes = {};
+        let count = 0;
+        let weight = 0;
+        for ( const name of detectors ) {
+            votes[ name ] = results[ name ][ index ].outlier;
+            if ( votes[ name ] ) {
+                count++;
+                weight += weightOf( name );
             }
         }
-    }
+        const support = strategy === "weighted" ? weight / totalWeight : count;
+        return {
+            "index": index,
+            "value": value,
+            "votes": votes, // Each detector's verdict for this point
+            "support": support, // Number of votes, or share of the weight for the "weighted" strategy
+            "outlier": strategy === "weighted" ? support >= quorum : support >= required
+        };
+    } );
 
-    // Return the object containing all partial matches
-    return partials;
+    return formatOutput( records, output, prepared );
 }
-
-// Export the function for use in other modules
-module.exports.partialMatches = partialMatches;
+module.exports.all = all;
 
 /**
- * Represents a node in a decision tree.
+ * Class representing a dataset fitted with a set of registered point detectors.
+ *
+ * Each detector is run once when the instance is created. Points of the dataset are then
+ * looked up by index, and new values can be scored against the fitted dataset.
  */
-class TreeNode {
+class Outliers {
     /**
-     * Creates an instance of TreeNode.
-     * @param {TreeNode|null} left - The left child node. Null if no left child exists.
-     * @param {TreeNode|null} right - The right child node. Null if no right child exists.
-     * @param {string} splitAttr - The attribute used for splitting the data at this node.
-     * @param {number|string} splitValue - The value of the attribute used for splitting.
+     * Runs the selected detectors over the dataset.
+     *
+     * @param {number[]} data - The dataset to fit.
+     * @param {Object} [options={}] - Optional configuration object. Per-detector options are passed
+     *                                under the detector's name, as with `all()`.
+     * @param {string[]} [options.detectors] - The detectors to run. Defaults to every registered detector.
+     * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
      */
-    constructor( left, right, splitAttr, splitValue ) {
-        this.left = left; // Reference to the left child node
-        this.right = right; // Reference to the right child node
-        this.splitAttr = splitAttr; // Attribute used for splitting the data
-        this.splitValue = splitValue; // Value of the attribute used for splitting
+    constructor( data, options = {} ) {
+        const prepared = prepare( data, options.missing );
+        const validatedData = prepared.data;
+        this.validatedData = validatedData;
+        this.index = prepared.index; // The caller's original index for each point
+        this.detectors = options.detectors || Object.keys( detectorRegistry );
+        this.options = {};
+        this.results = {};
+        for ( const name of this.detectors ) {
+            this.options[ name ] = detectorOptions( options[ name ], getDetectors( [ name ] )[ 0 ].key );
+            this.results[ name ] = runDetector( name, validatedData, this.options[ name ] );
+        }
     }
-}
 
-/**
- * Class representing an Isolation Tree.
- * An Isolation Tree is a binary tree used in anomaly detection. It recursively splits data
- * based on randomly selected attributes and values until a stopping condition is met.
- */
-class IsolationTree {
     /**
-     * Create an Isolation Tree.
-     * @param {number} heightLimit - The maximum height of the tree. Determines when to stop splitting.
+     * Registers a point detector. See `registerDetector()` for the contract.
+     *
+     * @param {string} name - The name the detector is selected by.
+     * @param {Object} detector - The detector.
      */
-    constructor( heightLimit ) {
-        this.heightLimit = heightLimit; // Set the maximum height of the tree
+    static register( name, detector ) {
+        registerDetector( name, detector );
     }
 
     /**
-     * Fit the Isolation Tree to the given data.
-     * This method recursively splits the data into left and right subsets based on a randomly
-     * selected attribute and value, creating a binary tree structure.
+     * Removes a point detector. See `unregisterDetector()`.
      *
-     * @param {Array<Array<number>>} data - The dataset to fit the tree to. Each element is an array of numerical values.
-     * @param {number} [currentHeight=0] - The current height of the tree during recursion. Defaults to 0.
-     * @returns {TreeNode} The root node of the fitted tree.
+     * @param {string} name - The name the detector was registered under.
+     * @returns {boolean} True if a detector was removed.
      */
-    fit( data, currentHeight = 0 ) {
-        // Base case: Stop splitting if the current height exceeds the limit or if the data has 1 or fewer points
-        if ( currentHeight >= this.heightLimit || data.length <= 1 ) {
-            return new TreeNode( null, null, null, null ); // Return a leaf node with no children
-        }
-
-        // Randomly select an attribute (column index) to split on
-        const splitAttr = Math.floor( getSecureRandomValue() * data[ 0 ].length );
-
-        // Determine the minimum and maximum values of the selected attribute in the dataset
-        const min = Math.min( ...data.map( row => row[ splitAttr ] ) );
-        const max = Math.max( ...data.map( row => row[ splitAttr ] ) );
+    static unregister( name ) {
+        return unregisterDetector( name );
+    }
 
-        // Randomly select a split value within the range of the selected attribute
-        const splitValue = getSecureRandomValue() * ( max - min ) + min;
+    /**
+     * Lists the names of the registered detectors.
+     *
+     * @returns {string[]} The detector names.
+     */
+    static detectors() {
+        return Object.keys( detectorRegistry );
+    }
 
-        // Split the data into two subsets:
-        // - Left subset: Points where the selected attribute's value is less than the split value
-        // - Right subset: Points where the selected attribute's value is greater than or equal to the split value
-        const left = data.filter( row => row[ splitAttr ] < splitValue );
-        const right = data.filter( row => row[ splitAttr ] >= splitValue );
+    /**
+     * Reports each detector's verdict for a point of the fitted dataset.
+     *
+     * @param {number} index - The index of the point in the caller's original dataset.
+     * @returns {Object} True/false by detector name.
+     * @throws {Error} If the index is not part of the dataset, or the point was dropped as missing.
+     */
+    isAnomaly( index ) {
+        const position = this.index.indexOf( index );
+        if ( position === -1 ) {
+            throw new Error( `Index "${index}" is not part of the dataset.` );
+        }
+        const out = {};
+        for ( const name of this.detectors ) {
+            out[ name ] = this.results[ name ][ position ].outlier;
+        }
+        return out;
+    }
 
-        // Recursively fit the left and right subsets, increasing the height by 1
-        return new TreeNode(
-            this.fit( left, currentHeight + 1 ), // Fit the left subset
-            this.fit( right, currentHeight + 1 ), // Fit the right subset
-            splitAttr, // Store the attribute used for splitting
-            splitValue // Store the value used for splitting
-        );
+    /**
+     * Scores a new value against the fitted dataset with each detector. This never throws:
+     * detectors that cannot score the value report `null` for `score` and `outlier`.
+     *
+     * @param {number} val - The value to score.
+     * @returns {Object} `{ score, outlier }` by detector name, plus `direction` where the detector reports
+     *                   one and `error` where scoring failed.
+     */
+    score( val ) {
+        const value = parseFloat( val );
+        const out = {};
+        for ( const name of this.detectors ) {
+            const detector = detectorRegistry[ name ];
+            out[ name ] = {
+                "score": null,
+                "outlier": null
+            };
+            if ( !Number.isFinite( value ) ) {
+                out[ name ].error = "Non-numeric value passed";
+            }
+            else if ( !detector || !detector.score ) {
+                out[ name ].error = `Detector "${name}" does not support scoring new values`;
+            }
+            else {
+                try {
+                    const result = detector.score( value, this.validatedData, this.options[ name ] );
+                    out[ name ].score = result.score;
+                    out[ name ].outlier = result.outlier;
+                    if ( result.direction !== undefined ) {
+                        out[ name ].direction = result.direction;
+                    }
+                }
+                catch ( e ) {
+                    out[ name ].error = e.message;
+                }
+            }
+        }
+        return out;
     }
 }
+module.exports.Outliers = Outliers;
 
 /**
- * Class representing an Isolation Forest.
+ * Class representing a streaming quantile estimate, using the P² algorithm of Jain and Chlamtac (1985).
+ *
+ * Five markers track the minimum, the p/2, p and (1+p)/2 quantiles, and the maximum. Each new value
+ * moves the marker positions, and markers that drift from their desired positions are adjusted with a
+ * piecewise-parabolic prediction. Memory use is constant, however many values are added.
  */
-class IsolationForest {
-    constructor( numTrees, heightLimit ) {
-        this.numTrees = numTrees; // Set the number of trees in the forest
-        this.heightLimit = heightLimit; // Set the maximum height of each tree
-        this.trees = []; // Initialize an empty array to store the trees
-    }
-    fit( data ) {
-        // Create the specified number of trees
-        for ( let i = 0; i < this.numTrees; i++ ) {
-            const sample = this.sampleData( data ); // Sample the data
-            const tree = new IsolationTree( this.heightLimit ); // Create a new tree
-            this.trees.push( tree.fit( sample ) ); // Fit the tree and add it to the forest
-        }
+class P2Quantile {
+    /**
+     * @param {number} p - The probability of the quantile to track, between 0 and 1.
+     */
+    constructor( p ) {
+        this.p = p;
+        this.count = 0;
+        this.heights = []; // Marker heights (the first five values, until the markers are set up)
+        this.positions = [ 0, 1, 2, 3, 4 ]; // Actual marker positions
+        this.desired = [ 0, 2 * p, 4 * p, 2 + 2 * p, 4 ]; // Desired marker positions
+        this.increments = [ 0, p / 2, p, ( 1 + p ) / 2, 1 ]; // Desired position increments
     }
-    sampleData( data ) {
-        const sampleSize = Math.min( data.length, 256 ); // Determine the sample size (max 256)
-        const sample = [];
-        // Randomly sample data points
-        for ( let i = 0; i < sampleSize; i++ ) {
-            sample.push( data[ Math.floor( getSecureRandomValue() * data.length ) ] );
+
+    /**
+     * Adds a value to the estimate.
+     * @param {number} x - The value to add.
+     */
+    add( x ) {
+        const q = this.heights;
+        const n = this.positions;
+        this.count++;
+
+        // The first five values become the initial marker heights
+        if ( this.count <= 5 ) {
+            q.push( x );
+            if ( this.count === 5 ) {
+                q.sort( ( a, b ) => a - b );
+            }
+            return;
         }
-        return sample;
-    }
-    pathLength( point, node, currentHeight = 0 ) {
-        // Base case: if the node is a leaf, return the current height
-        if ( !node.left && !node.right ) {
-            return currentHeight;
+
+        // Find the cell the value falls in, extending the extreme markers if needed
+        let k;
+        if ( x < q[ 0 ] ) {
+            q[ 0 ] = x;
+            k = 0;
         }
-        // Recursively calculate the path length based on the split attribute and value
-        if ( point[ node.splitAttr ] < node.splitValue ) {
-            return this.pathLength( point, node.left, currentHeight + 1 );
+        else if ( x >= q[ 4 ] ) {
+            q[ 4 ] = x;
+            k = 3;
         }
         else {
-            return this.pathLength( point, node.right, currentHeight + 1 );
+            k = 0;
+            while ( x >= q[ k + 1 ] ) {
+                k++;
+            }
+        }
+
+        // Shift the positions of the markers above the cell, and the desired positions of all markers
+        for ( let i = k + 1; i < 5; i++ ) {
+            n[ i ]++;
+        }
+        for ( let i = 0; i < 5; i++ ) {
+            this.desired[ i ] += this.increments[ i ];
+        }
+
+        // Adjust the heights of the middle markers that are off their desired positions
+        for ( let i = 1; i < 4; i++ ) {
+            const d = this.desired[ i ] - n[ i ];
+            if ( ( d >= 1 && n[ i + 1 ] - n[ i ] > 1 ) || ( d <= -1 && n[ i - 1 ] - n[ i ] < -1 ) ) {
+                const s = Math.sign( d );
+                // Piecewise-parabolic prediction, falling back to linear if it would break the ordering
+                const parabolic = q[ i ] + s / ( n[ i + 1 ] - n[ i - 1 ] ) * (
+                    ( n[ i ] - n[ i - 1 ] + s ) * ( q[ i + 1 ] - q[ i ] ) / ( n[ i + 1 ] - n[ i ] ) +
+                    ( n[ i + 1 ] - n[ i ] - s ) * ( q[ i ] - q[ i - 1 ] ) / ( n[ i ] - n[ i - 1 ] )
+                );
+                if ( q[ i - 1 ] < parabolic && parabolic < q[ i + 1 ] ) {
+                    q[ i ] = parabolic;
+                }
+                else {
+                    q[ i ] = q[ i ] + s * ( q[ i + s ] - q[ i ] ) / ( n[ i + s ] - n[ i ] );
+                }
+                n[ i ] += s;
+            }
         }
     }
-    anomalyScore( point ) {
-        // Calculate the average path length for the point across all trees
-        const avgPathLength = this.trees.reduce( ( sum, tree ) => sum + this.pathLength( point, tree ), 0 ) / this.numTrees;
-        // Calculate the normalization factor
-        const c = 2 * ( Math.log( this.numTrees - 1 ) + 0.5772156649 ) - ( 2 * ( this.numTrees - 1 ) / this.numTrees );
-        // Calculate and return the anomaly score
-        return Math.pow( 2, -avgPathLength / c );
-    }
-}
-module.exports.IsolationForest = IsolationForest;
 
-/**
- * Performs Grubbs's test to detect outliers in a dataset.
- *
- * Grubbs's test is a statistical test used to identify outliers in a dataset.
- * It iteratively removes the most extreme value (based on the test statistic)
- * and recalculates the test statistic until no more outliers are detected.
- *
- * @param {number[]} data - The input array of numerical data.
- * @returns {number[]} - An array of detected outliers.
- *
- * @example
- * const data = [1, 2, 3, 4, 100];
- * const outliers = grubbsTest(data);
- * console.log(outliers); // [100]
- */
-function grubbsTest( data ) {
-    // Initialize an array to store detected outliers
-    const outliers = [];
+    /**
+     * Returns the current estimate. Until five values have been added, the exact sample quantile is returned.
+     * @returns {number|null} The estimate, or null if no values have been added.
+     */
+    value() {
+        if ( this.count === 0 ) {
+            return null;
+        }
+        if ( this.count < 5 ) {
+            return sortedQuantile( this.heights.slice().sort( ( a, b ) => a - b ), this.p );
+        }
+        return this.heights[ 2 ];
+    }
+}
+module.exports.P2Quantile = P2Quantile;
 
-    // Create a copy of the input data to work with, so the original array is not modified
-    let remainingData = [ ...data ];
+/**
+ * Class representing a streaming anomaly detector.
+ *
+ * Values are pushed one at a time and scored against the statistics of the values seen before them.
+ * The running mean and variance are updated with Welford's method, and the median and MAD are tracked
+ * with P² quantile estimates (the MAD is estimated from the deviations from the running median), so
+ * memory use is constant however long the stream runs.
+ *
+ * Emits an "anomaly" event with the point's record for every flagged value.
+ */
+class DetectorStream extends ee {
+    /**
+     * @param {Object} [options={}] - Optional configuration object.
+     * @param {string} [options.method="zscore"] - "zscore" (mean and standard deviation) or "modifiedZscore" (median and MAD).
+     * @param {number} [options.threshold] - The score beyond which a value is flagged. Defaults to 3 for "zscore" and 3.5 for "modifiedZscore".
+     * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) to test.
+     * @param {number} [options.warmup=10] - The number of values to see before scoring starts (at least 2).
+     * @param {boolean} [options.exclude=false] - Keep flagged values out of the running statistics.
+     * @param {string} [options.missing="reject"] - "reject" to throw on a non-numeric value, or "drop" to skip it.
+     *                                               Skipped values still use up an index.
+     * @throws {Error} If an option is not recognized or out of range.
+     */
+    constructor( options = {} ) {
+        super();
+        this.method = options.method || "zscore";
+        if ( this.method !== "zscore" && this.method !== "modifiedZscore" ) {
+            throw new Error( `Unknown method "${this.method}". Please use "zscore" or "modifiedZscore".` );
+        }
+        this.threshold = parseThreshold( options.threshold, this.method === "zscore" ? 3 : 3.5 );
+        this.tail = parseTail( options.tail );
+        this.warmup = options.warmup === undefined ? 10 : parseInt( options.warmup, 10 );
+        if ( !( this.warmup >= 2 ) ) {
+            throw new Error( "The warmup must be at least 2 values." );
+        }
+        this.exclude = !!options.exclude;
+        this.missing = options.missing || "reject";
+        if ( this.missing !== "reject" && this.missing !== "drop" ) {
+            throw new Error( `Unknown missing-value policy "${this.missing}". Streams support "reject" and "drop".` );
+        }
+        this.reset();
+    }
 
-    // Continue the test as long as there are more than 2 data points
-    while ( remainingData.length > 2 ) {
-        // Calculate the mean of the remaining data
-        const mean = ss.mean( remainingData );
+    /**
+     * Forgets every value seen so far.
+     */
+    reset() {
+        this.index = 0; // Index of the next value pushed
+        this.count = 0; // Number of values in the running statistics
+        this.mean = 0;
+        this.m2 = 0; // Sum of squared deviations from the mean (Welford)
+        this.medianEstimate = new P2Quantile( 0.5 );
+        this.madEstimate = new P2Quantile( 0.5 );
+    }
 
-        // Calculate the standard deviation of the remaining data
-        const stdDev = ss.standardDeviation( remainingData );
+    /**
+     * Returns the current running statistics.
+     * @returns {Object} `{ count, mean, variance, std, median, mad }`.
+     */
+    stats() {
+        const variance = this.count > 1 ? this.m2 / ( this.count - 1 ) : null;
+        return {
+            "count": this.count,
+            "mean": this.count ? this.mean : null,
+            "variance": variance,
+            "std": variance === null ? null : Math.sqrt( variance ),
+            "median": this.medianEstimate.value(),
+            "mad": this.madEstimate.value()
+        };
+    }
 
-        // Calculate the test statistic for each data point
-        // The test statistic is the absolute difference between the data point and the mean,
-        // divided by the standard deviation
-        const testStats = remainingData.map( x => Math.abs( x - mean ) / stdDev );
+    /**
+     * Scores a value against the values seen so far, then adds it to the running statistics.
+     *
+     * @param {number} val - The value.
+     * @returns {Object|null} The point's record, as in the point detectors' "detailed" output, or null
+     *                        if the value was dropped as missing. `score` is null during the warmup.
+     * @throws {Error} If the value is not a number and the missing-value policy is "reject".
+     */
+    push( val ) {
+        const index = this.index++;
+        const value = parseFloat( val );
+        if ( !Number.isFinite( value ) ) {
+            if ( this.missing === "drop" ) {
+                return null;
+            }
+            throw new Error( `Non-numeric value passed at index ${index}.` );
+        }
 
-        // Calculate the critical value from the t-distribution
-        // This value determines the threshold for identifying outliers
-        const criticalValue = getCriticalValue( remainingData.length );
+        const record = {
+            "index": index,
+            "value": value,
+            "score": null,
+            "threshold": this.threshold,
+            "lower": null,
+            "upper": null,
+            "outlier": false,
+            "direction": null
+        };
+
+        if ( this.count >= this.warmup ) {
+            const s = this.stats();
+            // The center and the scale of the score, in the units of the data
+            const center = this.method === "zscore" ? s.mean : s.median;
+            const scale = this.method === "zscore" ? s.std : s.mad / 0.6745;
+            // A value equal to a constant stream is not an outlier, anything else is infinitely far away
+            record.score = scale > 0 ? ( value - center ) / scale : ( value === center ? 0 : Math.sign( value - center ) * Infinity );
+            record.lower = center - this.threshold * scale;
+            record.upper = center + this.threshold * scale;
+            record.direction = direction( record.score, -this.threshold, this.threshold, this.tail );
+            record.outlier = record.direction !== null;
+        }
 
-        // Identify the most extreme outlier based on the test statistics
-        const maxStat = Math.max( ...testStats ); // Find the maximum test statistic
-        const outlierIndex = testStats.indexOf( maxStat ); // Get the index of the maximum test statistic
-        const outlier = remainingData[ outlierIndex ]; // Get the corresponding data point
+        if ( !( record.outlier && this.exclude ) ) {
+            // Welford's update of the running mean and sum of squared deviations
+            this.count++;
+            const delta = value - this.mean;
+            this.mean += delta / this.count;
+            this.m2 += delta * ( value - this.mean );
 
-        // If the most extreme value is not an outlier (test statistic <= critical value), exit the loop
-        if ( maxStat <= criticalValue ) {
-            break;
+            this.medianEstimate.add( value );
+            this.madEstimate.add( Math.abs( value - this.medianEstimate.value() ) );
         }
 
-        // Add the detected outlier to the outliers array
-        outliers.push( outlier );
-
-        // Remove the detected outlier from the remaining data
-        remainingData.splice( outlierIndex, 1 );
+        if ( record.outlier ) {
+            this.emit( "anomaly", record );
+        }
+        return record;
     }
+}
+module.exports.DetectorStream = DetectorStream;
 
-    // Return the array of detected outliers
-    return outliers;
+/**
+ * Creates a streaming anomaly detector. See `DetectorStream` for the options.
+ *
+ * @param {Object} [options={}] - Optional configuration object.
+ * @returns {DetectorStream} The stream. Push values with `push()` and listen for "anomaly" events.
+ *
+ * @example
+ * const stream = createStream( { "method": "modifiedZscore", "tail": "upper" } );
+ * stream.on( "anomaly", a => console.log( a.index, a.value, a.score ) );
+ * metrics.on( "cpu", value => stream.push( value ) );
+ */
+function createStream( options = {} ) {
+    return new DetectorStream( options );
 }
+module.exports.createStream = createStream;
 
-// Export the Grubbs's test function for use in other modules
-module.exports.grubbsTest = grubbsTest;
+// START Change Points
+
+// The number of parameters each cost function fits per segment, for the penalties
+const changeCosts = {
+    "mean": 1,
+    "var": 1,
+    "meanvar": 2
+};
 
 /**
- * Calculates an approximation of the t-distribution critical value for large sample sizes.
+ * Builds the cost function of a segment for change-point detection: twice the negative log-likelihood
+ * of the segment under a normal model, up to a constant. Sums of the data and its squares make each
+ * cost O(1).
  *
- * This function approximates the critical value for a two-tailed t-test with a significance level of 0.05.
- * It is used in statistical tests like Grubbs's test to determine whether a data point is an outlier.
+ * - "mean": the mean changes, and the variance is the noise variance of the whole series (estimated
+ *   from the differences between neighbors, which a change of mean barely affects)
+ * - "var": the variance changes around the mean of the whole series
+ * - "meanvar": both change
  *
- * @param {number} n - The sample size (number of data points).
- * @returns {number} The approximated critical value for the given sample size.
+ * @param {number[]} values - The data.
+ * @param {string} cost - "mean", "var" or "meanvar".
+ * @returns {Function} The cost of the segment from `s` (inclusive) to `t` (exclusive).
  */
-function getCriticalValue( n ) {
-    // Approximation of the t-distribution critical value for large sample sizes
-    const tCritical = 1.96; // Critical value for a 95% confidence interval (alpha = 0.05, two-tailed test)
-    // Calculate the critical value using the formula:
-    // (n - 1) * tCritical / sqrt(n * (n - 2))
-    return ( n - 1 ) * tCritical / Math.sqrt( n * ( n - 2 ) );
+function segmentCost( values, cost ) {
+    const n = values.length;
+    const sums = [ 0 ];
+    const squares = [ 0 ];
+    values.forEach( ( val, i ) => {
+        sums.push( sums[ i ] + val );
+        squares.push( squares[ i ] + val * val );
+    } );
+    const mean = sums[ n ] / n;
+    const overall = squares[ n ] / n - mean * mean;
+    // A floor for segment variances, so a constant segment does not cost -Infinity
+    const floor = Math.max( overall, 1 ) * 1e-10;
+
+    if ( cost === "mean" ) {
+        const noise = n > 2 ? ( 1.4826 * ss.median( values.slice( 1 ).map( ( val, i ) => Math.abs( val - values[ i ] ) ) ) ) ** 2 / 2 : 0;
+        const variance = noise > 0 ? noise : Math.max( overall, floor );
+        return ( s, t ) => ( squares[ t ] - squares[ s ] - ( sums[ t ] - sums[ s ] ) ** 2 / ( t - s ) ) / variance;
+    }
+    if ( cost === "var" ) {
+        return ( s, t ) => {
+            const m = t - s;
+            const ss2 = squares[ t ] - squares[ s ] - 2 * mean * ( sums[ t ] - sums[ s ] ) + m * mean * mean;
+            return m * Math.log( Math.max( ss2 / m, floor ) );
+        };
+    }
+    return ( s, t ) => {
+        const m = t - s;
+        return m * Math.log( Math.max( ( squares[ t ] - squares[ s ] - ( sums[ t ] - sums[ s ] ) ** 2 / m ) / m, floor ) );
+    };
 }
 
 /**
- * Calculates the Euclidean distance between two points in n-dimensional space.
- *
- * The Euclidean distance is the straight-line distance between two points in a multi-dimensional space.
- * It is calculated as the square root of the sum of the squared differences between corresponding coordinates.
+ * Finds the optimal change points with PELT, the Pruned Exact Linear Time method of Killick et al. (2012).
  *
- * @param {number[]} point1 - The first point as an array of numbers (e.g., [x1, y1, z1]).
- * @param {number[]} point2 - The second point as an array of numbers (e.g., [x2, y2, z2]).
- * @returns {number} The Euclidean distance between the two points.
+ * @param {number} n - The number of points.
+ * @param {Function} cost - The cost of a segment. See `segmentCost()`.
+ * @param {number} penalty - The penalty for each change point.
+ * @param {number} minSize - The fewest points in a segment.
+ * @returns {number[]} The positions at which new segments start.
+ */
+function pelt( n, cost, penalty, minSize ) {
+    const best = [ -penalty ];
+    const previous = [ 0 ];
+    let candidates = [];
+    for ( let t = minSize; t <= n; t++ ) {
+        // The last segment may start at 0, or after any earlier optimal partition that leaves it minSize points
+        if ( t - minSize === 0 || t - minSize >= minSize ) {
+            candidates.push( t - minSize );
+        }
+        let min = Infinity;
+        let arg = 0;
+        const totals = candidates.map( s => best[ s ] + cost( s, t ) + penalty );
+        totals.forEach( ( total, k ) => {
+            if ( total < min ) {
+                min = total;
+                arg = candidates[ k ];
+            }
+        } );
+        best[ t ] = min;
+        previous[ t ] = arg;
+        // Prune the candidates that can never be optimal again
+        candidates = candidates.filter( ( s, k ) => totals[ k ] - penalty <= min );
+    }
+    const starts = [];
+    for ( let t = previous[ n ]; t > 0; t = previous[ t ] ) {
+        starts.unshift( t );
+    }
+    return starts;
+}
+
+/**
+ * Finds change points by binary segmentation: split the segment whose best split lowers the cost the
+ * most, as long as that beats the penalty.
  *
- * @example
- * const point1 = [1, 2];
- * const point2 = [4, 6];
- * console.log(euclideanDistance(point1, point2)); // Output: 5
+ * @param {number} n - The number of points.
+ * @param {Function} cost - The cost of a segment. See `segmentCost()`.
+ * @param {number} penalty - The penalty for each change point.
+ * @param {number} minSize - The fewest points in a segment.
+ * @param {number} maxChangePoints - The most change points to find.
+ * @returns {number[]} The positions at which new segments start.
  */
-function euclideanDistance( point1, point2 ) {
-    // Calculate the sum of squared differences for each dimension
-    return Math.sqrt(
-        point1.reduce( ( sum, value, index ) => sum + Math.pow( value - point2[ index ], 2 ), 0 )
-    );
+function binarySegmentation( n, cost, penalty, minSize, maxChangePoints ) {
+    const bestSplit = ( s, t ) => {
+        let split = null;
+        for ( let k = s + minSize; k <= t - minSize; k++ ) {
+            const gain = cost( s, t ) - cost( s, k ) - cost( k, t );
+            if ( !split || gain > split.gain ) {
+                split = { s, t, k, gain };
+            }
+        }
+        return split;
+    };
+    let splits = [ bestSplit( 0, n ) ].filter( Boolean );
+    const starts = [];
+    while ( starts.length < maxChangePoints && splits.length ) {
+        const top = splits.reduce( ( a, b ) => ( b.gain > a.gain ? b : a ) );
+        if ( !( top.gain > penalty ) ) {
+            break;
+        }
+        starts.push( top.k );
+        splits = splits.filter( split => split !== top ).concat( [ bestSplit( top.s, top.k ), bestSplit( top.k, top.t ) ].filter( Boolean ) );
+    }
+    return starts.sort( ( a, b ) => a - b );
 }
 
 /**
- * Performs DBSCAN (Density-Based Spatial Clustering of Applications with Noise) clustering algorithm on a given dataset.
+ * Bayesian online change-point detection (Adams and MacKay, 2007).
  *
- * DBSCAN is a density-based clustering algorithm that groups points that are closely packed together
- * and marks points that are in low-density regions as noise. It uses two parameters:
- * - `eps`: The maximum distance between two points to be considered neighbors.
- * - `minPts`: The minimum number of points required to form a dense region (cluster).
+ * The stream keeps the posterior distribution of the run length, the number of points since the
+ * last change, under a normal model whose mean and variance are unknown (a normal-gamma prior) and
+ * renewed at each change. A change is reported when the most probable run length drops, which dates
+ * the new segment's start. Run lengths beyond `maxRunLength` are dropped, so memory stays constant
+ * however long the stream runs.
  *
- * @param {Array} dataset - The dataset to be clustered, where each element is a point (e.g., [x, y]).
- * @param {number} [eps=2] - The maximum distance between two points to be considered as neighbors.
- * @param {number} [minPts=2] - The minimum number of points required to form a dense region (cluster).
- * @returns {Object} An object containing the clusters and noise points.
- * @returns {Array} clusters - An array of clusters, where each cluster is an array of point indices.
- * @returns {Array} noise - An array of point indices that are considered noise.
+ * Emits a "changepoint" event with `{ index, start, runLength }`: the point at which the change was
+ * detected, the estimated start of the new segment, and the most probable run length.
  */
-function dbscan( dataset, eps = 2, minPts = 2 ) {
-    const clusters = []; // Array to store the clusters
-    const visited = new Set(); // Set to keep track of visited points
-    const noise = new Set(); // Set to keep track of noise points
-
+class ChangePointStream extends ee {
     /**
-     * Finds all points within `eps` distance of a given point.
-     * @param {Array<number>} point - The point to find neighbors for.
-     * @returns {Array<number>} An array of indices of neighboring points.
+     * @param {Object} [options={}] - Optional configuration object.
+     * @param {number} [options.hazard=0.01] - The prior probability of a change at each point (1 / the expected segment length).
+     * @param {Object} [options.prior] - The normal-gamma prior of each segment: `mu` (defaults to the first value),
+     *                                   `kappa` (1), `alpha` (1) and `beta` (1). `beta / alpha` is a prior guess of
+     *                                   the variance, so set it to suit the scale of the data.
+     * @param {number} [options.maxRunLength=1000] - The longest run length kept.
+     * @param {string} [options.missing="reject"] - "reject" to throw on a non-numeric value, or "drop" to skip it.
+     *                                               Skipped values still use up an index.
+     * @throws {Error} If an option is out of range.
      */
-    function regionQuery( point ) {
-        const neighbors = [];
-        for ( let i = 0; i < dataset.length; i++ ) {
-            if ( euclideanDistance( point, dataset[ i ] ) <= eps ) {
-                neighbors.push( i ); // Add the index of the neighboring point
-            }
+    constructor( options = {} ) {
+        super();
+        this.hazard = options.hazard === undefined ? 0.01 : parseFloat( options.hazard );
+        if ( !( this.hazard > 0 && this.hazard < 1 ) ) {
+            throw new Error( "The hazard must be between 0 and 1." );
         }
-        return neighbors;
+        const prior = options.prior || {};
+        this.prior = {
+            "mu": prior.mu === undefined ? null : parseFloat( prior.mu ),
+            "kappa": prior.kappa === undefined ? 1 : parseFloat( prior.kappa ),
+            "alpha": prior.alpha === undefined ? 1 : parseFloat( prior.alpha ),
+            "beta": prior.beta === undefined ? 1 : parseFloat( prior.beta )
+        };
+        if ( !( this.prior.kappa > 0 && this.prior.alpha > 0 && this.prior.beta > 0 ) ) {
+            throw new Error( "The prior's kappa, alpha and beta must be above 0." );
+        }
+        this.maxRunLength = options.maxRunLength === undefined ? 1000 : parseInt( options.maxRunLength, 10 );
+        if ( !( this.maxRunLength >= 1 ) ) {
+            throw new Error( "The maximum run length must be at least 1." );
+        }
+        this.missing = options.missing || "reject";
+        if ( this.missing !== "reject" && this.missing !== "drop" ) {
+            throw new Error( `Unknown missing-value policy "${this.missing}". Streams support "reject" and "drop".` );
+        }
+        this.reset();
     }
 
     /**
-     * Expands a cluster from a given point by recursively adding all density-reachable points.
-     * @param {number} pointIdx - The index of the starting point.
-     * @param {Array<number>} neighbors - The neighbors of the starting point.
-     * @param {Array<number>} cluster - The cluster being expanded.
+     * Forgets every value seen so far.
      */
-    function expandCluster( pointIdx, neighbors, cluster ) {
-        cluster.push( pointIdx ); // Add the initial point to the cluster
-        for ( let i = 0; i < neighbors.length; i++ ) {
-            const neighborIdx = neighbors[ i ];
-            if ( !visited.has( neighborIdx ) ) {
-                visited.add( neighborIdx ); // Mark the neighbor as visited
-                const newNeighbors = regionQuery( dataset[ neighborIdx ] ); // Find neighbors of the neighbor
-                if ( newNeighbors.length >= minPts ) {
-                    neighbors = neighbors.concat( newNeighbors ); // Add new neighbors to the list
-                }
-            }
-            // Add the neighbor to the cluster if it's not already part of any cluster
-            if ( !clusters.some( cluster => cluster.includes( neighborIdx ) ) ) {
-                cluster.push( neighborIdx );
-            }
-        }
+    reset() {
+        this.index = 0; // Index of the next value pushed
+        this.runLength = 0; // The most probable run length after the last value
+        this.probabilities = [ 1 ]; // Posterior probability of each run length
+        this.params = null; // Posterior normal-gamma parameters for each run length
     }
 
-    // Main loop to iterate over all points in the dataset
-    for ( let i = 0; i < dataset.length; i++ ) {
-        if ( !visited.has( i ) ) {
-            visited.add( i ); // Mark the point as visited
-            const neighbors = regionQuery( dataset[ i ] ); // Find neighbors of the point
-            if ( neighbors.length < minPts ) {
-                noise.add( i ); // Mark the point as noise if it has fewer than `minPts` neighbors
+    /**
+     * Updates the run-length posterior with a value.
+     *
+     * @param {number} val - The value.
+     * @returns {Object|null} `{ index, value, runLength, changePoint, start }`: the most probable run length,
+     *                        whether a change was detected at this point, and the estimated start of the current
+     *                        segment. Null if the value was dropped as missing.
+     * @throws {Error} If the value is not a number and the missing-value policy is "reject".
+     */
+    push( val ) {
+        const index = this.index++;
+        const value = parseFloat( val );
+        if ( !Number.isFinite( value ) ) {
+            if ( this.missing === "drop" ) {
+                return null;
             }
-            else {
-                let cluster = [];
-                expandCluster( i, neighbors, cluster ); // Expand the cluster from the point
-                clusters.push( [ ...new Set( cluster ) ] ); // Add the new cluster to the list of clusters
+            throw new Error( `Non-numeric value passed at index ${index}.` );
+        }
+        const prior = {
+            "mu": this.prior.mu === null ? value : this.prior.mu,
+            "kappa": this.prior.kappa,
+            "alpha": this.prior.alpha,
+            "beta": this.prior.beta
+        };
+        if ( this.prior.mu === null ) {
+            this.prior.mu = value; // The first value centers every new segment's prior
+        }
+        if ( !this.params ) {
+            this.params = [ prior ];
+        }
+
+        // The log predictive probability of the value under each run length: a Student-t
+        const logs = this.params.map( ( p, r ) => {
+            const df = 2 * p.alpha;
+            const scale2 = p.beta * ( p.kappa + 1 ) / ( p.alpha * p.kappa );
+            const logPredictive = jstat.gammaln( ( df + 1 ) / 2 ) - jstat.gammaln( df / 2 ) - 0.5 * Math.log( df * Math.PI * scale2 ) -
+                ( df + 1 ) / 2 * Math.log( 1 + ( value - p.mu ) ** 2 / ( df * scale2 ) );
+            return Math.log( this.probabilities[ r ] ) + logPredictive;
+        } );
+
+        // Each run either grows by one, or ends in a change; normalize in log space
+        const grown = logs.map( l => l + Math.log( 1 - this.hazard ) );
+        const changed = logSumExp( logs ) + Math.log( this.hazard );
+        const all = [ changed ].concat( grown );
+
+        // Update the parameters of each run with the value; a new run starts from the prior
+        const params = [ prior ].concat( this.params.map( p => ( {
+            "mu": ( p.kappa * p.mu + value ) / ( p.kappa + 1 ),
+            "kappa": p.kappa + 1,
+            "alpha": p.alpha + 0.5,
+            "beta": p.beta + p.kappa * ( value - p.mu ) ** 2 / ( 2 * ( p.kappa + 1 ) )
+        } ) ) );
+
+        // The longest run kept stands for every run at least that long: the two longest merge, keeping
+        // the parameters of the more probable, so the run of a long segment is never dropped
+        if ( all.length > this.maxRunLength + 1 ) {
+            params.splice( all[ all.length - 2 ] >= all[ all.length - 1 ] ? -1 : -2, 1 );
+            all.splice( -2, 2, logSumExp( all.slice( -2 ) ) );
+        }
+        const total = logSumExp( all );
+        this.probabilities = all.map( l => Math.exp( l - total ) );
+        this.params = params;
+
+        // A drop of the most probable run length dates a change
+        let runLength = 0;
+        this.probabilities.forEach( ( p, r ) => {
+            if ( p > this.probabilities[ runLength ] ) {
+                runLength = r;
             }
+        } );
+        const record = {
+            "index": index,
+            "value": value,
+            "runLength": runLength,
+            "changePoint": runLength < this.runLength,
+            "start": index - runLength + 1 // A run of length r holds the last r values
+        };
+        this.runLength = runLength;
+        if ( record.changePoint ) {
+            this.emit( "changepoint", {
+                "index": index,
+                "start": record.start,
+                "runLength": runLength
+            } );
         }
+        return record;
     }
-
-    // Return the clusters and noise points
-    return {
-        clusters, // Array of clusters
-        noise: Array.from( noise ) // Convert the noise set to an array
-    };
 }
+module.exports.ChangePointStream = ChangePointStream;
 
-// Export the DBSCAN function for use in other modules
-module.exports.dbscan = dbscan;
+/**
+ * Calculates log( Σ exp( x ) ) without overflow.
+ *
+ * @param {number[]} logs - The logarithms.
+ * @returns {number} The logarithm of the sum.
+ */
+function logSumExp( logs ) {
+    const max = Math.max( ...logs );
+    if ( max === -Infinity ) {
+        return -Infinity;
+    }
+    return max + Math.log( logs.reduce( ( sum, l ) => sum + Math.exp( l - max ), 0 ) );
+}
 
 /**
- * Performs the OPTICS (Ordering Points To Identify the Clustering Structure) clustering algorithm on a given dataset.
+ * Finds the points at which the level or variability of a series changes, and describes the segments
+ * between them.
  *
- * @param {Array} dataset - The dataset to be clustered, where each element is a point represented as an array of coordinates.
- * @param {number} [eps=2] - The maximum distance between two points to be considered as neighbors.
- * @param {number} [minPts=2] - The minimum number of points required to form a dense region (cluster).
- * @returns {Object} An object containing the clusters and noise points.
- * @returns {Array} clusters - An array of clusters, where each cluster is an array of point indices.
- * @returns {Array} noise - An array of point indices that are considered noise.
+ * - "pelt": the exact optimum of the penalized cost, in close to linear time (Killick et al., 2012)
+ * - "binseg": binary segmentation, which is approximate but can be capped at `maxChangePoints`
+ * - "bayesian": Bayesian online change-point detection, as in `ChangePointStream`, run over the series.
+ *   It always models changes of both mean and variance ("meanvar"). The prior is centered on the median
+ *   of the data, with a variance guess from its neighbor differences (at least 1% of the series variance).
+ *
+ * PELT and binary segmentation add `penalty` to the cost for every change point. The default, "bic",
+ * is ( p + 1 ) log n for p parameters per segment; "aic" is 2 ( p + 1 ). Raise it for fewer changes.
+ *
+ * @param {Object|Array} data - The data, as accepted by `patterns()`.
+ * @param {Object} [options={}] - Optional configuration object.
+ * @param {string} [options.method="pelt"] - "pelt", "binseg" or "bayesian".
+ * @param {string} [options.cost="mean"] - What changes: "mean", "var" or "meanvar". See `segmentCost()`.
+ * @param {number|string} [options.penalty="bic"] - The penalty for each change point: a number, "bic" or "aic".
+ * @param {number} [options.minSize=2] - The fewest points in a segment.
+ * @param {number} [options.maxChangePoints=Infinity] - The most change points binary segmentation finds.
+ * @param {number} [options.hazard=0.01] - For "bayesian", the prior probability of a change at each point.
+ * @param {Object} [options.prior] - For "bayesian", the normal-gamma prior. See `ChangePointStream`.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "drop", "median" or "interpolate".
+ * @returns {Object} The result:
+ *   - {string} method, cost: The options used.
+ *   - {number|null} penalty: The penalty used (null for "bayesian").
+ *   - {number[]} changePoints: The (original) indices at which new segments start.
+ *   - {Object[]} segments: For each segment, `{ start, end, length, mean, variance, std }`, with `end`
+ *     inclusive and the sample variance (null for a single point).
+ *   - {Object} timestamps: For timestamped input, `changePoints` with timestamps in place of indices.
+ * @throws {Error} If an option is not recognized or out of range.
+ *
+ * @example
+ * changePoints( levels, { "cost": "meanvar" } ).segments;
+ * // [ { "start": 0, "end": 39, "length": 40, "mean": 10.011, ... }, { "start": 40, ... }, { "start": 80, ... } ]
  */
-function optics( dataset, eps = 2, minPts = 2 ) {
-    const clusters = []; // Array to store the clusters
-    const visited = new Set(); // Set to keep track of visited points
-    const noise = new Set(); // Set to keep track of noise points
-    // Function to find all points within eps distance of a given point
-    function regionQuery( point ) {
-        const neighbors = [];
-        for ( let i = 0; i < dataset.length; i++ ) {
-            if ( euclideanDistance( point, dataset[ i ] ) <= eps ) {
-                neighbors.push( i ); // Add the index of the neighboring point
-            }
-        }
-        return neighbors;
+function changePoints( data, options = {} ) {
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const n = values.length;
+    const method = options.method || "pelt";
+    const cost = options.cost || "mean";
+    if ( ![ "pelt", "binseg", "bayesian" ].includes( method ) ) {
+        throw new Error( `Unknown method "${method}". Please use "pelt", "binseg" or "bayesian".` );
     }
-    // Function to expand the cluster from a given point
-    function expandCluster( pointIdx, neighbors, cluster ) {
-        cluster.push( pointIdx ); // Add the initial point to the cluster
-        for ( let i = 0; i < neighbors.length; i++ ) {
-            const neighborIdx = neighbors[ i ];
-            if ( !visited.has( neighborIdx ) ) {
-                visited.add( neighborIdx ); // Mark the neighbor as visited
-                const newNeighbors = regionQuery( dataset[ neighborIdx ] );
-                if ( newNeighbors.length >= minPts ) {
-                    neighbors = neighbors.concat( newNeighbors ); // Add new neighbors to the list
-                }
+    if ( changeCosts[ cost ] === undefined ) {
+        throw new Error( `Unknown cost "${cost}". Please use ${Object.keys( changeCosts ).join( ", " )}.` );
+    }
+    const minSize = options.minSize === undefined ? 2 : parseInt( options.minSize, 10 );
+    if ( !( minSize >= 1 ) || ( cost !== "mean" && minSize < 2 ) ) {
+        throw new Error( "Segments need at least 1 point, or 2 for the var and meanvar costs." );
+    }
+
+    let starts;
+    let penalty = null;
+    if ( method === "bayesian" ) {
+        const noise = n > 2 ? 1.4826 * ss.median( values.slice( 1 ).map( ( val, i ) => Math.abs( val - values[ i ] ) ) ) / Math.SQRT2 : 0;
+        const stream = new ChangePointStream( {
+            "hazard": options.hazard,
+            "prior": {
+                "mu": ss.median( values ),
+                // A noise-free series still needs room to vary, or a new level looks impossible rather than likely
+                "beta": Math.max( noise * noise, 0.01 * ss.variance( values ), 1e-10 ),
+                ...options.prior
             }
-            if ( !clusters.some( cluster => cluster.includes( neighborIdx ) ) ) {
-                cluster.push( neighborIdx ); // Add the neighbor to the cluster
+        } );
+        const runLengths = values.map( val => stream.push( val ).runLength );
+
+        // With the whole series seen, work back from the end: each segment starts where the most probable
+        // run length at its last point says, which ignores changes the stream later thought better of
+        starts = [];
+        let t = n - 1;
+        while ( t >= 0 ) {
+            const start = Math.max( 0, t - runLengths[ t ] + 1 );
+            // The longest run kept only says the segment started at least that long ago, so keep going back
+            const capped = runLengths[ t ] >= stream.maxRunLength;
+            if ( !capped && start > 0 && start >= minSize && ( starts.length ? starts[ 0 ] : n ) - start >= minSize ) {
+                starts.unshift( start );
             }
+            t = Math.min( start, t ) - 1;
         }
     }
-    // Main loop to iterate over all points in the dataset
-    for ( let i = 0; i < dataset.length; i++ ) {
-        if ( !visited.has( i ) ) {
-            visited.add( i ); // Mark the point as visited
-            const neighbors = regionQuery( dataset[ i ] );
-            if ( neighbors.length < minPts ) {
-                noise.add( i ); // Mark the point as noise if it has fewer than minPts neighbors
-            }
-            else {
-                let cluster = [];
-                expandCluster( i, neighbors, cluster ); // Expand the cluster from the point
-                clusters.push( [ ...( new Set( cluster ) ) ] ); // Add the new cluster to the list of clusters
+    else {
+        const params = changeCosts[ cost ];
+        if ( options.penalty === undefined || options.penalty === "bic" ) {
+            penalty = ( params + 1 ) * Math.log( n );
+        }
+        else if ( options.penalty === "aic" ) {
+            penalty = 2 * ( params + 1 );
+        }
+        else {
+            penalty = parseFloat( options.penalty );
+            if ( !( penalty >= 0 ) ) {
+                throw new Error( "The penalty must be a number of at least 0, \"bic\" or \"aic\"." );
             }
         }
+        const maxChangePoints = options.maxChangePoints === undefined ? Infinity : Number( options.maxChangePoints );
+        if ( !( maxChangePoints === Infinity || ( Number.isInteger( maxChangePoints ) && maxChangePoints >= 0 ) ) ) {
+            throw new Error( "The maximum number of change points must be a whole number of at least 0." );
+        }
+        const segmentCosts = segmentCost( values, cost );
+        starts = method === "pelt" ? pelt( n, segmentCosts, penalty, minSize ) : binarySegmentation( n, segmentCosts, penalty, minSize, maxChangePoints );
     }
-    // Return the clusters and noise points
-    return {
-        clusters,
-        "noise": Array.from( noise ) // Convert noise into an array
+
+    // Describe each segment
+    const bounds = [ 0 ].concat( starts, [ n ] );
+    const segments = [];
+    for ( let k = 0; k + 1 < bounds.length; k++ ) {
+        const segment = values.slice( bounds[ k ], bounds[ k + 1 ] );
+        const variance = segment.length > 1 ? ss.sampleVariance( segment ) : null;
+        segments.push( {
+            "start": prepared.index[ bounds[ k ] ],
+            "end": prepared.index[ bounds[ k + 1 ] - 1 ],
+            "length": segment.length,
+            "mean": ss.mean( segment ),
+            "variance": variance,
+            "std": variance === null ? null : Math.sqrt( variance )
+        } );
+    }
+
+    const result = {
+        "method": method,
+        "cost": method === "bayesian" ? "meanvar" : cost,
+        "penalty": penalty,
+        "changePoints": starts.map( s => prepared.index[ s ] ),
+        "segments": segments
     };
+    if ( prepared.timestamps ) {
+        result.timestamps = { "changePoints": result.changePoints.map( i => prepared.timestamps[ i ] ) };
+    }
+    return result;
 }
-module.exports.optics = optics;
+module.exports.changePoints = changePoints;
 
-/**
- * Finds the k nearest neighbors to a given point in a dataset.
- *
- * @param {Array} data - The dataset, an array of points.
- * @param {Array} point - The point to find neighbors for.
- * @param {number} k - The number of nearest neighbors to find.
- * @returns {Array} An array of objects representing the k nearest neighbors, each with an index and distance property.
- */
-function kNearestNeighbors( data, point, k ) {
-    return data
-        .map( ( neighbor, index ) => ( {
-            index, // Index of the neighbor
-            distance: euclideanDistance( point, neighbor ) // Distance from the point to the neighbor
-        } ) )
-        .sort( ( a, b ) => a.distance - b.distance ) // Sort neighbors by distance
-        .slice( 1, k + 1 ); // Exclude the point itself and take the k nearest neighbors
-}
-module.exports.kNearestNeighbors = kNearestNeighbors;
+// END Change Points
+
+// START Seasonal Decomposition
 
 /**
- * Calculates the reachability distance between a point and its neighbor.
+ * Smooths a series with loess: a local regression of the given degree at each position, fitted to the
+ * `span` nearest points with tricube weights. The series sits at positions 0 to m - 1, and positions
+ * outside that range are extrapolated from the nearest points. A span longer than the series widens the
+ * neighborhood beyond the end points, as in Cleveland et al. (1990).
  *
- * The reachability distance is defined as the maximum of the k-distance of the neighbor
- * and the actual distance between the point and the neighbor.
+ * @param {number[]} values - The series.
+ * @param {number[]|null} weights - Robustness weights for the points, or null for none.
+ * @param {number} span - The number of points in each neighborhood.
+ * @param {number} degree - 0 for a local mean or 1 for a local line.
+ * @param {number[]} positions - The positions to fit at.
+ * @returns {number[]} The fitted value at each position.
+ */
+function loess( values, weights, span, degree, positions ) {
+    const m = values.length;
+    const q = Math.min( span, m );
+    return positions.map( x => {
+        const lo = Math.min( Math.max( 0, x - Math.floor( ( q - 1 ) / 2 ) ), m - q );
+        const hi = lo + q - 1;
+        let h = Math.max( x - lo, hi - x );
+        if ( span > m ) {
+            h += Math.floor( ( span - m ) / 2 );
+        }
+        let total = 0;
+        let sumX = 0;
+        const w = [];
+        for ( let i = lo; i <= hi; i++ ) {
+            const u = h > 0 ? Math.abs( i - x ) / h : 0;
+            const tricube = u < 1 ? ( 1 - u ** 3 ) ** 3 : 0;
+            w.push( tricube * ( weights ? weights[ i ] : 1 ) );
+            total += w[ w.length - 1 ];
+            sumX += w[ w.length - 1 ] * i;
+        }
+        // Every neighbor weighted out: keep the nearest value
+        if ( total <= 0 ) {
+            return values[ Math.min( Math.max( 0, x ), m - 1 ) ];
+        }
+        const center = sumX / total;
+        let spread = 0;
+        for ( let i = lo; i <= hi; i++ ) {
+            spread += w[ i - lo ] * ( i - center ) ** 2;
+        }
+        let fit = 0;
+        for ( let i = lo; i <= hi; i++ ) {
+            // A local line reweights the points by their leverage at x
+            const weight = degree === 1 && spread > 0 ? w[ i - lo ] / total * ( 1 + ( x - center ) * ( i - center ) * total / spread ) : w[ i - lo ] / total;
+            fit += weight * values[ i ];
+        }
+        return fit;
+    } );
+}
+
+/**
+ * Smooths a whole series with loess, fitting at every `jump`-th point (and the last) and interpolating
+ * linearly in between. Cleveland et al. (1990) jump by a tenth of the span, which saves most of the
+ * work of long spans at little cost in accuracy.
  *
- * @param {Array} data - The dataset containing all points.
- * @param {Object} point - The point for which the reachability distance is being calculated.
- * @param {Object} neighbor - The neighbor point.
- * @param {number} k - The number of nearest neighbors to consider.
- * @returns {number} - The reachability distance between the point and the neighbor.
+ * @param {number[]} values - The series.
+ * @param {number[]|null} weights - Robustness weights for the points, or null for none.
+ * @param {number} span - The number of points in each neighborhood.
+ * @returns {number[]} The smoothed series, fitted with local lines.
  */
-function reachabilityDistance( data, point, neighbor, k ) {
-    // Find k-nearest neighbors of the neighbor
-    const neighbors = kNearestNeighbors( data, neighbor, k );
-    // Distance to the k-th nearest neighbor
-    const kDistance = neighbors[ neighbors.length - 1 ].distance;
-    // Maximum of k-distance and actual distance
-    return Math.max( kDistance, euclideanDistance( point, neighbor ) );
+function loessSeries( values, weights, span ) {
+    const m = values.length;
+    const jump = Math.max( 1, Math.ceil( span / 10 ) );
+    const at = [];
+    for ( let i = 0; i < m - 1; i += jump ) {
+        at.push( i );
+    }
+    at.push( m - 1 );
+    const fits = loess( values, weights, span, 1, at );
+    const out = new Array( m );
+    for ( let k = 0; k + 1 < at.length; k++ ) {
+        for ( let i = at[ k ]; i < at[ k + 1 ]; i++ ) {
+            out[ i ] = fits[ k ] + ( fits[ k + 1 ] - fits[ k ] ) * ( i - at[ k ] ) / ( at[ k + 1 ] - at[ k ] );
+        }
+    }
+    out[ m - 1 ] = fits[ fits.length - 1 ];
+    return out;
 }
 
 /**
- * Calculates the Local Reachability Density (LRD) of a given point in a dataset.
+ * Takes the moving average of a series over windows of the given length.
  *
- * @param {Array} data - The dataset containing all points.
- * @param {Object} point - The point for which to calculate the LRD.
- * @param {number} k - The number of nearest neighbors to consider.
- * @returns {number} - The Local Reachability Density of the given point.
+ * @param {number[]} values - The series.
+ * @param {number} length - The window length.
+ * @returns {number[]} The average of each full window (length - 1 fewer values).
  */
-function localReachabilityDensity( data, point, k ) {
-    // Find k-nearest neighbors of the point
-    const neighbors = kNearestNeighbors( data, point, k );
-    // Calculate reachability distances
-    const reachabilityDistances = neighbors.map( neighbor =>
-        reachabilityDistance( data, point, data[ neighbor.index ], k )
-    );
-    // Sum of reachability distances
-    const sumReachabilityDistances = reachabilityDistances.reduce( ( sum, distance ) => sum + distance, 0 );
-    // Inverse of the average reachability distance
-    return neighbors.length / sumReachabilityDistances;
+function movingAverage( values, length ) {
+    const out = [];
+    let sum = 0;
+    values.forEach( ( val, i ) => {
+        sum += val;
+        if ( i >= length ) {
+            sum -= values[ i - length ];
+        }
+        if ( i >= length - 1 ) {
+            out.push( sum / length );
+        }
+    } );
+    return out;
 }
 
 /**
- * Calculates the Local Outlier Factor (LOF) score for a given point in a dataset.
- * The LOF score is a measure of the degree to which the point is an outlier.
+ * Rounds a window length up to the next odd number.
  *
- * @param {Array} data - The dataset, an array of points where each point is an array of coordinates.
- * @param {Array} point - The point for which the LOF score is to be calculated, an array of coordinates.
- * @param {number} k - The number of nearest neighbors to consider.
- * @returns {number} - The LOF score for the given point.
+ * @param {number} x - The length.
+ * @returns {number} The odd length.
  */
-function localOutlierFactorScore( data, point, k ) {
-    // Find k-nearest neighbors of the point
-    const neighbors = kNearestNeighbors( data, point, k );
-    // LRD of the point
-    const lrdPoint = localReachabilityDensity( data, point, k );
-    // Calculate LRD ratios
-    const lrdRatios = neighbors.map( neighbor =>
-        localReachabilityDensity( data, data[ neighbor.index ], k ) / lrdPoint
-    );
-    // Sum of LRD ratios
-    const sumLrdRatios = lrdRatios.reduce( ( sum, ratio ) => sum + ratio, 0 );
-    // Average of LRD ratios
-    return sumLrdRatios / neighbors.length;
+function nextOdd( x ) {
+    const n = Math.ceil( x );
+    return n % 2 === 0 ? n + 1 : n;
 }
 
 /**
- * Identifies anomalies in a dataset using the Local Outlier Factor (LOF) algorithm.
+ * Gives the size below which a residual of the decomposition counts as an exact fit: a millionth of the
+ * data's largest magnitude. That is well above floating-point rounding and the error the STL loops leave
+ * when they stop, which would otherwise look like real, if tiny, misfits on data without noise.
  *
- * @param {Array<number|Array<number>>} data - The dataset to analyze. Can be one-dimensional or two-dimensional.
- * @param {number} [k=3] - The number of nearest neighbors to consider.
- * @param {number} [threshold=1.5] - The threshold above which a point is considered an anomaly.
- * @returns {Array<number|Array<number>>} - An array of anomalies detected in the dataset.
+ * @param {number[]} values - The data.
+ * @returns {number} The tolerance.
  */
-function localOutlierFactor( data, k = 3, threshold = 1.5 ) {
-    // k = number of nearest neighbors to consider
-    let arr = true;
-    // Check if data is one-dimensional
-    if ( !Array.isArray( data[ 0 ] ) ) {
-        arr = false;
-        // Convert one-dimensional data to two-dimensional
-        data = data.map( ( val ) => {
-            return [ 0, val ];
-        } );
-    }
-    // Calculate the LOF scores for each point
-    const scores = data.map( point => localOutlierFactorScore( data, point, k ) );
-    // Identify anomalies based on a threshold
-    let anomalies = scores
-        .map( ( score, index ) => ( score > threshold ? data[ index ] : null ) ) // Identify points with LOF score above the threshold
-        .filter( point => point !== null ); // Filter out non-anomalous points
-    // Convert two-dimensional anomalies back to one-dimensional if needed
-    if ( !arr ) {
-        anomalies = anomalies.map( ( val ) => {
-            return val[ 1 ];
-        } );
-    }
-    return anomalies;
+function fitTolerance( values ) {
+    return 1e-6 * values.reduce( ( max, val ) => Math.max( max, Math.abs( val ) ), 0 );
 }
-module.exports.localOutlierFactor = localOutlierFactor;
 
 /**
- * Assigns data points to the nearest centroid to form clusters.
+ * Decomposes a series into trend, seasonal and residual components with STL, the Seasonal-Trend
+ * decomposition using Loess of Cleveland et al. (1990):
  *
- * @param {Array<Array<number>>} data - An array of data points, where each data point is an array of numbers.
- * @param {Array<Array<number>>} centroids - An array of centroids, where each centroid is an array of numbers.
- * @returns {Array<Array<Array<number>>>} An array of clusters, where each cluster is an array of data points.
+ *     data = trend + seasonal + residual
+ *
+ * Each pass of the inner loop detrends the series, smooths each cycle-subseries (every `period`-th
+ * point) with loess, removes any trend that leaked into the result with a low-pass filter, and smooths
+ * the deseasonalized series into the trend. With `robust`, an outer loop weights each point down by
+ * the size of its residual (bisquare weights on six times the median absolute residual) and repeats,
+ * so that anomalies do not bend the trend or the seasonal pattern towards themselves.
+ *
+ * The points must be evenly spaced, so the "drop" missing-value policy is not accepted. Timestamped
+ * input with gaps can be regularized with `resample()` first.
+ *
+ * @param {number[]|Object[]} data - The input series, as numbers or timestamped `{ t, v }` points.
+ * @param {Object} options - The options.
+ * @param {number} options.period - The number of points in one seasonal cycle (e.g. 24 for hourly data with a daily cycle).
+ * @param {number|string} [options.seasonalWindow="periodic"] - The loess span, in cycles, for the
+ *   cycle-subseries: an odd number of at least 7, or "periodic" for a seasonal pattern that does not change.
+ * @param {number} [options.trendWindow] - The loess span, in points, for the trend. Defaults to the
+ *   next odd number after 1.5 * period / (1 - 1.5 / seasonalWindow).
+ * @param {number} [options.lowpassWindow] - The loess span of the low-pass filter. Defaults to the next odd number after the period.
+ * @param {boolean} [options.robust=false] - Weight anomalies down with an outer loop.
+ * @param {number} [options.inner] - The passes of the inner loop: 1 if robust, otherwise 2.
+ * @param {number} [options.outer] - The passes of the outer loop: 15 if robust, otherwise 0.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "median" or "interpolate".
+ * @returns {Object} The result:
+ *   - {number} period, seasonalWindow, trendWindow, lowpassWindow: The settings used ("periodic" for a fixed pattern).
+ *   - {number[]} trend, seasonal, residual: The components, aligned with the input.
+ *   - {number[]} weights: The robustness weights of the points (all 1 unless robust).
+ * @throws {Error} If the period or a window is out of range, or the series is shorter than two cycles.
+ *
+ * @example
+ * const { trend, seasonal, residual } = decompose( hourly, { "period": 24, "robust": true } );
  */
-function assignClusters( data, centroids ) {
-    // Initialize an array to hold the clusters
-    let clusters = new Array( centroids.length ).fill().map( () => [] );
-    // Assign each point to the nearest centroid
-    data.forEach( point => {
-        let minDistance = Infinity;
-        let clusterIndex = -1;
-        // Find the nearest centroid
-        centroids.forEach( ( centroid, index ) => {
-            let distance = euclideanDistance( point, centroid );
-            if ( distance < minDistance ) {
-                minDistance = distance;
-                clusterIndex = index;
+function decompose( data, options = {} ) {
+    if ( options.missing === "drop" ) {
+        throw new Error( "The seasonal decomposition needs evenly spaced points. Please set the \"missing\" option to \"reject\", \"median\" or \"interpolate\"." );
+    }
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const n = values.length;
+    const period = parseInt( options.period, 10 );
+    if ( !( period >= 2 ) ) {
+        throw new Error( "The period must be a whole number of points, at least 2." );
+    }
+    if ( n < 2 * period ) {
+        throw new Error( `The seasonal decomposition needs at least two cycles (${2 * period} points).` );
+    }
+
+    // Spans, with Cleveland et al.'s defaults; a periodic pattern is a very long span of local means
+    const periodic = options.seasonalWindow === undefined || options.seasonalWindow === "periodic";
+    const seasonalWindow = periodic ? 10 * n + 1 : parseInt( options.seasonalWindow, 10 );
+    if ( !( seasonalWindow >= 7 && seasonalWindow % 2 === 1 ) ) {
+        throw new Error( "The seasonal window must be an odd number of at least 7, or \"periodic\"." );
+    }
+    const trendWindow = options.trendWindow === undefined ? nextOdd( 1.5 * period / ( 1 - 1.5 / seasonalWindow ) ) : parseInt( options.trendWindow, 10 );
+    const lowpassWindow = options.lowpassWindow === undefined ? nextOdd( period ) : parseInt( options.lowpassWindow, 10 );
+    if ( !( trendWindow >= 3 ) || !( lowpassWindow >= 3 ) ) {
+        throw new Error( "The trend and low-pass windows must be at least 3 points." );
+    }
+    const robust = !!options.robust;
+    const inner = options.inner === undefined ? ( robust ? 1 : 2 ) : parseInt( options.inner, 10 );
+    const outer = options.outer === undefined ? ( robust ? 15 : 0 ) : parseInt( options.outer, 10 );
+    if ( !( inner >= 1 ) || !( outer >= 0 ) ) {
+        throw new Error( "The inner loop needs at least 1 pass, and the outer loop at least 0." );
+    }
+
+    let trend = new Array( n ).fill( 0 );
+    let seasonal = new Array( n ).fill( 0 );
+    let weights = new Array( n ).fill( 1 );
+    const tolerance = fitTolerance( values );
+    for ( let pass = 0; pass <= outer; pass++ ) {
+        for ( let step = 0; step < inner; step++ ) {
+            // Smooth each cycle-subseries of the detrended series, one cycle past each end
+            const detrended = values.map( ( val, i ) => val - trend[ i ] );
+            const cycles = new Array( n + 2 * period );
+            for ( let k = 0; k < period; k++ ) {
+                const subseries = [];
+                const subweights = [];
+                for ( let i = k; i < n; i += period ) {
+                    subseries.push( detrended[ i ] );
+                    subweights.push( weights[ i ] );
+                }
+                const at = [ -1 ].concat( subseries.map( ( val, i ) => i ), [ subseries.length ] );
+                loess( subseries, subweights, seasonalWindow, periodic ? 0 : 1, at ).forEach( ( val, i ) => {
+                    cycles[ k + i * period ] = val;
+                } );
             }
-        } );
-        // Add the point to the corresponding cluster
-        clusters[ clusterIndex ].push( point );
-    } );
-    // Return the clusters
-    return clusters;
+
+            // Whatever trend the subseries picked up passes the low-pass filter; take it back out
+            const smoothed = movingAverage( movingAverage( movingAverage( cycles, period ), period ), 3 );
+            const lowpass = loessSeries( smoothed, null, lowpassWindow );
+            seasonal = lowpass.map( ( val, i ) => cycles[ period + i ] - val );
+
+            // Smooth the deseasonalized series into the trend
+            trend = loessSeries( values.map( ( val, i ) => val - seasonal[ i ] ), weights, trendWindow );
+        }
+        if ( pass < outer ) {
+            // Residuals within the tolerance are exact fits
+            const residuals = values.map( ( val, i ) => Math.abs( val - trend[ i ] - seasonal[ i ] ) ).map( r => ( r <= tolerance ? 0 : r ) );
+            const h = 6 * ss.median( residuals );
+            weights = residuals.map( r => {
+                // With most points fitted exactly, any point that is not is left out
+                if ( h === 0 ) {
+                    return r === 0 ? 1 : 0;
+                }
+                const u = r / h;
+                return u < 1 ? ( 1 - u * u ) ** 2 : 0;
+            } );
+        }
+    }
+
+    // A periodic pattern is the same in every cycle, so average each position across the cycles, as R's
+    // stl does. When an anomaly shifts a whole cycle-subseries in the first pass, the robustness weights can
+    // leave out all of its points, and the subseries fit then keeps their own values, the anomaly included;
+    // the median of a robust fit does not let that one cycle into the pattern
+    if ( periodic ) {
+        const averages = [];
+        for ( let k = 0; k < period; k++ ) {
+            const cycle = [];
+            for ( let i = k; i < n; i += period ) {
+                cycle.push( seasonal[ i ] );
+            }
+            averages.push( robust ? ss.median( cycle ) : ss.mean( cycle ) );
+        }
+        seasonal = seasonal.map( ( val, i ) => averages[ i % period ] );
+    }
+
+    return {
+        "period": period,
+        "seasonalWindow": periodic ? "periodic" : seasonalWindow,
+        "trendWindow": trendWindow,
+        "lowpassWindow": lowpassWindow,
+        "trend": trend,
+        "seasonal": seasonal,
+        "residual": values.map( ( val, i ) => val - trend[ i ] - seasonal[ i ] ),
+        "weights": weights
+    };
 }
+module.exports.decompose = decompose;
 
 /**
- * Updates the centroids of given clusters by calculating the mean of the points in each cluster.
+ * Detects anomalies in a seasonal series with Seasonal-Hybrid ESD (Hochenbaum, Vallis and Kejariwal, 2017).
  *
- * @param {Array<Array<Array<number>>>} clusters - An array of clusters, where each cluster is an array of points, and each point is an array of numbers.
- * @returns {Array<Array<number>>} - An array of new centroids, where each centroid is an array of numbers representing the mean of the points in the corresponding cluster.
+ * The series is decomposed with a robust STL (see `decompose()`), and the generalized ESD test is run
+ * on the residual with the median and MAD in place of the mean and standard deviation (see
+ * `generalizedEsd()`). A daily peak is then part of the seasonal pattern rather than an anomaly, and a
+ * spike at an otherwise quiet hour stands out against the pattern of that hour.
+ *
+ * @param {number[]|Object[]} data - The input series, as numbers or timestamped `{ t, v }` points.
+ * @param {Object} options - The options. Options of `decompose()` are passed to it, with `robust` on by default.
+ * @param {number} options.period - The number of points in one seasonal cycle.
+ * @param {number} [options.maxOutliers] - The upper bound on the number of anomalies. Defaults to 10% of the data (at least 1).
+ * @param {number} [options.alpha=0.05] - The significance level.
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the residual to test.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed" for the anomalies.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "median" or "interpolate".
+ * @returns {Object} The result:
+ *   - {Array} anomalies: The anomalies in the chosen output mode. Detailed records carry the point's
+ *     `value` and `residual` alongside the ESD `score`, `threshold`, `step`, `outlier` and `direction`.
+ *   - {number[]} trend, seasonal, residual: The components, aligned with the input.
+ *   - {number} period: The period used.
+ * @throws {Error} If an option is out of range.
+ *
+ * @example
+ * seasonalEsd( hourly, { "period": 24, "output": "detailed" } ).anomalies.filter( r => r.outlier );
+ * // [ { "index": 30, ... }, { "index": 100, "value": 68.76, "residual": 8.09, "score": 26.3, ... } ]
  */
-function updateCentroids( clusters ) {
-    // Calculate the new centroids
-    return clusters.map( cluster => {
-        let centroid = new Array( cluster[ 0 ].length ).fill( 0 );
-        // Sum the points in the cluster
-        cluster.forEach( point => {
-            point.forEach( ( value, index ) => {
-                centroid[ index ] += value;
-            } );
-        } );
-        // Calculate the mean of the points in the cluster
-        return centroid.map( value => value / cluster.length );
-    } );
+function seasonalEsd( data, options = {} ) {
+    const decomposition = decompose( data, { "robust": true, ...options } );
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+
+    // Residuals within the tolerance are exact fits, which the test must not mistake for anomalies
+    const tolerance = fitTolerance( prepared.data );
+    const residual = decomposition.residual.map( r => ( Math.abs( r ) <= tolerance ? 0 : r ) );
+
+    const records = generalizedEsd( residual, {
+        "maxOutliers": options.maxOutliers,
+        "alpha": options.alpha,
+        "tail": options.tail,
+        "robust": true,
+        "output": "detailed"
+    } ).map( r => ( {
+        "index": r.index,
+        "value": prepared.data[ r.index ],
+        "residual": r.value,
+        "score": r.score,
+        "threshold": r.threshold,
+        "step": r.step,
+        "outlier": r.outlier,
+        "direction": r.direction
+    } ) );
+
+    return {
+        "period": decomposition.period,
+        "anomalies": formatOutput( records, options.output, prepared ),
+        "trend": decomposition.trend,
+        "seasonal": decomposition.seasonal,
+        "residual": decomposition.residual
+    };
 }
+module.exports.seasonalEsd = seasonalEsd;
+
+// END Seasonal Decomposition
+
+// START Holt-Winters
 
 /**
- * Initializes centroids using naive sharding. This function divides the data into k shards and calculate the centroid of each shard.
+ * Minimizes a function with the Nelder-Mead simplex method.
  *
- * @param {Array<Array<number>>} data - The dataset, where each element is an array representing a data point.
- * @param {number} k - The number of centroids (clusters) to initialize.
- * @returns {Array<Array<number>>} An array of centroids, where each centroid is an array representing the mean position of a shard.
+ * @param {Function} f - The function to minimize, taking an array of parameters.
+ * @param {number[]} start - The starting point.
+ * @param {Object} [options] - The options.
+ * @param {number} [options.step=0.1] - The distance from the start to the other corners of the first simplex.
+ * @param {number} [options.tolerance=1e-10] - Stop when the function values across the simplex differ by less than this.
+ * @param {number} [options.maxIterations=1000] - Stop after this many iterations.
+ * @returns {Object} The best point found, `x`, and its value, `value`.
  */
-function initializeCentroids( data, k ) {
-    let centroids = []; // Array to store the centroids
-    let shardSize = Math.floor( data.length / k ); // Calculate the size of each shard
-    for ( let i = 0; i < k; i++ ) {
-        let start = i * shardSize; // Start index of the current shard
-        let end = ( i + 1 ) * shardSize; // End index of the current shard
-        if ( i === k - 1 ) {
-            end = data.length; // Ensure the last shard includes any remaining points
+function nelderMead( f, start, options = {} ) {
+    const step = options.step === undefined ? 0.1 : options.step;
+    const tolerance = options.tolerance === undefined ? 1e-10 : options.tolerance;
+    const maxIterations = options.maxIterations === undefined ? 1000 : options.maxIterations;
+    const dim = start.length;
+
+    let simplex = [ start ].concat( start.map( ( val, i ) => start.map( ( v, j ) => ( i === j ? v + step : v ) ) ) )
+        .map( x => ( { "x": x, "value": f( x ) } ) );
+    const towards = ( from, to, t ) => from.map( ( val, i ) => val + t * ( to[ i ] - val ) );
+    for ( let iteration = 0; iteration < maxIterations; iteration++ ) {
+        simplex.sort( ( a, b ) => a.value - b.value );
+        const best = simplex[ 0 ];
+        const worst = simplex[ dim ];
+        if ( Math.abs( worst.value - best.value ) < tolerance ) {
+            break;
         }
-        let shard = data.slice( start, end ); // Extract the current shard from the data
-
-        // Calculate the centroid of the current shard
-        let centroid = shard.reduce( ( acc, point ) => {
-            return acc.map( ( value, index ) => value + point[ index ] );
-        }, new Array( data[ 0 ].length ).fill( 0 ) ).map( value => value / shard.length );
 
-        centroids.push( centroid ); // Add the calculated centroid to the centroids array
+        // Reflect the worst corner through the centroid of the others, then expand or contract
+        const centroid = start.map( ( val, i ) => ss.mean( simplex.slice( 0, dim ).map( corner => corner.x[ i ] ) ) );
+        const reflected = towards( centroid, worst.x, -1 );
+        const reflectedValue = f( reflected );
+        if ( reflectedValue < best.value ) {
+            const expanded = towards( centroid, worst.x, -2 );
+            const expandedValue = f( expanded );
+            simplex[ dim ] = expandedValue < reflectedValue ? { "x": expanded, "value": expandedValue } : { "x": reflected, "value": reflectedValue };
+        }
+        else if ( reflectedValue < simplex[ dim - 1 ].value ) {
+            simplex[ dim ] = { "x": reflected, "value": reflectedValue };
+        }
+        else {
+            const contracted = reflectedValue < worst.value ? towards( centroid, reflected, 0.5 ) : towards( centroid, worst.x, 0.5 );
+            const contractedValue = f( contracted );
+            if ( contractedValue < Math.min( reflectedValue, worst.value ) ) {
+                simplex[ dim ] = { "x": contracted, "value": contractedValue };
+            }
+            else {
+                // Nothing better along that line: shrink everything towards the best corner
+                simplex = simplex.map( ( corner, k ) => {
+                    if ( k === 0 ) {
+                        return corner;
+                    }
+                    const x = towards( best.x, corner.x, 0.5 );
+                    return { "x": x, "value": f( x ) };
+                } );
+            }
+        }
     }
-    return centroids; // Return the array of centroids
+    simplex.sort( ( a, b ) => a.value - b.value );
+    return simplex[ 0 ];
 }
 
 /**
- * Performs k-means clustering on the given data.
+ * Runs Holt-Winters smoothing over a series with the given smoothing parameters, starting from the
+ * first cycle: the trend is the change in mean from the first cycle to the second, per point, the level
+ * is the mean of the first cycle carried along that trend to its last point, and the seasonal indices
+ * are the first cycle's deviations from (or ratios to) that trend line.
  *
- * @param {Array} data - The dataset to be clustered, where each element is a point.
- * @param {number} [k=3] - The number of clusters to form.
- * @param {number} [maxIterations=100] - The maximum number of iterations to perform.
- * @returns {Object} An object containing the final centroids and clusters.
- * @returns {Array} centroids - The final centroids after clustering.
- * @returns {Array} clusters - The clusters with assigned points.
+ * @param {number[]} values - The series, at least two cycles long.
+ * @param {number} period - The number of points in one cycle.
+ * @param {boolean} multiplicative - Whether the seasonal indices multiply the level rather than add to it.
+ * @param {number} alpha - The level smoothing parameter.
+ * @param {number} beta - The trend smoothing parameter.
+ * @param {number} gamma - The seasonal smoothing parameter.
+ * @returns {Object} The one-step-ahead `forecasts` (null for the first cycle) and their sum of squared errors, `sse`.
  */
-function kMeans( data, k = 3, maxIterations = 100 ) {
-    // Initialize the centroids
-    let centroids = initializeCentroids( data, k );
-    let clusters = [];
-    // Iterate to update the centroids and clusters
-    for ( let i = 0; i < maxIterations; i++ ) {
-        // Assign points to the nearest centroids
-        clusters = assignClusters( data, centroids );
-        // Update the centroids
-        let newCentroids = updateCentroids( clusters );
-        // Stop if the centroids do not change
-        if ( JSON.stringify( newCentroids ) === JSON.stringify( centroids ) ) {
-            break;
-        }
-        // Update the centroids for the next iteration
-        centroids = newCentroids;
+function holtWintersPass( values, period, multiplicative, alpha, beta, gamma ) {
+    const first = ss.mean( values.slice( 0, period ) );
+    let trend = ( ss.mean( values.slice( period, 2 * period ) ) - first ) / period;
+    const line = i => first + ( i - ( period - 1 ) / 2 ) * trend;
+    let level = line( period - 1 );
+    const seasonal = values.slice( 0, period ).map( ( val, i ) => ( multiplicative ? val / line( i ) : val - line( i ) ) );
+
+    const forecasts = new Array( period ).fill( null );
+    let sse = 0;
+    for ( let t = period; t < values.length; t++ ) {
+        const y = values[ t ];
+        const season = seasonal[ t % period ];
+        const forecast = multiplicative ? ( level + trend ) * season : level + trend + season;
+        forecasts.push( forecast );
+        sse += ( y - forecast ) ** 2;
+
+        const previous = level;
+        level = alpha * ( multiplicative ? y / season : y - season ) + ( 1 - alpha ) * ( level + trend );
+        trend = beta * ( level - previous ) + ( 1 - beta ) * trend;
+        seasonal[ t % period ] = gamma * ( multiplicative ? y / level : y - level ) + ( 1 - gamma ) * season;
     }
-    // Return the final centroids and clusters
-    return {
-        centroids,
-        clusters
-    };
+    return { "forecasts": forecasts, "sse": sse };
 }
-module.exports.kMeans = kMeans;
 
-// Work in progress
-class Outliers {
-    constructor( data ) {
-        const validatedData = validate( data );
-        this.zscore = zscore( validatedData );
-        this.modifiedZscore = modifiedZscore( validatedData );
-        this.iqr = iqr( validatedData );
-        this.grubbsTest = grubbsTest( validatedData );
-        this.localOutlierFactor = localOutlierFactor( validatedData );
-        this.validatedData = validatedData;
+/**
+ * Detects anomalies as points outside the prediction interval of a Holt-Winters forecast.
+ *
+ * Holt-Winters smoothing tracks a level, a trend and a seasonal index for each point of the cycle, and
+ * forecasts each point from the smoothed state before it:
+ *
+ *     additive:        ŷ_t = (L + b) + s_{t-p}
+ *     multiplicative:  ŷ_t = (L + b) * s_{t-p}
+ *
+ * The smoothing parameters α (level), β (trend) and γ (seasonal) that are not given are fitted by
+ * minimizing the sum of squared one-step-ahead errors with the Nelder-Mead method. The prediction
+ * interval around each forecast is ŷ_t ± z σ, where σ is the root mean squared one-step error and z
+ * the normal quantile for the interval's `level`. A point outside its interval is an anomaly.
+ *
+ * The first cycle sets the starting state, so it has no forecasts and is never flagged. The points
+ * must be evenly spaced, so the "drop" missing-value policy is not accepted.
+ *
+ * @param {number[]|Object[]} data - The input series, as numbers or timestamped `{ t, v }` points.
+ * @param {Object} options - The options.
+ * @param {number} options.period - The number of points in one seasonal cycle.
+ * @param {string} [options.seasonal="additive"] - "additive", or "multiplicative" for a seasonal swing that
+ *   grows with the level (positive data only).
+ * @param {number} [options.alpha] - The level smoothing parameter, between 0 and 1. Fitted if not given.
+ * @param {number} [options.beta] - The trend smoothing parameter, between 0 and 1. Fitted if not given.
+ * @param {number} [options.gamma] - The seasonal smoothing parameter, between 0 and 1. Fitted if not given.
+ * @param {number} [options.level=0.95] - The coverage of the prediction intervals.
+ * @param {string} [options.tail="both"] - "both", "upper" or "lower": which side(s) of the interval to flag.
+ * @param {string} [options.output="values"] - "values", "mask" or "detailed" for the anomalies.
+ * @param {string} [options.missing="reject"] - The missing-value policy: "reject", "median" or "interpolate".
+ * @returns {Object} The result:
+ *   - {string} seasonal: The seasonal form.
+ *   - {number} period, alpha, beta, gamma: The parameters used.
+ *   - {number} sse: The sum of squared one-step-ahead errors.
+ *   - {number} sigma: The root mean squared one-step-ahead error.
+ *   - {number} level: The coverage of the prediction intervals.
+ *   - {Array} forecasts, lower, upper, residuals: The one-step-ahead forecasts, the prediction
+ *     intervals and the forecast errors, aligned with the input (null for the first cycle).
+ *   - {Array} anomalies: The anomalies in the chosen output mode. Detailed records carry each point's
+ *     `forecast`, `lower`, `upper` and `residual` alongside `outlier` and `direction`.
+ * @throws {Error} If an option is out of range, the series is shorter than two cycles, or multiplicative
+ *   seasonality is asked of data that is not positive.
+ *
+ * @example
+ * holtWinters( hourly, { "period": 24, "tail": "upper" } ).anomalies;
+ * // [ 66.8, 68.76 ]
+ */
+function holtWinters( data, options = {} ) {
+    if ( options.missing === "drop" ) {
+        throw new Error( "Holt-Winters smoothing needs evenly spaced points. Please set the \"missing\" option to \"reject\", \"median\" or \"interpolate\"." );
     }
-    isAnomaly( val ) {
-        if ( !Number.isFinite( val ) ) {
-            throw new Error( "Non-numeric value passed" );
-        }
-        if ( !this.validatedData.includes( val ) ) {
-            throw new Error( `Value "${val}" is not part of the dataset.` );
-        }
-        return {
-            "zscore": this.zscore.includes( val ),
-            "modifiedZscore": this.modifiedZscore.includes( val ),
-            "iqr": this.iqr.includes( val ),
-            "grubbsTest": this.grubbsTest.includes( val ),
-            "localOutlierFactor": this.localOutlierFactor.includes( val )
+    const prepared = prepare( data && data.data ? data.data : data, options.missing );
+    const values = prepared.data;
+    const n = values.length;
+    const tail = parseTail( options.tail );
+    const seasonal = options.seasonal || "additive";
+    if ( seasonal !== "additive" && seasonal !== "multiplicative" ) {
+        throw new Error( `Unknown seasonal form "${seasonal}". Please use "additive" or "multiplicative".` );
+    }
+    const multiplicative = seasonal === "multiplicative";
+    if ( multiplicative && !values.every( val => val > 0 ) ) {
+        throw new Error( "Multiplicative seasonality needs positive data." );
+    }
+    const period = parseInt( options.period, 10 );
+    if ( !( period >= 2 ) ) {
+        throw new Error( "The period must be a whole number of points, at least 2." );
+    }
+    if ( n < 2 * period + 1 ) {
+        throw new Error( `Holt-Winters smoothing needs more than two cycles (${2 * period + 1} points).` );
+    }
+    const level = options.level === undefined ? 0.95 : parseFloat( options.level );
+    if ( !( level > 0 && level < 1 ) ) {
+        throw new Error( "The prediction interval level must be between 0 and 1." );
+    }
+
+    // Fixed smoothing parameters, and the ones left to fit
+    const fixed = {};
+    [ "alpha", "beta", "gamma" ].forEach( name => {
+        if ( options[ name ] !== undefined ) {
+            fixed[ name ] = parseFloat( options[ name ] );
+            if ( !( fixed[ name ] >= 0 && fixed[ name ] <= 1 ) ) {
+                throw new Error( `The smoothing parameter ${name} must be between 0 and 1.` );
+            }
         }
+    } );
+    const free = [ "alpha", "beta", "gamma" ].filter( name => fixed[ name ] === undefined );
+    const params = x => {
+        const p = { ...fixed };
+        free.forEach( ( name, i ) => {
+            p[ name ] = x[ i ];
+        } );
+        return p;
+    };
+    const sseOf = p => holtWintersPass( values, period, multiplicative, p.alpha, p.beta, p.gamma ).sse;
+
+    // Minimize the SSE inside the unit cube; from a few starts, since it is not always convex
+    let chosen = params( [] );
+    if ( free.length ) {
+        const objective = x => ( x.every( val => val >= 0 && val <= 1 ) ? sseOf( params( x ) ) : Infinity );
+        let best = null;
+        [ 0.2, 0.5, 0.8 ].forEach( guess => {
+            const fit = nelderMead( objective, free.map( name => ( name === "alpha" ? guess : guess / 2 ) ), { "step": 0.1 } );
+            if ( !best || fit.value < best.value ) {
+                best = fit;
+            }
+        } );
+        chosen = params( best.x );
     }
+
+    const pass = holtWintersPass( values, period, multiplicative, chosen.alpha, chosen.beta, chosen.gamma );
+    const sigma = Math.sqrt( pass.sse / ( n - period ) );
+    const z = jstat.normal.inv( 1 - ( 1 - level ) / 2, 0, 1 );
+    const lower = pass.forecasts.map( f => ( f === null ? null : f - z * sigma ) );
+    const upper = pass.forecasts.map( f => ( f === null ? null : f + z * sigma ) );
+    const residuals = pass.forecasts.map( ( f, i ) => ( f === null ? null : values[ i ] - f ) );
+
+    const records = values.map( ( value, index ) => {
+        const side = pass.forecasts[ index ] === null ? null : direction( value, lower[ index ], upper[ index ], tail );
+        return {
+            "index": index,
+            "value": value,
+            "forecast": pass.forecasts[ index ],
+            "lower": lower[ index ],
+            "upper": upper[ index ],
+            "residual": residuals[ index ],
+            "outlier": side !== null,
+            "direction": side
+        };
+    } );
+
+    return {
+        "seasonal": seasonal,
+        "period": period,
+        "alpha": chosen.alpha,
+        "beta": chosen.beta,
+        "gamma": chosen.gamma,
+        "sse": pass.sse,
+        "sigma": sigma,
+        "level": level,
+        "forecasts": pass.forecasts,
+        "lower": lower,
+        "upper": upper,
+        "residuals": residuals,
+        "anomalies": formatOutput( records, options.output, prepared )
+    };
 }
-module.exports.Outliers = Outliers;
+module.exports.holtWinters = holtWinters;
+
+// END Holt-Winters
 
 /**
  * Generates an array of normally distributed random numbers using the Box-Muller transform.
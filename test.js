@@ -1,4 +1,6 @@
 const divinator = require( "./index.js" );
+const ss = require( "simple-statistics" );
+const jstat = require( "jstat" );
 
 const cpu = [
     42,
@@ -39,12 +41,901 @@ const cpu = [
     59
 ];
 
-let x = divinator[ "iqr" ]( cpu );
-let y = divinator[ "zscore" ]( cpu );
-let z = divinator[ "modifiedZscore" ]( cpu );
+let x = divinator[ "iqr" ]( cpu, { "output": "mask" } );
+let y = divinator[ "zscore" ]( cpu, { "output": "mask" } );
+let z = divinator[ "modifiedZscore" ]( cpu, { "output": "mask" } );
 let q = divinator[ "all" ]( cpu );
 
-console.log( "Index\tValue\tIQR\tZ\tmodZ\tAll" );
-for ( let i = 0; i < cpu.length; i++ ) {
-    console.log( `${i}.\t${cpu[ i ]}\t${x[ i ]}\t${y[ i ]}\t${z[ i ]}\t${q[ i ]}` );
+// When run directly (`node test.js`), print the side-by-side comparison table
+if ( typeof test !== "function" ) {
+    console.log( "Index\tValue\tIQR\tZ\tmodZ\tAll" );
+    for ( let i = 0; i < cpu.length; i++ ) {
+        console.log( `${i}.\t${cpu[ i ]}\t${x[ i ]}\t${y[ i ]}\t${z[ i ]}\t${q[ i ]}` );
+    }
+}
+else {
+    test( "masks are aligned with the input", () => {
+        for ( const mask of [ x, y, z, q ] ) {
+            expect( mask ).toHaveLength( cpu.length );
+        }
+        expect( cpu.filter( ( v, i ) => x[ i ] ).sort( ( a, b ) => a - b ) ).toEqual( divinator.iqr( cpu ) );
+    } );
+
+    test( "all() only flags points every detector agrees on", () => {
+        for ( let i = 0; i < cpu.length; i++ ) {
+            expect( q[ i ] ).toBe( x[ i ] && y[ i ] && z[ i ] );
+        }
+        expect( divinator.all( cpu, { "output": "values" } ) ).toEqual( [ 95 ] );
+    } );
+
+    test( "all() supports the other voting strategies", () => {
+        const detectors = [ "iqr", "zscore", "modifiedZscore", "grubbsTest", "localOutlierFactor" ];
+        const detailed = divinator.all( cpu, { detectors, "strategy": "majority", "output": "detailed" } );
+        expect( Object.keys( detailed[ 25 ].votes ) ).toEqual( detectors );
+        expect( detailed[ 25 ].outlier ).toBe( true );
+        expect( divinator.all( cpu, { "strategy": "kOfN", "k": 1, "output": "values" } ) ).toEqual( [ 11, 95 ] );
+        expect( () => divinator.all( cpu, { "strategy": "kOfN", "k": 4 } ) ).toThrow();
+        expect( () => divinator.all( cpu, { "detectors": [ "nope" ] } ) ).toThrow();
+
+        // 11 is flagged by iqr and modifiedZscore: 4 of the 5 units of weight, or none of the 2 without iqr
+        expect( divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": 3 }, "output": "values" } ) ).toEqual( [ 11, 95 ] );
+        expect( divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": 0 }, "quorum": 1, "output": "values" } ) ).toEqual( [ 95 ] );
+        expect( () => divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": -1 } } ) ).toThrow( /weight of "iqr"/ );
+        expect( () => divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": Infinity } } ) ).toThrow( /weight of "iqr"/ );
+        expect( () => divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": "heavy" } } ) ).toThrow( /weight of "iqr"/ );
+        expect( () => divinator.all( cpu, { "strategy": "weighted", "weights": { "grubbsTest": 2 } } ) ).toThrow( /not one of the detectors/ );
+        expect( () => divinator.all( cpu, { "strategy": "weighted", "weights": { "iqr": 0, "zscore": 0, "modifiedZscore": 0 } } ) ).toThrow();
+    } );
+
+    test( "Outliers looks points up by index and scores new values", () => {
+        const fitted = new divinator.Outliers( cpu );
+        expect( fitted.isAnomaly( 25 ).zscore ).toBe( true );
+        expect( fitted.isAnomaly( 0 ).zscore ).toBe( false );
+        expect( () => fitted.isAnomaly( cpu.length ) ).toThrow();
+        expect( fitted.score( 200 ).iqr.outlier ).toBe( true );
+        expect( fitted.score( "abc" ).iqr ).toMatchObject( { "score": null, "outlier": null } );
+
+        divinator.registerDetector( "above90", {
+            "detect": data => data.map( ( value, index ) => ( { index, value, "score": value, "outlier": value > 90 } ) )
+        } );
+        try {
+            expect( new divinator.Outliers( cpu, { "detectors": [ "above90" ] } ).isAnomaly( 25 ) ).toEqual( { "above90": true } );
+            expect( divinator.all( cpu, { "detectors": [ "above90", "zscore" ], "output": "values" } ) ).toEqual( [ 95 ] );
+        }
+        finally {
+            expect( divinator.unregisterDetector( "above90" ) ).toBe( true );
+        }
+        expect( divinator.Outliers.detectors() ).not.toContain( "above90" );
+        expect( divinator.unregisterDetector( "above90" ) ).toBe( false );
+    } );
+
+    test( "missing values are rejected by default and reported against original indices", () => {
+        const gappy = cpu.slice();
+        gappy.splice( 3, 0, "" );
+        gappy.splice( 10, 0, null );
+        expect( () => divinator.zscore( gappy ) ).toThrow( /index 3/ );
+
+        const dropped = divinator.zscore( gappy, { "missing": "drop", "output": "detailed" } );
+        expect( dropped ).toHaveLength( cpu.length );
+        expect( dropped.filter( r => r.outlier ).map( r => r.index ) ).toEqual( [ gappy.indexOf( 95 ) ] );
+
+        const mask = divinator.all( gappy, { "missing": "drop" } );
+        expect( mask ).toHaveLength( gappy.length );
+        expect( mask[ gappy.indexOf( 95 ) ] ).toBe( true );
+
+        expect( divinator.iqr( gappy, { "missing": "interpolate", "output": "detailed" } )[ 3 ].value ).toBe( 47 );
+        expect( divinator.iqr( gappy, { "missing": "median", "output": "detailed" } )[ 10 ].value ).toBe( ss.median( cpu ) );
+    } );
+
+    test( "quantile() matches the Hyndman-Fan definitions", () => {
+        const x = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11 ];
+        expect( [ 0.1, 0.25, 0.75 ].map( p => divinator.quantile( x, p, 7 ) ) ).toEqual( [ 2, 3.5, 8.5 ] );
+        expect( [ 0.25, 0.75 ].map( p => divinator.quantile( x, p, 6 ) ) ).toEqual( [ 3, 9 ] );
+        expect( divinator.quantile( x, 0.25, 4 ) ).toBeCloseTo( 2.75 );
+        expect( () => divinator.quantile( x, 0.25, 10 ) ).toThrow();
+        expect( () => divinator.quantile( x, 0.25, 2.5 ) ).toThrow();
+        expect( () => divinator.quantile( x, 1.5 ) ).toThrow();
+        expect( () => divinator.quantile( x ) ).toThrow();
+
+        // Unsorted input is sorted first, and left as it was
+        const unsorted = [ 5, 1, 3 ];
+        expect( divinator.quantile( unsorted, 0.5 ) ).toBe( 3 );
+        expect( unsorted ).toEqual( [ 5, 1, 3 ] );
+        expect( divinator.medcouple( [ 1, 2, 2, 2, 3 ] ) ).toBe( 0 );
+    } );
+
+    test( "iqr() accepts a quantile type and the adjusted boxplot", () => {
+        const fences = divinator.iqr( cpu, { "quantileType": 7, "output": "detailed" } )[ 0 ];
+        const sorted = cpu.slice().sort( ( a, b ) => a - b );
+        expect( fences.lower ).toBeCloseTo( divinator.quantile( sorted, 0.25 ) - 1.5 * ( divinator.quantile( sorted, 0.75 ) - divinator.quantile( sorted, 0.25 ) ) );
+
+        // Right-skewed data moves the upper fence out and the lower fence in
+        const standard = divinator.iqr( cpu, { "output": "detailed" } )[ 0 ];
+        const adjusted = divinator.iqr( cpu, { "method": "adjusted", "output": "detailed" } )[ 0 ];
+        expect( divinator.medcouple( cpu ) ).toBeGreaterThan( 0 );
+        expect( adjusted.upper ).toBeGreaterThan( standard.upper );
+        expect( adjusted.lower ).toBeGreaterThan( standard.lower );
+    } );
+
+    test( "medcouple() selects the median kernel without forming every pair", () => {
+        // The definition: the median of the kernel over every pair of values either side of the median
+        const bruteForce = data => {
+            const median = ss.median( data );
+            const upper = data.filter( x => x >= median ).sort( ( a, b ) => b - a ).map( x => x - median );
+            const lower = data.filter( x => x <= median ).sort( ( a, b ) => b - a ).map( x => x - median );
+            const kernel = [];
+            upper.forEach( ( a, i ) => lower.forEach( ( b, j ) => kernel.push( a === 0 && b === 0 ? Math.sign( upper.length - 1 - i - j ) : ( a + b ) / ( a - b ) ) ) );
+            return ss.median( kernel );
+        };
+        const random = ( seed => () => ( seed = ( seed * 16807 ) % 2147483647 ) / 2147483647 )( 3 );
+        const skewed = Array.from( { "length": 301 }, () => Math.exp( 3 * random() ) );
+        const tied = Array.from( { "length": 240 }, () => Math.floor( 5 * random() ) );
+        for ( const data of [ cpu, skewed, tied, skewed.map( x => -x ), [ 1, 1, 1, 2 ], [ 4 ] ] ) {
+            expect( divinator.medcouple( data ) ).toBeCloseTo( bruteForce( data ), 12 );
+        }
+
+        // 50,000 points would need 625 million pairs, about 5 GB
+        const large = Array.from( { "length": 50000 }, () => Math.exp( 3 * random() ) );
+        expect( divinator.medcouple( large ) ).toBeGreaterThan( 0.3 );
+    } );
+
+    test( "one-sided detection reports the direction of each flagged point", () => {
+        for ( const fn of [ "iqr", "zscore", "modifiedZscore", "grubbsTest" ] ) {
+            const options = { "output": "detailed" };
+            if ( fn === "zscore" ) {
+                options.threshold = 2;
+            }
+            const upper = divinator[ fn ]( cpu, { ...options, "tail": "upper" } ).filter( r => r.outlier );
+            // Leave the spike out, so it does not mask the dips from the one-sided Grubbs test
+            const lower = divinator[ fn ]( cpu.filter( v => v !== 95 ), { ...options, "tail": "lower" } ).filter( r => r.outlier );
+            expect( upper.map( r => r.value ) ).toContain( 95 );
+            expect( upper.every( r => r.direction === "upper" ) ).toBe( true );
+            expect( lower.map( r => r.value ) ).toContain( 11 );
+            expect( lower.every( r => r.direction === "lower" ) ).toBe( true );
+        }
+        expect( divinator.all( cpu, { "tail": "lower", "output": "values" } ) ).toEqual( [] );
+        expect( () => divinator.zscore( cpu, { "tail": "up" } ) ).toThrow();
+    } );
+
+    test( "grubbsTest() uses the exact t quantile and takes an alpha", () => {
+        expect( divinator.grubbsTest( cpu ) ).toEqual( [ 95, 11 ] );
+        expect( divinator.grubbsTest( cpu, 0.01 ) ).toEqual( [] );
+        expect( divinator.grubbsTest( [ 1, 2, 3, 4, 100 ] ) ).toEqual( [ 100 ] );
+        expect( () => divinator.grubbsTest( cpu, { "alpha": 2 } ) ).toThrow();
+    } );
+
+    test( "generalizedEsd() finds several outliers and dixonQ() handles tiny samples", () => {
+        const masked = cpu.concat( [ 96, 97 ] );
+        expect( divinator.grubbsTest( masked ) ).toEqual( [] );
+        expect( divinator.generalizedEsd( masked, 5 ) ).toEqual( [ 97, 96, 95, 11 ] );
+        expect( divinator.generalizedEsd( masked, { "maxOutliers": 5, "tail": "upper" } ) ).toEqual( [ 97, 96, 95 ] );
+        expect( () => divinator.generalizedEsd( [ 1, 2, 3 ], 1 ) ).toThrow();
+
+        expect( divinator.dixonQ( [ 0.189, 0.167, 0.187, 0.183, 0.186, 0.182, 0.181, 0.184, 0.181, 0.177 ] ) ).toEqual( [] );
+        expect( divinator.dixonQ( [ 10, 11, 12, 30 ] ) ).toEqual( [ 30 ] );
+        expect( () => divinator.dixonQ( cpu ) ).toThrow();
+    } );
+
+    test( "grubbsTest() and generalizedEsd() reproduce the NIST Rosner example with the sample standard deviation", () => {
+        // NIST/SEMATECH e-Handbook of Statistical Methods, 1.3.5.17.3: Generalized ESD Test for Outliers
+        const rosner = [ -0.25, 0.68, 0.94, 1.15, 1.20, 1.26, 1.26, 1.34, 1.38, 1.43, 1.49, 1.49, 1.55, 1.56, 1.58, 1.65,
+            1.69, 1.70, 1.76, 1.77, 1.81, 1.91, 1.94, 1.96, 1.99, 2.06, 2.09, 2.10, 2.14, 2.15, 2.23, 2.24, 2.26, 2.35,
+            2.37, 2.40, 2.47, 2.54, 2.62, 2.64, 2.90, 2.92, 2.92, 2.93, 3.21, 3.26, 3.30, 3.59, 3.68, 4.30, 4.64, 5.34,
+            5.42, 6.01 ];
+        const published = [
+            [ 6.01, 3.118, 3.158 ], [ 5.42, 2.942, 3.151 ], [ 5.34, 3.179, 3.143 ], [ 4.64, 2.810, 3.136 ],
+            [ -0.25, 2.815, 3.128 ], [ 4.30, 2.848, 3.120 ], [ 3.68, 2.279, 3.111 ], [ 3.59, 2.310, 3.103 ],
+            [ 0.68, 2.101, 3.094 ], [ 3.30, 2.067, 3.085 ]
+        ];
+        const steps = divinator.generalizedEsd( rosner, { "maxOutliers": 10, "output": "detailed" } )
+            .filter( r => r.step !== null )
+            .sort( ( a, b ) => a.step - b.step );
+        expect( steps.length ).toBe( 10 );
+        steps.forEach( ( r, i ) => {
+            expect( r.value ).toBe( published[ i ][ 0 ] );
+            expect( Math.abs( r.score - published[ i ][ 1 ] ) ).toBeLessThan( 0.002 );
+            expect( Math.abs( r.threshold - published[ i ][ 2 ] ) ).toBeLessThan( 0.002 );
+        } );
+        expect( divinator.generalizedEsd( rosner, 10 ) ).toEqual( [ 6.01, 5.42, 5.34 ] );
+
+        // Grubbs's test is masked by the other two outliers: G = 3.118 does not exceed the critical value 3.158
+        expect( divinator.grubbsTest( rosner ) ).toEqual( [] );
+        // With the population standard deviation, G for [1, 2, 3] would be 1.22 and exceed the critical value 1.15
+        expect( divinator.grubbsTest( [ 1, 2, 3 ] ) ).toEqual( [] );
+        const last = divinator.grubbsTest( [ 10, 11, 12, 11, 10, 12, 11, 10, 11, 14.6 ], { "output": "detailed" } )[ 9 ];
+        expect( last.score ).toBeCloseTo( 2.410, 3 );
+    } );
+
+    test( "createStream() scores values one at a time and emits anomalies", () => {
+        const stream = divinator.createStream( { "method": "modifiedZscore" } );
+        const anomalies = [];
+        stream.on( "anomaly", a => anomalies.push( a.index ) );
+        cpu.forEach( v => stream.push( v ) );
+        expect( anomalies ).toEqual( [ 25 ] );
+        expect( stream.stats().mean ).toBeCloseTo( ss.mean( cpu ) );
+        expect( stream.stats().variance ).toBeCloseTo( ss.sampleVariance( cpu ) );
+
+        // The state does not grow with the length of the stream
+        const long = divinator.createStream( { "missing": "drop" } );
+        for ( let i = 0; i < 5000; i++ ) {
+            long.push( i % 10 );
+        }
+        expect( long.push( "" ) ).toBeNull();
+        expect( long.medianEstimate.heights ).toHaveLength( 5 );
+        expect( long.stats().median ).toBeCloseTo( 4.5, 0 );
+        expect( long.push( 100 ).direction ).toBe( "upper" );
+        expect( () => divinator.createStream().push( "abc" ) ).toThrow();
+    } );
+
+    test( "rolling detectors flag local spikes on a drifting series", () => {
+        const drift = [];
+        for ( let i = 0; i < 60; i++ ) {
+            drift.push( 10 + i * 0.5 + ( i % 3 ) );
+        }
+        drift[ 15 ] -= 7;
+        drift[ 40 ] += 8;
+
+        expect( divinator.zscore( drift ) ).toEqual( [] );
+        expect( divinator.movingZscore( drift, { "output": "detailed" } ).filter( r => r.outlier ).map( r => r.index ) ).toEqual( [ 40 ] );
+        expect( divinator.movingZscore( drift, { "output": "detailed" } )[ 1 ].score ).toBeNull();
+
+        const options = { "window": 10, "align": "centered" };
+        expect( divinator.hampel( drift, { ...options, "output": "mask" } ).map( ( v, i ) => ( v ? i : -1 ) ).filter( i => i >= 0 ) ).toEqual( [ 15, 40 ] );
+        const cleaned = divinator.hampel( drift, { ...options, "output": "cleaned" } );
+        expect( cleaned ).toHaveLength( drift.length );
+        expect( cleaned[ 40 ] ).toBe( divinator.hampel( drift, { ...options, "output": "detailed" } )[ 40 ].median );
+        expect( cleaned[ 39 ] ).toBe( drift[ 39 ] );
+        expect( () => divinator.hampel( drift, { "align": "leading" } ) ).toThrow();
+    } );
+
+    test( "timestamped input is accepted and results carry timestamps", () => {
+        const start = Date.UTC( 2025, 0, 1 );
+        const series = cpu.map( ( v, i ) => ( { "t": new Date( start + i * 60000 + ( i % 4 ) * 7000 ).toISOString(), v } ) );
+        series[ 3 ].v = null;
+
+        expect( divinator.zscore( series, { "missing": "drop" } ) ).toEqual( [ series[ 25 ] ] );
+        expect( divinator.iqr( series, { "missing": "drop" } ).map( p => p.v ) ).toEqual( [ 11, 95 ] );
+        expect( divinator.grubbsTest( series, { "missing": "drop", "output": "detailed" } ).find( r => r.index === 25 ).t ).toBe( series[ 25 ].t );
+        expect( divinator.all( series, { "missing": "drop" } ) ).toHaveLength( series.length );
+        expect( divinator.xbar( series, { "missing": "interpolate" } )[ 1 ] ).toEqual( { "t": series[ 5 ].t, "v": ss.mean( cpu.slice( 5, 10 ) ) } );
+
+        const shifted = [ 9, 9, 8, 9, 9, 8, 9, 1, 2, 1, 2, 1, 2, 1 ].map( ( v, i ) => ( { "t": start + i * 1000, v } ) );
+        const p = divinator.patterns( shifted );
+        expect( p.delta.length ).toBeGreaterThan( 0 );
+        expect( p.timestamps.delta ).toEqual( p.delta.map( pts => pts.map( i => shifted[ i ].t ) ) );
+
+        expect( () => divinator.zscore( [ { "t": "not a date", "v": 1 } ] ) ).toThrow( /timestamp/ );
+    } );
+
+    test( "resample() aggregates irregular data to a fixed interval", () => {
+        const points = [
+            { "t": 0, "v": 1 },
+            { "t": 400, "v": 3 },
+            { "t": 900, "v": 5 },
+            { "t": 3100, "v": 7 },
+            { "t": 3500, "v": null }
+        ];
+        expect( divinator.resample( points, { "interval": 1000 } ) ).toEqual( [
+            { "t": 0, "v": 3 },
+            { "t": 1000, "v": null },
+            { "t": 2000, "v": null },
+            { "t": 3000, "v": 7 }
+        ] );
+        expect( divinator.resample( points, { "interval": 1000, "aggregate": "count" } ).map( p => p.v ) ).toEqual( [ 3, 0, 0, 1 ] );
+        expect( divinator.zscore( divinator.resample( points, { "interval": 1000 } ), { "missing": "interpolate", "output": "detailed" } )[ 2 ].value ).toBeCloseTo( 17 / 3 );
+        expect( () => divinator.resample( points, { "interval": 1000, "aggregate": "mode" } ) ).toThrow();
+        expect( () => divinator.resample( [ 1, 2, 3 ], { "interval": 1000 } ) ).toThrow();
+    } );
+
+    test( "patterns() checks every point and accepts rule sets", () => {
+        const data = [
+            42, 41, 45, 49, 44, 39, 47, 42, 69, 60, 59, 40, 39, 40, 18, 41, 48, 50, 48, 49, 44, 49, 66, 62,
+            66, 43, 47, 43, 42, 45, 59, 61, 68, 45, 41, 42, 42, 37, 56, 61, 56, 44, 39, 63, 64, 62, 87, 38,
+            42, 36, 34, 75, 72, 60, 37, 44, 43, 44, 48, 45
+        ];
+        const p = divinator.patterns( data );
+        expect( p.alpha ).toEqual( [ 46 ] );
+        expect( p.charlie ).toHaveLength( 5 );
+        expect( Object.keys( p.rules ) ).toEqual( [ "alpha", "bravo", "charlie", "delta", "echo", "foxtrot", "golf", "hotel" ] );
+
+        const nelson = divinator.patterns( data, { "ruleSet": "nelson" } );
+        expect( nelson.rules.delta.length ).toBe( 9 );
+        expect( nelson.rules.echo.length ).toBe( 6 );
+        expect( nelson.delta ).toEqual( [] );
+
+        const westgard = divinator.patterns( data, { "ruleSet": "westgard", "rules": { "delta": false, "echo": { "length": 4 } } } );
+        expect( Object.keys( westgard.rules ) ).toEqual( [ "alpha", "bravo", "charlie", "echo", "india" ] );
+        expect( westgard.delta ).toBeUndefined();
+        expect( westgard.charlie ).toEqual( [ [ 43, 44, 45, 46 ] ] );
+        expect( westgard.echo.every( pts => pts.length === 4 ) ).toBe( true );
+
+        expect( divinator.patterns( [ 0, 0, 0, 0, 0, 0, 0, 0, 10, -10 ], { "rules": { "india": true } } ).india ).toEqual( [ [ 8, 9 ] ] );
+        expect( () => divinator.patterns( data, { "ruleSet": "iso" } ) ).toThrow();
+        expect( () => divinator.patterns( data, { "rules": { "bravo": { "count": 4 } } } ) ).toThrow();
+        expect( () => divinator.patterns( data, { "rules": { "zulu": true } } ) ).toThrow();
+
+        // Misspelled rules and parameters, and settings that are neither a flag nor parameters, are not ignored
+        expect( () => divinator.patterns( data, { "rules": { "alpah": false } } ) ).toThrow( /Unknown rule "alpah"/ );
+        expect( () => divinator.patterns( data, { "rules": { "delta": { "lenght": 9 } } } ) ).toThrow( /no parameter "lenght"/ );
+        expect( () => divinator.patterns( data, { "rules": { "alpha": { "count": 2 } } } ) ).toThrow( /no parameter "count"/ );
+        expect( () => divinator.patterns( data, { "rules": { "delta": "off" } } ) ).toThrow( /true, false or an object/ );
+        expect( () => divinator.patterns( data, { "rules": { "delta": null } } ) ).toThrow( /true, false or an object/ );
+        expect( () => divinator.patterns( data, { "rules": [ "alpha" ] } ) ).toThrow( /per-rule settings/ );
+        expect( () => divinator.fitLimits( data, { "rules": { "alpah": false } } ) ).toThrow( /Unknown rule/ );
+    } );
+
+    test( "registerRule() adds declarative rules next to the built-in ones", () => {
+        const data = [ 0, 1, -1, 1, -1, 1, -1, 1, -1, 0, 2, 0, 2, 2, 0, 1, 1, 0, 1, -1 ];
+        divinator.registerRule( "kilo", { "type": "kOfN", "count": 3, "window": 4, "beyond": 1.5, "sameSide": true } );
+        divinator.registerRule( "lima", { "type": "monotonic", "length": 3, "trend": "up" } );
+        divinator.registerRule( "mike", { "type": "alternating", "length": 6, "description": "Saw tooth" } );
+        try {
+            expect( divinator.rules.kilo ).toBe( "3 out of 4 consecutive points beyond 1.5 sigma, on the same side" );
+
+            const p = divinator.patterns( data, { "rules": { "kilo": true, "lima": { "length": 4 }, "mike": { "length": 9 } } } );
+            expect( p.kilo ).toEqual( [ [ 10, 11, 12, 13 ] ] );
+            expect( p.lima ).toEqual( [] );
+            expect( p.mike ).toEqual( [ [ 0, 1, 2, 3, 4, 5, 6, 7, 8 ], [ 1, 2, 3, 4, 5, 6, 7, 8, 9 ] ] );
+            expect( p.rules.mike ).toEqual( { "description": "Saw tooth", "length": 9 } );
+            expect( divinator.patterns( data ).kilo ).toBeUndefined();
+            expect( () => divinator.patterns( data, { "rules": { "kilo": { "length": 4 } } } ) ).toThrow( /no parameter "length"/ );
+
+            expect( () => divinator.registerRule( "alpha", { "type": "sameSide", "length": 3 } ) ).toThrow();
+            expect( () => divinator.registerRule( "november", { "type": "kOfN", "count": 2, "window": 3 } ) ).toThrow();
+            expect( () => divinator.registerRule( "oscar", { "type": "zigzag", "length": 3 } ) ).toThrow();
+        }
+        finally {
+            [ "kilo", "lima", "mike" ].forEach( name => divinator.unregisterRule( name ) );
+        }
+
+        // Removed rules are gone from the descriptions and can no longer be enabled
+        expect( divinator.rules.kilo ).toBeUndefined();
+        expect( () => divinator.patterns( data, { "rules": { "kilo": true } } ) ).toThrow();
+        expect( divinator.unregisterRule( "kilo" ) ).toBe( false );
+        expect( () => divinator.unregisterRule( "alpha" ) ).toThrow();
+
+        // A rule cannot take the name of another key of the result, which its violations would overwrite
+        const result = divinator.patterns( data );
+        const keys = Object.keys( result ).filter( key => !result.rules[ key ] ).concat( [ "limits", "timestamps", "combined" ] );
+        expect( keys ).toEqual( expect.arrayContaining( [ "mean", "standardDeviation", "poisson", "rules" ] ) );
+        for ( const name of keys ) {
+            expect( () => divinator.registerRule( name, { "type": "sameSide", "length": 3 } ) ).toThrow( /patterns\(\) result/ );
+        }
+
+        // Names inherited by every object are free to use, and are not mistaken for registered rules
+        expect( () => divinator.resolveRules( "divinator", { "toString": true } ) ).toThrow( /Unknown rule/ );
+        expect( () => divinator.resolveRules( "toString" ) ).toThrow( /Unknown rule set/ );
+        divinator.registerRule( "toString", { "type": "sameSide", "length": 9, "side": "upper" } );
+        try {
+            expect( Object.keys( divinator.resolveRules() ) ).not.toContain( "toString" );
+            expect( divinator.patterns( data, { "rules": { "toString": true } } ).toString ).toEqual( [] );
+        }
+        finally {
+            divinator.unregisterRule( "toString" );
+        }
+        expect( divinator.rules.toString ).toBe( Object.prototype.toString );
+    } );
+
+    test( "fitLimits() fits Phase I limits that judge new data in Phase II", () => {
+        const limits = divinator.fitLimits( cpu );
+        expect( limits.removed ).toEqual( [ 7, 25 ] );
+        expect( limits.iterations ).toBe( 2 );
+        expect( limits.center ).toBeCloseTo( ss.mean( cpu.filter( ( v, i ) => i !== 7 && i !== 25 ) ) );
+        expect( divinator.fitLimits( cpu, { "iterate": false } ).removed ).toEqual( [] );
+
+        // A shifted batch hides its own shift, but not from the frozen baseline limits
+        const shifted = cpu.map( v => v + 20 );
+        const frozen = JSON.parse( JSON.stringify( limits ) );
+        const phase2 = divinator.patterns( shifted, { "limits": frozen } );
+        expect( divinator.patterns( shifted ).alpha ).toEqual( [ 25 ] );
+        expect( phase2.alpha ).toEqual( [ 8, 22, 23, 24, 25, 32 ] );
+        expect( phase2[ "3sigma" ] ).toEqual( [ limits.lcl, limits.ucl ] );
+        expect( new divinator.Zone( shifted, { "limits": frozen } ).mean ).toBe( limits.center );
+
+        expect( () => divinator.fitLimits( cpu, { "exclude": [ "india" ] } ) ).toThrow();
+        expect( () => divinator.patterns( cpu, { "limits": { "center": 1 } } ) ).toThrow();
+    } );
+
+    test( "xbarR() and xbarS() use the standard control chart constants", () => {
+        const k = divinator.controlConstants( 5 );
+        expect( k.A2 ).toBeCloseTo( 0.577, 3 );
+        expect( k.A3 ).toBeCloseTo( 1.427, 3 );
+        expect( k.B4 ).toBeCloseTo( 2.089, 3 );
+        expect( k.D4 ).toBeCloseTo( 2.114, 3 );
+        expect( k.c4 ).toBeCloseTo( 0.9400, 4 );
+        expect( divinator.controlConstants( 30 ).A2 ).toBeNull();
+
+        const groups = [];
+        for ( let i = 0; i < cpu.length; i += 4 ) {
+            groups.push( cpu.slice( i, i + 4 ) );
+        }
+        const rBar = ss.mean( groups.map( g => ss.max( g ) - ss.min( g ) ) );
+        const sBar = ss.mean( groups.map( g => ss.sampleStandardDeviation( g ) ) );
+        const c = divinator.controlConstants( 4 );
+
+        const r = divinator.xbarR( cpu, { "size": 4 } );
+        expect( r.xbar.ucl[ 0 ] ).toBeCloseTo( ss.mean( cpu ) + c.A2 * rBar );
+        expect( r.r.ucl[ 0 ] ).toBeCloseTo( c.D4 * rBar );
+        expect( r.r.lcl[ 0 ] ).toBe( 0 );
+
+        const s = divinator.xbarS( groups );
+        expect( s.xbar.lcl[ 0 ] ).toBeCloseTo( ss.mean( cpu ) - c.A3 * sBar );
+        expect( s.s.ucl[ 0 ] ).toBeCloseTo( c.B4 * sBar );
+
+        // Variable subgroup sizes give per-point limits, and the rules run on each chart
+        const shifted = divinator.xbarS( groups.concat( [ [ 95, 96, 97 ] ] ) );
+        expect( shifted.sizes[ 9 ] ).toBe( 3 );
+        expect( shifted.xbar.ucl[ 9 ] ).toBeGreaterThan( shifted.xbar.ucl[ 0 ] );
+        expect( shifted.xbar.alpha ).toContain( 9 );
+        expect( Object.keys( shifted.s.rules ) ).toContain( "hotel" );
+
+        expect( () => divinator.xbarR( [ [ 1, 2 ], [ 3 ] ] ) ).toThrow();
+
+        // Constant subgroups leave no spread to estimate sigma from, unless limits are frozen
+        const constant = [ [ 5, 5, 5 ], [ 5, 5, 5 ], [ 5, 5, 5 ] ];
+        expect( () => divinator.xbarR( constant ) ).toThrow( /ranges are all zero/ );
+        expect( () => divinator.xbarS( constant ) ).toThrow( /standard deviations are all zero/ );
+        expect( divinator.xbarR( constant, { "limits": { "center": 5, "sigma": 1 } } ).xbar.alpha ).toEqual( [] );
+    } );
+
+    test( "imr() estimates sigma from the average moving range", () => {
+        // A level shift inflates the sample standard deviation, so patterns() misses it
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1 ];
+        const data = [];
+        for ( let i = 0; i < 30; i++ ) {
+            data.push( 10 + noise[ i % 10 ] + ( i >= 20 ? 2 : 0 ) );
+        }
+        const ranges = data.slice( 1 ).map( ( v, i ) => Math.abs( v - data[ i ] ) );
+        const mrBar = ss.mean( ranges );
+
+        const chart = divinator.imr( data );
+        expect( chart.sigma ).toBeCloseTo( mrBar / 1.128 );
+        expect( chart.individuals.ucl ).toBeCloseTo( ss.mean( data ) + 3 * mrBar / 1.128 );
+        expect( chart.mr.ucl ).toBeCloseTo( 3.267 * mrBar, 2 );
+        expect( chart.mr.lcl ).toBe( 0 );
+        expect( chart.mr.index[ 0 ] ).toBe( 1 );
+        expect( chart.mr.alpha ).toEqual( [ 20 ] );
+        expect( chart.individuals.alpha ).toEqual( [ 20, 22, 24, 25, 27, 29 ] );
+        expect( divinator.patterns( data ).alpha ).toEqual( [] );
+
+        // The result doubles as frozen limits
+        expect( divinator.imr( data, { "limits": chart } ).individuals.alpha ).toEqual( chart.individuals.alpha );
+        expect( divinator.patterns( data, { "limits": chart } ).alpha ).toEqual( chart.individuals.alpha );
+        expect( () => divinator.imr( [ 1, 2 ] ) ).toThrow();
+        expect( () => divinator.imr( data, { "span": 30 } ) ).toThrow();
+    } );
+
+    test( "pChart(), npChart(), cChart() and uChart() give per-point attribute limits", () => {
+        const defectives = [ 12, 9, 15, 31, 10, 11, 8, 14, 13, 2 ];
+        const sizes = [ 400, 350, 420, 410, 380, 400, 300, 450, 390, 400 ];
+        const pBar = ss.sum( defectives ) / ss.sum( sizes );
+
+        const p = divinator.pChart( defectives, sizes );
+        expect( p.center ).toBeCloseTo( pBar );
+        expect( p.ucl[ 1 ] ).toBeCloseTo( pBar + 3 * Math.sqrt( pBar * ( 1 - pBar ) / 350 ) );
+        expect( p.ucl[ 1 ] ).toBeGreaterThan( p.ucl[ 0 ] );
+        expect( p.alpha ).toEqual( [ 3, 9 ] );
+
+        const np = divinator.npChart( defectives, 400 );
+        expect( np.center[ 0 ] ).toBeCloseTo( 12.5 );
+        expect( np.alpha ).toEqual( [ 3, 9 ] );
+
+        // Exact limits: the upper limit is the 0.99865 quantile of the count's distribution
+        const exact = divinator.pChart( defectives, sizes, { "method": "probability" } );
+        const upper = exact.ucl[ 0 ] * 400;
+        expect( jstat.binomial.cdf( upper, 400, pBar ) ).toBeGreaterThanOrEqual( 0.99865 );
+        expect( jstat.binomial.cdf( upper - 1, 400, pBar ) ).toBeLessThan( 0.99865 );
+
+        const defects = [ 3, 5, 2, 4, 6, 3, 14, 4, 2, 5 ];
+        const c = divinator.cChart( defects );
+        expect( c.center ).toBeCloseTo( 4.8 );
+        expect( c.ucl[ 0 ] ).toBeCloseTo( 4.8 + 3 * Math.sqrt( 4.8 ) );
+        expect( c.lcl[ 0 ] ).toBe( 0 );
+        expect( c.alpha ).toEqual( [ 6 ] );
+        expect( divinator.cChart( defects, { "method": "probability" } ).ucl[ 0 ] ).toBe( 13 );
+
+        // Large counts, where summing Poisson and binomial probabilities underflows
+        const large = divinator.cChart( [ 800, 810, 790 ], { "method": "probability" } );
+        expect( large.ucl[ 0 ] ).toBeCloseTo( 800 + 3 * Math.sqrt( 800 ), -1 );
+        expect( large.lcl[ 0 ] ).toBeCloseTo( 800 - 3 * Math.sqrt( 800 ), -1 );
+        expect( large.alpha ).toEqual( [] );
+        expect( divinator.cChart( [ 5000, 5100, 4900, 5050, 9000 ], { "center": 5000, "method": "probability" } ).alpha ).toEqual( [ 4 ] );
+        expect( divinator.npChart( [ 5000, 5100, 4900, 5600 ], 10000, { "center": 5000, "method": "probability" } ).alpha ).toEqual( [ 3 ] );
+        expect( divinator.cChart( [ 3, 5, 2 ], { "center": 0.5 } ).alpha ).toEqual( [ 0, 1 ] );
+
+        const u = divinator.uChart( defects, [ 1, 1.5, 1, 1, 2, 1, 1.2, 1, 0.8, 1 ] );
+        expect( u.values[ 4 ] ).toBe( 3 );
+        expect( u.ucl[ 8 ] ).toBeCloseTo( u.center + 3 * Math.sqrt( u.center / 0.8 ) );
+        expect( u.alpha ).toEqual( [ 6 ] );
+
+        expect( () => divinator.pChart( [ 5 ], [ 4 ] ) ).toThrow();
+        expect( () => divinator.cChart( [ 1.5, 2 ], { "method": "probability" } ) ).toThrow();
+    } );
+
+    test( "cusum() catches a small sustained shift the zone rules miss", () => {
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1 ];
+        const baseline = [];
+        const data = [];
+        for ( let i = 0; i < 30; i++ ) {
+            baseline.push( 10 + noise[ i % 10 ] );
+            data.push( 10 + noise[ ( i + 3 ) % 10 ] + ( i >= 10 ? 0.25 : 0 ) );
+        }
+        const limits = divinator.fitLimits( baseline );
+        expect( divinator.patterns( data, { "limits": limits } ).alpha ).toEqual( [] );
+
+        const chart = divinator.cusum( data, { "baseline": limits } );
+        expect( chart.reference ).toBeCloseTo( 0.5 * limits.sigma );
+        expect( chart.interval ).toBeCloseTo( 5 * limits.sigma );
+        expect( chart.upper[ 0 ] ).toBeCloseTo( Math.max( 0, data[ 0 ] - limits.center - chart.reference ) );
+        expect( chart.signals[ 0 ] ).toBe( 17 );
+        expect( chart.shifts ).toHaveLength( 1 );
+        expect( chart.shifts[ 0 ] ).toMatchObject( { "side": "upper", "start": 11, "signal": 17, "end": 29 } );
+        expect( chart.shifts[ 0 ].mean ).toBeCloseTo( 10.336, 3 );
+
+        // The same statistics from a Zone or patterns(), and a faster signal with a headstart
+        expect( divinator.cusum( data, { "baseline": new divinator.Zone( baseline ) } ).signals[ 0 ] ).toBe( 17 );
+        expect( divinator.cusum( data, { "baseline": divinator.patterns( baseline ) } ).signals[ 0 ] ).toBe( 17 );
+        const early = data.slice( 10 );
+        expect( divinator.cusum( early, { "baseline": limits } ).signals[ 0 ] ).toBe( 7 );
+        expect( divinator.cusum( early, { "baseline": limits, "headstart": true } ).signals[ 0 ] ).toBe( 4 );
+
+        expect( () => divinator.cusum( data, { "h": 0 } ) ).toThrow();
+        expect( () => divinator.cusum( data, { "headstart": 6 } ) ).toThrow();
+    } );
+
+    test( "ewma() smooths the data with limits that converge to the asymptotic ones", () => {
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1 ];
+        const baseline = [];
+        const data = [];
+        for ( let i = 0; i < 30; i++ ) {
+            baseline.push( 10 + noise[ i % 10 ] );
+            data.push( 10 + noise[ ( i + 3 ) % 10 ] + ( i >= 10 ? 0.25 : 0 ) );
+        }
+        const limits = divinator.fitLimits( baseline );
+        const chart = divinator.ewma( data, { "baseline": limits } );
+        expect( chart.statistic[ 0 ] ).toBeCloseTo( 0.2 * data[ 0 ] + 0.8 * limits.center );
+        expect( chart.statistic[ 1 ] ).toBeCloseTo( 0.2 * data[ 1 ] + 0.8 * chart.statistic[ 0 ] );
+        expect( chart.ucl[ 0 ] - limits.center ).toBeCloseTo( 3 * limits.sigma * 0.2 );
+        expect( chart.ucl[ 1 ] ).toBeGreaterThan( chart.ucl[ 0 ] );
+        expect( chart.ucl[ 29 ] ).toBeCloseTo( chart.asymptotic.ucl, 6 );
+        expect( chart.asymptotic.ucl - limits.center ).toBeCloseTo( 3 * limits.sigma * Math.sqrt( 0.2 / 1.8 ) );
+        expect( chart.signals ).toEqual( [ 17, 24, 27, 28, 29 ] );
+
+        // A smaller lambda remembers more, while lambda = 1 is a Shewhart chart of the points themselves
+        expect( divinator.ewma( data, { "baseline": new divinator.Zone( baseline ), "lambda": 0.1 } ).signals ).toHaveLength( 11 );
+        expect( divinator.ewma( data, { "baseline": limits, "lambda": 1 } ).signals ).toEqual( divinator.patterns( data, { "limits": limits } ).alpha );
+        expect( () => divinator.ewma( data, { "lambda": 0 } ) ).toThrow();
+    } );
+
+    test( "capability() reports Cp, Cpk, Pp, Ppk and Cpm with intervals and PPM", () => {
+        const data = [];
+        for ( let i = 0; i < 50; i++ ) {
+            data.push( 10 + 0.3 * jstat.normal.inv( ( ( i * 17 ) % 50 + 0.5 ) / 50, 0, 1 ) );
+        }
+        const report = divinator.capability( data, { "lsl": 9, "usl": 11.2 } );
+        const mean = ss.mean( data );
+        const s = ss.sampleStandardDeviation( data );
+        const within = divinator.imr( data ).sigma;
+        expect( report.sigma.within ).toBeCloseTo( within );
+        expect( report.cp.value ).toBeCloseTo( 2.2 / ( 6 * within ) );
+        expect( report.cpk.value ).toBeCloseTo( ( mean - 9 ) / ( 3 * within ) );
+        expect( report.pp.value ).toBeCloseTo( 2.2 / ( 6 * s ) );
+        expect( report.ppk.value ).toBeCloseTo( ( mean - 9 ) / ( 3 * s ) );
+        expect( report.cpm.value ).toBeCloseTo( 2.2 / ( 6 * Math.sqrt( s * s + ( mean - 10.1 ) ** 2 ) ) );
+        expect( report.pp.lower ).toBeCloseTo( report.pp.value * Math.sqrt( jstat.chisquare.inv( 0.025, 49 ) / 49 ) );
+        expect( report.ppk.upper - report.ppk.value ).toBeCloseTo( 1.96 * Math.sqrt( 1 / 450 + report.ppk.value ** 2 / 98 ), 3 );
+        expect( report.ppm.overall.above ).toBeCloseTo( ( 1 - jstat.normal.cdf( 11.2, mean, s ) ) * 1e6 );
+        expect( report.ppm.observed.total ).toBe( 0 );
+        expect( report.normality.normal ).toBe( true );
+        expect( report.warning ).toBeUndefined();
+
+        // One-sided specifications, and a warning for skewed data, which is not sorted in place
+        const skewed = [];
+        for ( let i = 1; i <= 50; i++ ) {
+            skewed.push( Math.exp( i / 12 ) );
+        }
+        const shuffled = skewed.map( ( v, i ) => skewed[ ( i * 17 ) % 50 ] );
+        const copy = shuffled.slice();
+        const upper = divinator.capability( shuffled, { "usl": 80 } );
+        expect( shuffled ).toEqual( copy );
+        expect( upper.cp ).toBeNull();
+        expect( upper.cpm ).toBeNull();
+        expect( upper.normality.normal ).toBe( false );
+        expect( upper.warning ).toMatch( /percentile/ );
+        expect( upper.percentile.ppk ).toBeGreaterThan( 0 );
+
+        expect( () => divinator.capability( data, {} ) ).toThrow();
+        expect( () => divinator.capability( data, { "lsl": 11, "usl": 9 } ) ).toThrow();
+    } );
+
+    test( "patterns() reports each violation to an emitter", () => {
+        const data = [
+            42, 41, 45, 49, 44, 39, 47, 42, 69, 60, 59, 40, 39, 40, 18, 41, 48, 50, 48, 49, 44, 49, 66, 62,
+            66, 43, 47, 43, 42, 45, 59, 61, 68, 45, 41, 42, 42, 37, 56, 61, 56, 44, 39, 63, 64, 62, 87, 38,
+            42, 36, 34, 75, 72, 60, 37, 44, 43, 44, 48, 45
+        ];
+        const EventEmitter = require( "events" );
+        const emitter = new EventEmitter();
+        const violations = [];
+        const alphas = [];
+        let result = null;
+        emitter.on( "violation", event => violations.push( event ) );
+        emitter.on( "alpha", event => alphas.push( event ) );
+        emitter.on( "end", p => {
+            result = p;
+        } );
+
+        const p = divinator.patterns( data, { "emitter": emitter } );
+        expect( result ).toBe( p );
+        expect( violations.map( event => event.rule ) ).toEqual( [ "alpha", "charlie", "charlie", "charlie", "charlie", "charlie", "delta", "delta" ] );
+        expect( alphas ).toEqual( [ {
+            "rule": "alpha",
+            "start": 46,
+            "end": 46,
+            "indices": [ 46 ],
+            "zones": [ "X" ],
+            "values": [ 87 ],
+            "description": p.rules.alpha.description
+        } ] );
+        expect( violations[ 1 ] ).toMatchObject( { "start": 42, "end": 46, "zones": [ "C", "B", "B", "B", "X" ], "values": data.slice( 42, 47 ) } );
+
+        // Indices, like the result's, refer to the caller's data
+        const gappy = data.slice();
+        gappy[ 3 ] = null;
+        const dropped = [];
+        emitter.on( "delta", event => dropped.push( event.indices ) );
+        divinator.patterns( gappy, { "missing": "drop", "emitter": emitter } );
+        expect( dropped[ 0 ] ).toEqual( [ 0, 1, 2, 4, 5, 6, 7 ] );
+        expect( () => divinator.patterns( data, { "emitter": {} } ) ).toThrow();
+
+        // Rules cannot take the names of the aggregate events, or those EventEmitter treats specially
+        for ( const name of [ "violation", "end", "error" ] ) {
+            expect( () => divinator.registerRule( name, { "type": "sameSide", "length": 3 } ) ).toThrow( /reserved/ );
+        }
+    } );
+
+    test( "runLengths() simulates the false-alarm rate and ARL of a rule set", () => {
+        const stats = divinator.runLengths( { "ruleSet": "westernElectric" } );
+        expect( Object.keys( stats.rules ) ).toEqual( [ "alpha", "bravo", "charlie", "delta" ] );
+        expect( stats.rules.delta.length ).toBe( 8 );
+
+        // The textbook values: 0.0027 and an ARL0 of 370 for alpha alone, about 92 for the four rules,
+        // and an ARL1 of about 44 for alpha after a 1 sigma shift
+        expect( stats.rules.alpha.falseAlarmRate ).toBeCloseTo( 0.0027, 3 );
+        expect( Math.abs( stats.rules.alpha.arl0 - 370.4 ) ).toBeLessThan( 30 );
+        expect( Math.abs( stats.rules.alpha.arl1 - 43.9 ) ).toBeLessThan( 4 );
+        expect( Math.abs( stats.combined.arl0 - 91.75 ) ).toBeLessThan( 8 );
+        expect( stats.combined.arl1 ).toBeLessThan( stats.rules.alpha.arl1 );
+        expect( stats.combined.falseAlarmRate ).toBeGreaterThan( stats.rules.charlie.falseAlarmRate );
+
+        // Seeded: the same options give the same numbers
+        expect( divinator.runLengths( { "ruleSet": "westernElectric", "length": 5000 } ) ).toEqual( divinator.runLengths( { "ruleSet": "westernElectric", "length": 5000 } ) );
+        expect( divinator.runLengths( { "ruleSet": "aiag", "length": 5000, "seed": 2 } ).combined ).not.toEqual( divinator.runLengths( { "ruleSet": "aiag", "length": 5000 } ).combined );
+        expect( () => divinator.runLengths( { "length": 10 } ) ).toThrow();
+
+        // The rates behind the probabilities in `rules`, as numbers, for every rule including the custom ones
+        const rates = divinator.falseAlarmRates;
+        expect( Object.keys( rates ) ).toEqual( Object.keys( divinator.rules ) );
+        expect( rates.alpha ).toBeCloseTo( 0.0027, 3 );
+        expect( Object.values( rates ).every( rate => typeof rate === "number" && rate > 0 ) ).toBe( true );
+        divinator.registerRule( "quebec", { "type": "sameSide", "length": 3 } );
+        try {
+            expect( divinator.falseAlarmRates.quebec ).toBeGreaterThan( rates.delta );
+        }
+        finally {
+            divinator.unregisterRule( "quebec" );
+        }
+        expect( divinator.falseAlarmRates ).toEqual( rates );
+    } );
+
+    test( "Zone builds robust and asymmetric zones that patterns() carries through", () => {
+        const latency = [
+            30, 38, 9, 19, 20, 16, 52, 17, 11, 25, 12, 32, 40, 10, 21, 16, 14, 54, 18, 14, 23, 10, 31, 40, 13, 24, 13, 13, 51, 19,
+            400, 23, 8, 29, 36, 15, 30, 11, 12, 44, 19, 25, 24, 7, 26, 30, 18, 38, 11, 11, 36, 17, 31, 26, 8, 24, 23, 19, 46, 12
+        ];
+        const median = ss.median( latency );
+        const classic = new divinator.Zone( latency );
+        expect( classic.mean ).toBeCloseTo( ss.mean( latency ) );
+        expect( classic.std ).toBeCloseTo( ss.standardDeviation( latency ) );
+        expect( classic.upper ).toBe( classic.std );
+
+        // The spike inflates the standard deviation, but not the MAD; the double MAD is wider above the median
+        const robust = new divinator.Zone( latency, { "center": "median", "scale": "mad" } );
+        expect( robust.mean ).toBe( median );
+        expect( robust.std ).toBeCloseTo( 1.4826 * ss.medianAbsoluteDeviation( latency ) );
+        const skewed = new divinator.Zone( latency, { "center": "median", "scale": "mad", "asymmetric": true } );
+        expect( skewed.upper ).toBeCloseTo( 1.4826 * ss.median( latency.filter( v => v >= median ).map( v => v - median ) ) );
+        expect( skewed.lower ).toBeCloseTo( 1.4826 * ss.median( latency.filter( v => v <= median ).map( v => median - v ) ) );
+        expect( skewed.upper ).toBeGreaterThan( skewed.lower );
+        expect( skewed.zones[ 0 ] ).toEqual( { "name": "C", "max": median + skewed.upper, "min": median - skewed.lower } );
+        expect( new divinator.Zone( latency, { "scale": "movingRange" } ).std ).toBeCloseTo( divinator.imr( latency ).sigma );
+
+        // Qn: the first quartile of the pairwise distances, with the small-sample correction for n = 10
+        expect( divinator.qn( [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ] ) ).toBeCloseTo( 10 / 13.8 * 2 * 2.21914, 4 );
+        expect( new divinator.Zone( latency, { "scale": "qn" } ).std ).toBeCloseTo( divinator.qn( latency ) );
+
+        const options = { "center": "median", "scale": "mad", "asymmetric": true };
+        const p = divinator.patterns( latency, options );
+        expect( p.center ).toBe( median );
+        expect( p.scale ).toEqual( { "upper": skewed.upper, "lower": skewed.lower } );
+        expect( p[ "3sigma" ] ).toEqual( [ median - 3 * skewed.lower, median + 3 * skewed.upper ] );
+        expect( divinator.patterns( latency ).bravo ).toEqual( [] );
+        expect( p.bravo ).toEqual( [ [ 28, 29, 30 ] ] );
+
+        // Custom rules measure distances in the sigma of their own side
+        divinator.registerRule( "papa", { "type": "kOfN", "count": 1, "window": 1, "beyond": 2 } );
+        try {
+            const papa = { "rules": { "papa": true } };
+            expect( divinator.patterns( latency, { ...papa, "center": "median", "scale": "mad" } ).papa ).toContainEqual( [ 58 ] );
+            expect( divinator.patterns( latency, { ...papa, ...options } ).papa ).not.toContainEqual( [ 58 ] );
+
+            // A custom rule is only replaced on request
+            expect( () => divinator.registerRule( "papa", { "type": "sameSide", "length": 3 } ) ).toThrow( /already registered/ );
+            divinator.registerRule( "papa", { "type": "sameSide", "length": 3 }, { "replace": true } );
+            expect( divinator.rules.papa ).toBe( "3+ consecutive points on one side of the average" );
+        }
+        finally {
+            divinator.unregisterRule( "papa" );
+        }
+
+        expect( () => new divinator.Zone( latency, { "scale": "iqr" } ) ).toThrow();
+        expect( () => new divinator.Zone( latency, { "scale": "qn", "asymmetric": true } ) ).toThrow();
+    } );
+
+    test( "changePoints() finds level and variance shifts with PELT, binary segmentation and BOCPD", () => {
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1, 0.25, -0.35, 0.05 ];
+        const levels = [];
+        const spread = [];
+        for ( let i = 0; i < 120; i++ ) {
+            levels.push( ( i < 40 ? 10 : ( i < 80 ? 12 : 10.5 ) ) + noise[ i % 13 ] * ( i >= 80 ? 3 : 1 ) );
+        }
+        for ( let i = 0; i < 100; i++ ) {
+            spread.push( 5 + noise[ i % 13 ] * ( i >= 50 ? 4 : 1 ) );
+        }
+
+        const pelt = divinator.changePoints( levels );
+        expect( pelt.penalty ).toBeCloseTo( 2 * Math.log( 120 ) );
+        expect( pelt.changePoints ).toEqual( [ 40, 80 ] );
+        expect( pelt.segments.map( seg => [ seg.start, seg.end, seg.length ] ) ).toEqual( [ [ 0, 39, 40 ], [ 40, 79, 40 ], [ 80, 119, 40 ] ] );
+        expect( pelt.segments[ 1 ].mean ).toBeCloseTo( ss.mean( levels.slice( 40, 80 ) ) );
+        expect( pelt.segments[ 2 ].std ).toBeCloseTo( ss.sampleStandardDeviation( levels.slice( 80 ) ) );
+        expect( divinator.changePoints( levels, { "method": "binseg" } ).changePoints ).toEqual( [ 40, 80 ] );
+        expect( divinator.changePoints( levels, { "method": "binseg", "maxChangePoints": 1 } ).changePoints ).toEqual( [ 40 ] );
+        expect( divinator.changePoints( levels, { "method": "bayesian" } ).changePoints ).toEqual( [ 40, 80 ] );
+
+        // A change of variance alone, and a penalty high enough to hide it
+        for ( const method of [ "pelt", "binseg", "bayesian" ] ) {
+            expect( divinator.changePoints( spread, { method, "cost": "var" } ).changePoints ).toEqual( [ 50 ] );
+        }
+        expect( divinator.changePoints( spread, { "cost": "meanvar", "penalty": 1000 } ).changePoints ).toEqual( [] );
+
+        // The stream reports changes as they are detected, in constant memory
+        const stream = new divinator.ChangePointStream( { "prior": { "beta": 0.1 }, "maxRunLength": 50 } );
+        const events = [];
+        stream.on( "changepoint", event => events.push( event ) );
+        levels.forEach( val => stream.push( val ) );
+        expect( events.map( event => event.start ) ).toEqual( [ 40, 80 ] );
+        expect( events[ 0 ].index ).toBeGreaterThanOrEqual( 40 );
+        expect( stream.probabilities ).toHaveLength( 51 );
+
+        expect( () => divinator.changePoints( levels, { "cost": "median" } ) ).toThrow();
+        expect( () => divinator.changePoints( levels, { "cost": "var", "minSize": 1 } ) ).toThrow();
+        expect( () => divinator.changePoints( levels, { "method": "binseg", "maxChangePoints": "x" } ) ).toThrow();
+        expect( () => divinator.changePoints( levels, { "method": "binseg", "maxChangePoints": 1.5 } ) ).toThrow();
+
+        // A noise-free step, where the noise estimated from neighbors is zero
+        const step = new Array( 10 ).fill( 0 ).concat( new Array( 10 ).fill( 5 ) );
+        for ( const method of [ "pelt", "binseg", "bayesian" ] ) {
+            expect( divinator.changePoints( step, { method } ).changePoints ).toEqual( [ 10 ] );
+        }
+    } );
+
+    test( "seasonalEsd() finds off-peak anomalies that global tests miss, on an STL decomposition", () => {
+        // Two weeks of hourly data: a slow trend, a daily cycle and a little noise
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1, 0.25, -0.35, 0.05 ];
+        const hourly = [];
+        for ( let i = 0; i < 24 * 14; i++ ) {
+            hourly.push( 50 + 0.02 * i + 10 * Math.sin( 2 * Math.PI * i / 24 ) + noise[ i % 13 ] );
+        }
+        hourly[ 30 ] += 6;
+        hourly[ 100 ] += 8;
+        expect( divinator.generalizedEsd( hourly ) ).toEqual( [] );
+
+        const result = divinator.seasonalEsd( hourly, { "period": 24, "output": "detailed" } );
+        const flagged = result.anomalies.filter( r => r.outlier );
+        expect( flagged.map( r => r.index ) ).toEqual( [ 30, 100 ] );
+        expect( flagged[ 1 ].value ).toBe( hourly[ 100 ] );
+        expect( flagged[ 1 ].residual ).toBeCloseTo( 8, 0 );
+        expect( flagged[ 1 ].direction ).toBe( "upper" );
+        expect( divinator.seasonalEsd( hourly, { "period": 24 } ).anomalies ).toEqual( [ hourly[ 30 ], hourly[ 100 ] ] );
+
+        // The components add back up to the data, and the periodic seasonal pattern repeats
+        const parts = divinator.decompose( hourly, { "period": 24 } );
+        expect( parts.seasonalWindow ).toBe( "periodic" );
+        expect( parts.trendWindow ).toBe( 37 );
+        hourly.forEach( ( val, i ) => {
+            expect( parts.trend[ i ] + parts.seasonal[ i ] + parts.residual[ i ] ).toBeCloseTo( val, 10 );
+        } );
+        expect( parts.seasonal[ 30 ] ).toBeCloseTo( parts.seasonal[ 54 ], 4 );
+        expect( parts.seasonal[ 6 ] ).toBeCloseTo( 10, 0 );
+        expect( parts.trend[ 200 ] ).toBeCloseTo( 54, 0 );
+
+        // Robust weights push the anomaly out of the fit
+        const robust = divinator.decompose( hourly, { "period": 24, "seasonalWindow": 7, "robust": true } );
+        expect( robust.weights[ 100 ] ).toBe( 0 );
+        expect( robust.residual[ 100 ] ).toBeCloseTo( 8, 0 );
+
+        // The hybrid ESD test on its own: the median and MAD are not inflated by the outliers
+        expect( divinator.generalizedEsd( [ 1, 2, 3, 2, 1, 2, 3, 2, 40, 45 ], { "maxOutliers": 3, "robust": true } ) ).toEqual( [ 45, 40 ] );
+
+        // With few cycles, an anomaly can pull its whole cycle-subseries off in the first pass; the
+        // periodic pattern must still be the same in every cycle, and keep the anomaly out
+        const short = [];
+        for ( let i = 0; i < 24 * 4; i++ ) {
+            short.push( 50 + 10 * Math.sin( 2 * Math.PI * i / 24 ) + noise[ i % 13 ] );
+        }
+        short[ 40 ] += 8;
+        const periodic = divinator.decompose( short, { "period": 24, "robust": true } );
+        expect( periodic.seasonal[ 40 ] ).toBeCloseTo( periodic.seasonal[ 16 ], 10 );
+        expect( periodic.seasonal[ 40 ] ).toBeCloseTo( periodic.seasonal[ 64 ], 10 );
+        expect( periodic.residual[ 40 ] ).toBeGreaterThan( 6 );
+        expect( divinator.seasonalEsd( short, { "period": 24, "output": "detailed" } ).anomalies.filter( r => r.outlier ).map( r => r.index ) ).toEqual( [ 40 ] );
+
+        // A constant series has nothing anomalous, and a single step off it is the only anomaly, even
+        // though the MAD of the residual is zero
+        const constant = new Array( 72 ).fill( 5 );
+        expect( divinator.seasonalEsd( constant, { "period": 24 } ).anomalies ).toEqual( [] );
+        constant[ 10 ] = 6;
+        expect( divinator.seasonalEsd( constant, { "period": 24, "output": "detailed" } ).anomalies.filter( r => r.outlier ).map( r => r.index ) ).toEqual( [ 10 ] );
+        expect( divinator.generalizedEsd( [ 5, 5, 5, 5, 5, 5, 5, 5, 5, 9 ], { "robust": true } ) ).toEqual( [ 9 ] );
+        expect( divinator.generalizedEsd( [ 5, 5, 5, 5, 5, 5, 5, 5, 5, 5 ], { "robust": true } ) ).toEqual( [] );
+
+        expect( () => divinator.decompose( hourly, { "period": 24, "missing": "drop" } ) ).toThrow();
+        expect( () => divinator.decompose( hourly.slice( 0, 40 ), { "period": 24 } ) ).toThrow();
+        expect( () => divinator.decompose( hourly, { "period": 24, "seasonalWindow": 4 } ) ).toThrow();
+    } );
+
+    test( "holtWinters() flags points outside the prediction interval of fitted additive and multiplicative models", () => {
+        const noise = [ 0.3, -0.2, 0.1, -0.4, 0.2, 0, -0.1, 0.4, -0.3, 0.1, 0.25, -0.35, 0.05 ];
+        const hourly = [];
+        const growing = [];
+        for ( let i = 0; i < 24 * 14; i++ ) {
+            hourly.push( 50 + 0.02 * i + 10 * Math.sin( 2 * Math.PI * i / 24 ) + noise[ i % 13 ] );
+            growing.push( ( 20 + 0.1 * i ) * ( 1 + 0.3 * Math.sin( 2 * Math.PI * i / 24 ) ) + noise[ i % 13 ] );
+        }
+        hourly[ 30 ] += 6;
+        hourly[ 100 ] += 8;
+        growing[ 200 ] += 10;
+
+        const result = divinator.holtWinters( hourly, { "period": 24, "output": "detailed" } );
+        expect( result.seasonal ).toBe( "additive" );
+        expect( result.anomalies.filter( r => r.outlier ).map( r => [ r.index, r.direction ] ) ).toEqual( [ [ 30, "upper" ], [ 100, "upper" ] ] );
+        expect( result.forecasts.slice( 0, 24 ) ).toEqual( new Array( 24 ).fill( null ) );
+        expect( result.residuals[ 100 ] ).toBeCloseTo( 8, 0 );
+        expect( result.upper[ 50 ] - result.forecasts[ 50 ] ).toBeCloseTo( 1.96 * result.sigma, 2 );
+        expect( result.sigma ).toBeCloseTo( Math.sqrt( result.sse / ( hourly.length - 24 ) ) );
+        [ result.alpha, result.beta, result.gamma ].forEach( p => {
+            expect( p ).toBeGreaterThanOrEqual( 0 );
+            expect( p ).toBeLessThanOrEqual( 1 );
+        } );
+
+        // The fit beats a hand-picked model, and given parameters are kept
+        const fixed = divinator.holtWinters( hourly, { "period": 24, "alpha": 0.3, "beta": 0.1, "gamma": 0.1 } );
+        expect( [ fixed.alpha, fixed.beta, fixed.gamma ] ).toEqual( [ 0.3, 0.1, 0.1 ] );
+        expect( result.sse ).toBeLessThan( fixed.sse );
+        expect( divinator.holtWinters( hourly, { "period": 24, "beta": 0 } ).beta ).toBe( 0 );
+
+        // A seasonal swing that grows with the level suits the multiplicative form
+        const multiplicative = divinator.holtWinters( growing, { "period": 24, "seasonal": "multiplicative", "output": "mask" } );
+        const additive = divinator.holtWinters( growing, { "period": 24 } );
+        expect( multiplicative.sigma ).toBeLessThan( additive.sigma );
+        expect( multiplicative.anomalies[ 200 ] ).toBe( true );
+        expect( multiplicative.anomalies.slice( 24, 200 ) ).not.toContain( true );
+        expect( divinator.holtWinters( hourly, { "period": 24, "tail": "lower" } ).anomalies ).toEqual( [] );
+
+        expect( () => divinator.holtWinters( hourly, { "period": 24, "alpha": 1.5 } ) ).toThrow();
+        expect( () => divinator.holtWinters( hourly, { "period": 24, "missing": "drop" } ) ).toThrow();
+        expect( () => divinator.holtWinters( [ 0 ].concat( hourly ), { "period": 24, "seasonal": "multiplicative" } ) ).toThrow();
+        expect( () => divinator.holtWinters( hourly.slice( 0, 48 ), { "period": 24 } ) ).toThrow();
+    } );
 }